@@ -0,0 +1,14 @@
+module.exports = {
+  categories: [
+    { id: "geography", label: "地理" },
+    { id: "history", label: "歴史" },
+    { id: "literature", label: "文学" },
+    { id: "culture", label: "文化・芸術" },
+    { id: "society", label: "社会・雑学" }
+  ],
+  difficulties: [
+    { id: "easy", label: "やさしい" },
+    { id: "normal", label: "ふつう" },
+    { id: "hard", label: "むずかしい" }
+  ]
+};
@@ -3,744 +3,1074 @@ module.exports = [
     id: 1,
     question: "日本で一番北に位置する都道府県庁所在地はどこ?",
     choices: ["札幌市", "青森市", "盛岡市", "秋田市" ],
-    answer: 0
+    answer: 0,
+    category: "geography",
+    difficulty: "easy",
+    explanation: "北海道の道庁所在地である札幌市は、都道府県庁所在地の中で最も北に位置します。"
   },
   {
     id: 2,
     question: "徳川家康が江戸幕府を開いた年は西暦いくつ?",
     choices: ["1590年", "1603年", "1615年", "1624年" ],
-    answer: 1
+    answer: 1,
+    category: "history",
+    difficulty: "easy",
+    explanation: "徳川家康は1603年に征夷大将軍に任命され、江戸に幕府を開きました。"
   },
   {
     id: 3,
     question: "日本三名園の一つで、岡山市にある庭園は?",
     choices: ["兼六園", "偕楽園", "後楽園", "浜離宮" ],
-    answer: 2
+    answer: 2,
+    category: "culture",
+    difficulty: "normal",
+    explanation: "岡山後楽園は、金沢の兼六園、水戸の偕楽園とともに日本三名園に数えられます。"
   },
   {
     id: 4,
     question: "百人一首で唯一の歌人は誰?",
     choices: ["小野小町", "在原業平", "柿本人麻呂", "天智天皇" ],
-    answer: 3
+    answer: 3,
+    category: "literature",
+    difficulty: "hard"
   },
   {
     id: 5,
     question: "世界最大の島とされるグリーンランドはどの国の自治領?",
     choices: ["ノルウェー", "カナダ", "デンマーク", "アイスランド" ],
-    answer: 2
+    answer: 2,
+    category: "geography",
+    difficulty: "normal",
+    explanation: "グリーンランドはデンマーク王国を構成する自治領で、広い自治権を持っています。"
   },
   {
     id: 6,
     question: "日本銀行券に描かれている五千円札の肖像は誰?",
     choices: ["樋口一葉", "夏目漱石", "新渡戸稲造", "野口英世" ],
-    answer: 0
+    answer: 0,
+    category: "society",
+    difficulty: "easy"
   },
   {
     id: 7,
     question: "将棋の駒で唯一裏返しても成らないのはどれ?",
     choices: ["金将", "銀将", "桂馬", "香車" ],
-    answer: 0
+    answer: 0,
+    category: "culture",
+    difficulty: "hard"
   },
   {
     id: 8,
     question: "三大がっかり名所の一つとも言われる高知県の観光名所は?",
     choices: ["はりまや橋", "道後温泉", "桂浜", "金比羅宮" ],
-    answer: 0
+    answer: 0,
+    category: "geography",
+    difficulty: "hard"
   },
   {
     id: 9,
     question: "ギリシャ神話で天空を司る神ゼウスの妻は誰?",
     choices: ["ヘラ", "アテナ", "アフロディーテ", "アルテミス" ],
-    answer: 0
+    answer: 0,
+    category: "culture",
+    difficulty: "normal"
   },
   {
     id: 10,
     question: "江戸時代の貨幣制度で金貨の単位に使われたのはどれ?",
     choices: ["文", "両", "貫", "朱" ],
-    answer: 1
+    answer: 1,
+    category: "history",
+    difficulty: "normal"
   },
   {
     id: 11,
     question: "日本の祝日で、春分の日と秋分の日の間にある祝日は?",
     choices: ["みどりの日", "憲法記念日", "海の日", "山の日" ],
-    answer: 0
+    answer: 0,
+    category: "society",
+    difficulty: "normal"
   },
   {
     id: 12,
     question: "アメリカ合衆国の独立記念日は何月何日?",
     choices: ["6月14日", "7月4日", "9月3日", "11月11日" ],
-    answer: 1
+    answer: 1,
+    category: "history",
+    difficulty: "easy",
+    explanation: "1776年7月4日に独立宣言が採択されたことを記念する日です。"
   },
   {
     id: 13,
     question: "現存する世界最古の木造建築として知られる奈良の寺は?",
     choices: ["法隆寺", "東大寺", "興福寺", "唐招提寺" ],
-    answer: 0
+    answer: 0,
+    category: "culture",
+    difficulty: "normal",
+    explanation: "法隆寺の西院伽藍は現存する世界最古の木造建築群とされ、1993年に世界遺産に登録されました。",
+    referenceUrl: "https://ja.wikipedia.org/wiki/法隆寺"
   },
   {
     id: 14,
     question: "童謡『赤とんぼ』の歌詞に登場する乗り物は?",
     choices: ["牛車", "籠", "蒸気機関車", "舟" ],
-    answer: 1
+    answer: 1,
+    category: "literature",
+    difficulty: "hard"
   },
   {
     id: 15,
     question: "日本最古の長編小説とされる『源氏物語』の作者は?",
     choices: ["清少納言", "紫式部", "和泉式部", "伊勢大輔" ],
-    answer: 1
+    answer: 1,
+    category: "literature",
+    difficulty: "easy",
+    explanation: "『源氏物語』は平安時代中期に紫式部が書いた長編物語です。"
   },
   {
     id: 16,
     question: "富士山の標高はおよそ何メートル?",
     choices: ["3,776m", "3,618m", "3,305m", "3,042m" ],
-    answer: 0
+    answer: 0,
+    category: "geography",
+    difficulty: "easy",
+    explanation: "富士山の標高は3,776mで、日本の最高峰です。",
+    referenceUrl: "https://ja.wikipedia.org/wiki/富士山"
   },
   {
     id: 17,
     question: "琵琶湖が位置する都道府県は?",
     choices: ["滋賀県", "奈良県", "岐阜県", "京都府" ],
-    answer: 0
+    answer: 0,
+    category: "geography",
+    difficulty: "easy",
+    explanation: "琵琶湖は滋賀県の面積の約6分の1を占める日本最大の湖です。"
   },
   {
     id: 18,
     question: "四国八十八箇所巡りを開いたとされる人物は?",
     choices: ["最澄", "親鸞", "空海", "道元" ],
-    answer: 2
+    answer: 2,
+    category: "history",
+    difficulty: "normal"
   },
   {
     id: 19,
     question: "国民の祝日『勤労感謝の日』は何月にある?",
     choices: ["9月", "10月", "11月", "12月" ],
-    answer: 2
+    answer: 2,
+    category: "society",
+    difficulty: "normal"
   },
   {
     id: 20,
     question: "カステラの発祥とされる国はどこ?",
     choices: ["ポルトガル", "スペイン", "フランス", "イタリア" ],
-    answer: 0
+    answer: 0,
+    category: "society",
+    difficulty: "normal"
   },
   {
     id: 21,
     question: "イギリスのロンドンにある時計塔の通称は?",
     choices: ["タワーブリッジ", "ビッグ・ベン", "ロンドン・アイ", "ウェストミンスター" ],
-    answer: 1
+    answer: 1,
+    category: "geography",
+    difficulty: "easy",
+    explanation: "本来は時計塔（エリザベス・タワー）にある大時鐘の愛称で、時計塔全体の通称としても使われます。"
   },
   {
     id: 22,
     question: "落語の寄席で用いられる舞台の敷物は?",
     choices: ["ござ", "畳", "毛氈", "茣蓙" ],
-    answer: 2
+    answer: 2,
+    category: "culture",
+    difficulty: "hard"
   },
   {
     id: 23,
     question: "中世ヨーロッパで疫病として恐れられた黒死病の主な原因は?",
     choices: ["コレラ菌", "ペスト菌", "インフルエンザウイルス", "ハンセン菌" ],
-    answer: 1
+    answer: 1,
+    category: "society",
+    difficulty: "normal"
   },
   {
     id: 24,
     question: "日本の国鳥に指定されている鳥は?",
     choices: ["丹頂鶴", "雉", "朱鷺", "白鶴" ],
-    answer: 1
+    answer: 1,
+    category: "society",
+    difficulty: "easy"
   },
   {
     id: 25,
     question: "『学問のすすめ』を書いた明治の啓蒙思想家は?",
     choices: ["中江兆民", "福沢諭吉", "西周", "西田幾多郎" ],
-    answer: 1
+    answer: 1,
+    category: "literature",
+    difficulty: "normal",
+    explanation: "『学問のすゝめ』は「天は人の上に人を造らず」で始まる福沢諭吉の著作です。"
   },
   {
     id: 26,
     question: "六曜の一つで、婚礼を避けるとされる日は?",
     choices: ["友引", "仏滅", "赤口", "先負" ],
-    answer: 1
+    answer: 1,
+    category: "culture",
+    difficulty: "normal"
   },
   {
     id: 27,
     question: "世界三大料理の一つで、オスマン帝国由来の料理は?",
     choices: ["イタリア料理", "トルコ料理", "スペイン料理", "メキシコ料理" ],
-    answer: 1
+    answer: 1,
+    category: "society",
+    difficulty: "normal"
   },
   {
     id: 28,
     question: "日本の新幹線で最初に開業した区間は?",
     choices: ["東京〜新大阪", "東京〜名古屋", "東京〜京都", "東京〜博多" ],
-    answer: 0
+    answer: 0,
+    category: "society",
+    difficulty: "normal",
+    explanation: "1964年10月1日、東海道新幹線が東京〜新大阪間で開業しました。"
   },
   {
     id: 29,
     question: "十干十二支の組み合わせで2024年は?",
     choices: ["甲辰", "乙巳", "丙午", "甲午" ],
-    answer: 0
+    answer: 0,
+    category: "culture",
+    difficulty: "hard"
   },
   {
     id: 30,
     question: "チェスの駒で最も動きの自由度が高いのは?",
     choices: ["キング", "クイーン", "ナイト", "ビショップ" ],
-    answer: 1
+    answer: 1,
+    category: "culture",
+    difficulty: "easy"
   },
   {
     id: 31,
     question: "俳句で季語が必要とされる形式は?",
     choices: ["和歌", "短歌", "川柳", "俳句" ],
-    answer: 3
+    answer: 3,
+    category: "literature",
+    difficulty: "normal"
   },
   {
     id: 32,
     question: "明治維新で五箇条の御誓文が発布された年は?",
     choices: ["1867年", "1868年", "1869年", "1871年" ],
-    answer: 1
+    answer: 1,
+    category: "history",
+    difficulty: "normal",
+    explanation: "五箇条の御誓文は1868年（慶応4年）に示された明治新政府の基本方針です。"
   },
   {
     id: 33,
     question: "関西国際空港が埋め立てによって造成された海は?",
     choices: ["瀬戸内海", "伊勢湾", "大阪湾", "若狭湾" ],
-    answer: 2
+    answer: 2,
+    category: "geography",
+    difficulty: "normal"
   },
   {
     id: 34,
     question: "アフリカ大陸で面積が最も大きい国は?",
     choices: ["アルジェリア", "コンゴ民主共和国", "スーダン", "リビア" ],
-    answer: 0
+    answer: 0,
+    category: "geography",
+    difficulty: "normal"
   },
   {
     id: 35,
     question: "日本の伝統芸能で、狂言と組み合わせて上演されるものは?",
     choices: ["歌舞伎", "能", "文楽", "落語" ],
-    answer: 1
+    answer: 1,
+    category: "culture",
+    difficulty: "normal"
   },
   {
     id: 36,
     question: "紫式部の父である藤原為時が編纂に関わった漢詩文集は?",
     choices: ["和漢朗詠集", "新古今和歌集", "万葉集", "古今和歌集" ],
-    answer: 0
+    answer: 0,
+    category: "literature",
+    difficulty: "hard"
   },
   {
     id: 37,
     question: "日本の国宝・姫路城の別名は?",
     choices: ["白鷺城", "鶴ヶ城", "松山城", "熊本城" ],
-    answer: 0
+    answer: 0,
+    category: "culture",
+    difficulty: "normal"
   },
   {
     id: 38,
     question: "47都道府県の中で最も面積が小さいのは?",
     choices: ["香川県", "大阪府", "東京都", "沖縄県" ],
-    answer: 0
+    answer: 0,
+    category: "geography",
+    difficulty: "normal",
+    explanation: "香川県の面積は約1,877km²で、47都道府県の中で最も小さい県です。"
   },
   {
     id: 39,
     question: "日本の高速道路で、NEXCO中日本が管理する路線色は何色?",
     choices: ["青", "緑", "橙", "紫" ],
-    answer: 0
+    answer: 0,
+    category: "society",
+    difficulty: "hard"
   },
   {
     id: 40,
     question: "松尾芭蕉の代表作『奥の細道』の旅の出発地は?",
     choices: ["江戸・日本橋", "深川", "日光", "松島" ],
-    answer: 1
+    answer: 1,
+    category: "literature",
+    difficulty: "normal"
   },
   {
     id: 41,
     question: "江戸時代に整備された五街道のうち、京と江戸を結ぶ最長の街道は?",
     choices: ["中山道", "東海道", "甲州街道", "日光街道" ],
-    answer: 0
+    answer: 0,
+    category: "history",
+    difficulty: "normal"
   },
   {
     id: 42,
     question: "干支で辰の次に来るのは?",
     choices: ["巳", "午", "未", "申" ],
-    answer: 0
+    answer: 0,
+    category: "culture",
+    difficulty: "easy"
   },
   {
     id: 43,
     question: "1964年の東京オリンピック開会式で最終聖火ランナーを務めたのは誰?",
     choices: ["坂井義則", "円谷幸吉", "東洋の魔女", "織田幹雄" ],
-    answer: 0
+    answer: 0,
+    category: "society",
+    difficulty: "hard"
   },
   {
     id: 44,
     question: "日本アルプスを構成する山脈で、北アルプスとも呼ばれるのは?",
     choices: ["飛騨山脈", "木曽山脈", "赤石山脈", "大雪山脈" ],
-    answer: 0
+    answer: 0,
+    category: "geography",
+    difficulty: "normal"
   },
   {
     id: 45,
     question: "源平合戦で有名な一ノ谷の戦いが行われた現在の都市は?",
     choices: ["神戸市", "広島市", "福岡市", "高松市" ],
-    answer: 0
+    answer: 0,
+    category: "history",
+    difficulty: "normal"
   },
   {
     id: 46,
     question: "日本の旧国名で、現在の三重県北部にあたるのは?",
     choices: ["伊勢", "志摩", "伊賀", "紀伊" ],
-    answer: 0
+    answer: 0,
+    category: "history",
+    difficulty: "hard"
   },
   {
     id: 47,
     question: "『徒然草』の作者として知られる人物は?",
     choices: ["鴨長明", "吉田兼好", "兼好法師", "慈円" ],
-    answer: 1
+    answer: 1,
+    category: "literature",
+    difficulty: "normal"
   },
   {
     id: 48,
     question: "明治時代に制定された太陽暦で1年は何日になった?",
     choices: ["360日", "364日", "365日", "366日" ],
-    answer: 2
+    answer: 2,
+    category: "society",
+    difficulty: "normal"
   },
   {
     id: 49,
     question: "世界の海で最も面積が大きいのは?",
     choices: ["大西洋", "太平洋", "インド洋", "北極海" ],
-    answer: 1
+    answer: 1,
+    category: "geography",
+    difficulty: "easy",
+    explanation: "太平洋は地球の表面積のおよそ3分の1を占める最大の海洋です。"
   },
   {
     id: 50,
     question: "茶道で『茶の湯』を大成させたとされる人物は?",
     choices: ["千利休", "古田織部", "小堀遠州", "織田信長" ],
-    answer: 0
+    answer: 0,
+    category: "culture",
+    difficulty: "normal"
   },
   {
     id: 51,
     question: "ロシアの首都モスクワを流れる川は?",
     choices: ["ヴォルガ川", "オビ川", "ドナウ川", "モスクワ川" ],
-    answer: 3
+    answer: 3,
+    category: "geography",
+    difficulty: "normal"
   },
   {
     id: 52,
     question: "ノーベル賞のうち、スウェーデンではなくノルウェーで授与される部門は?",
     choices: ["物理学賞", "化学賞", "文学賞", "平和賞" ],
-    answer: 3
+    answer: 3,
+    category: "society",
+    difficulty: "normal"
   },
   {
     id: 53,
     question: "日本で初めて世界遺産に登録された自然遺産は?",
     choices: ["白神山地", "知床", "屋久島", "小笠原諸島" ],
-    answer: 2
+    answer: 2,
+    category: "geography",
+    difficulty: "normal",
+    explanation: "1993年、屋久島は白神山地とともに日本で初めて世界自然遺産に登録されました。"
   },
   {
     id: 54,
     question: "鉄道唱歌で『汽笛一声新橋を』と歌われている終着駅は?",
     choices: ["横浜", "小田原", "名古屋", "京都" ],
-    answer: 0
+    answer: 0,
+    category: "society",
+    difficulty: "hard"
   },
   {
     id: 55,
     question: "一般に『みそぎ』が行われる神社の拝殿前にある水場を何という?",
     choices: ["賽銭箱", "手水舎", "狛犬", "神楽殿" ],
-    answer: 1
+    answer: 1,
+    category: "culture",
+    difficulty: "hard"
   },
   {
     id: 56,
     question: "夏目漱石の小説『こころ』の語り手が呼ぶ『先生』の本名は?",
     choices: ["加賀", "田辺", "下村", "明かされない" ],
-    answer: 3
+    answer: 3,
+    category: "literature",
+    difficulty: "hard"
   },
   {
     id: 57,
     question: "平安京のモデルとなった中国の都は?",
     choices: ["長安", "洛陽", "開封", "大都" ],
-    answer: 0
+    answer: 0,
+    category: "history",
+    difficulty: "normal"
   },
   {
     id: 58,
     question: "江戸時代において参勤交代が義務付けられたのは何大名?",
     choices: ["御家人", "旗本", "諸藩の大名", "新田開発領主" ],
-    answer: 2
+    answer: 2,
+    category: "history",
+    difficulty: "hard"
   },
   {
     id: 59,
     question: "日本の民話『桃太郎』で桃太郎が鬼退治に連れて行った動物は?",
     choices: ["犬・猿・雉", "犬・猿・牛", "犬・狐・雉", "犬・狸・猿" ],
-    answer: 0
+    answer: 0,
+    category: "literature",
+    difficulty: "easy"
   },
   {
     id: 60,
     question: "世界の国旗で最も古いものとして知られるデンマーク国旗の通称は?",
     choices: ["ユニオンジャック", "ダンネブロ", "トリコロール", "スターズ・アンド・ストライプス" ],
-    answer: 1
+    answer: 1,
+    category: "geography",
+    difficulty: "normal"
   },
   {
     id: 61,
     question: "本州四国連絡橋のうち、瀬戸大橋が結ぶ県は?",
     choices: ["岡山県と香川県", "兵庫県と徳島県", "広島県と愛媛県", "山口県と香川県" ],
-    answer: 0
+    answer: 0,
+    category: "geography",
+    difficulty: "normal"
   },
   {
     id: 62,
     question: "歌舞伎で女性の役を専門に演じる男性役者を何という?",
     choices: ["立役", "敵役", "女方", "道化" ],
-    answer: 2
+    answer: 2,
+    category: "culture",
+    difficulty: "normal"
   },
   {
     id: 63,
     question: "江戸幕府の三奉行に含まれない役職は?",
     choices: ["寺社奉行", "町奉行", "勘定奉行", "若年寄" ],
-    answer: 3
+    answer: 3,
+    category: "history",
+    difficulty: "hard"
   },
   {
     id: 64,
     question: "オーストラリアの首都はどこ?",
     choices: ["シドニー", "メルボルン", "ブリスベン", "キャンベラ" ],
-    answer: 3
+    answer: 3,
+    category: "geography",
+    difficulty: "easy",
+    explanation: "シドニーとメルボルンの首都争いの妥協案として、計画的に建設された都市です。"
   },
   {
     id: 65,
     question: "江戸時代の貨幣単位で、1両の4分の1にあたるのは?",
     choices: ["一朱", "一分", "一文", "一貫" ],
-    answer: 1
+    answer: 1,
+    category: "history",
+    difficulty: "hard"
   },
   {
     id: 66,
     question: "日本で最も長い川は?",
     choices: ["信濃川", "利根川", "石狩川", "天塩川" ],
-    answer: 0
+    answer: 0,
+    category: "geography",
+    difficulty: "easy",
+    explanation: "信濃川は長さ367kmで日本最長の川です。上流の長野県内では千曲川と呼ばれます。",
+    referenceUrl: "https://ja.wikipedia.org/wiki/信濃川"
   },
   {
     id: 67,
     question: "イタリアのルネサンス期に活躍し『最後の晩餐』を描いたのは?",
     choices: ["ミケランジェロ", "レオナルド・ダ・ヴィンチ", "ラファエロ", "ボッティチェリ" ],
-    answer: 1
+    answer: 1,
+    category: "culture",
+    difficulty: "normal",
+    explanation: "『最後の晩餐』はミラノのサンタ・マリア・デッレ・グラツィエ修道院にある壁画です。"
   },
   {
     id: 68,
     question: "東海道五十三次の出発点とされる宿場町は?",
     choices: ["品川宿", "川崎宿", "日本橋", "戸塚宿" ],
-    answer: 2
+    answer: 2,
+    category: "history",
+    difficulty: "normal"
   },
   {
     id: 69,
     question: "惑星の中で公転周期が最も短いのは?",
     choices: ["金星", "火星", "水星", "木星" ],
-    answer: 2
+    answer: 2,
+    category: "society",
+    difficulty: "easy",
+    explanation: "水星は太陽に最も近い惑星で、約88日で太陽の周りを一周します。"
   },
   {
     id: 70,
     question: "平家物語の冒頭で鳴り響く鐘はどこの寺?",
     choices: ["知恩院", "延暦寺", "方丈記", "祇園精舎" ],
-    answer: 3
+    answer: 3,
+    category: "literature",
+    difficulty: "normal"
   },
   {
     id: 71,
     question: "音階ドレミファソラシドの呼び名を定めたのはどの国の修道士?",
     choices: ["イタリア", "フランス", "スペイン", "ドイツ" ],
-    answer: 0
+    answer: 0,
+    category: "culture",
+    difficulty: "hard"
   },
   {
     id: 72,
     question: "童話『シンデレラ』でシンデレラが舞踏会へ向かう乗り物は?",
     choices: ["かぼちゃの馬車", "白鳥のそり", "黄金の車", "魔法の絨毯" ],
-    answer: 0
+    answer: 0,
+    category: "literature",
+    difficulty: "easy"
   },
   {
     id: 73,
     question: "枕草子の冒頭『春はあけぼの』の作者は?",
     choices: ["紫式部", "清少納言", "和泉式部", "待賢門院" ],
-    answer: 1
+    answer: 1,
+    category: "literature",
+    difficulty: "easy",
+    explanation: "『枕草子』は平安時代中期に清少納言が書いた随筆です。"
   },
   {
     id: 74,
     question: "オリンピックで冬季と夏季の両方に出場した日本人選手は?",
     choices: ["荻原健司", "伊藤みどり", "橋本聖子", "葛西紀明" ],
-    answer: 2
+    answer: 2,
+    category: "society",
+    difficulty: "hard"
   },
   {
     id: 75,
     question: "アメリカ独立戦争の引き金となった『ボストン茶会事件』の年は?",
     choices: ["1763年", "1773年", "1776年", "1781年" ],
-    answer: 1
+    answer: 1,
+    category: "history",
+    difficulty: "normal"
   },
   {
     id: 76,
     question: "スイスの通貨単位は?",
     choices: ["ユーロ", "フラン", "ポンド", "クローネ" ],
-    answer: 1
+    answer: 1,
+    category: "society",
+    difficulty: "normal"
   },
   {
     id: 77,
     question: "江戸時代に出版された『解体新書』の原著は?",
     choices: ["ドイツ語", "フランス語", "オランダ語", "ラテン語" ],
-    answer: 3
+    answer: 3,
+    category: "history",
+    difficulty: "hard"
   },
   {
     id: 78,
     question: "アフリカの大地溝帯を英語で何という?",
     choices: ["Great Rift Valley", "Grand Canyon", "Sahara Desert", "Cape Fold Belt" ],
-    answer: 0
+    answer: 0,
+    category: "geography",
+    difficulty: "normal"
   },
   {
     id: 79,
     question: "近代オリンピックの父と呼ばれる人物は?",
     choices: ["クーベルタン男爵", "デ・クーベルタン子爵", "ジム・ソープ", "ブレイク卿" ],
-    answer: 0
+    answer: 0,
+    category: "society",
+    difficulty: "normal",
+    explanation: "ピエール・ド・クーベルタンは1894年に国際オリンピック委員会の設立を提唱しました。"
   },
   {
     id: 80,
     question: "日本の旧暦で正月に行われた一連の行事を総称して何と呼ぶ?",
     choices: ["五節句", "年中行事", "正月行事", "御用始め" ],
-    answer: 2
+    answer: 2,
+    category: "culture",
+    difficulty: "hard"
   },
   {
     id: 81,
     question: "室町幕府を開いた足利尊氏が初代将軍に任命されたのは誰から?",
     choices: ["後醍醐天皇", "北条高時", "光明天皇", "後村上天皇" ],
-    answer: 2
+    answer: 2,
+    category: "history",
+    difficulty: "hard"
   },
   {
     id: 82,
     question: "徳川家康の側近で、江戸幕府初期の外交を担当したのは?",
     choices: ["本多正信", "井伊直政", "酒井忠次", "結城秀康" ],
-    answer: 0
+    answer: 0,
+    category: "history",
+    difficulty: "hard"
   },
   {
     id: 83,
     question: "江戸の町火消しで有名な掛け声は?",
     choices: ["ヨイトマケ", "エンヤコラ", "いろは四十八組", "いざ出陣" ],
-    answer: 2
+    answer: 2,
+    category: "culture",
+    difficulty: "hard"
   },
   {
     id: 84,
     question: "能の演目『安宅』に登場する弁慶の主人公は?",
     choices: ["源義経", "源頼朝", "武蔵坊弁慶", "那須与一" ],
-    answer: 0
+    answer: 0,
+    category: "culture",
+    difficulty: "hard"
   },
   {
     id: 85,
     question: "平安時代に成立した『古今和歌集』を編纂したのは誰?",
     choices: ["紀貫之", "柿本人麻呂", "藤原定家", "藤原俊成" ],
-    answer: 0
+    answer: 0,
+    category: "literature",
+    difficulty: "normal"
   },
   {
     id: 86,
     question: "江戸城の別名で『千代田城』とも呼ばれる理由は?",
     choices: ["所在地が千代田区だから", "築城者の家紋", "周囲の千代田区の地名", "石垣に千代田の梅" ],
-    answer: 0
+    answer: 0,
+    category: "society",
+    difficulty: "hard"
   },
   {
     id: 87,
     question: "伊勢神宮の内宮に祀られている神は?",
     choices: ["天照大御神", "豊受大御神", "大国主命", "八幡神" ],
-    answer: 0
+    answer: 0,
+    category: "culture",
+    difficulty: "normal"
   },
   {
     id: 88,
     question: "国連の公用語に含まれない言語は?",
     choices: ["スペイン語", "アラビア語", "ドイツ語", "ロシア語" ],
-    answer: 2
+    answer: 2,
+    category: "society",
+    difficulty: "normal"
   },
   {
     id: 89,
     question: "世界最長の万里の長城が主に築かれた王朝は?",
     choices: ["秦", "漢", "唐", "明" ],
-    answer: 3
+    answer: 3,
+    category: "history",
+    difficulty: "normal"
   },
   {
     id: 90,
     question: "日本の童謡『花』で歌われる川は?",
     choices: ["隅田川", "荒川", "多摩川", "利根川" ],
-    answer: 0
+    answer: 0,
+    category: "literature",
+    difficulty: "normal"
   },
   {
     id: 91,
     question: "落語『寿限無』で寿限無が最初に習う芸は?",
     choices: ["太鼓", "三味線", "筆道", "そろばん" ],
-    answer: 0
+    answer: 0,
+    category: "culture",
+    difficulty: "hard"
   },
   {
     id: 92,
     question: "江戸時代に行われた庶民の娯楽で花街にある劇場を何と呼ぶ?",
     choices: ["芝居小屋", "寄席", "能舞台", "講談席" ],
-    answer: 0
+    answer: 0,
+    category: "culture",
+    difficulty: "hard"
   },
   {
     id: 93,
     question: "日本で最初に世界遺産に登録された文化遺産は?",
     choices: ["法隆寺地域の仏教建造物", "白川郷・五箇山の合掌造り集落", "日光の社寺", "古都京都の文化財" ],
-    answer: 0
+    answer: 0,
+    category: "culture",
+    difficulty: "normal"
   },
   {
     id: 94,
     question: "古代エジプト文明で太陽神とされた神は?",
     choices: ["アヌビス", "ラー", "ホルス", "オシリス" ],
-    answer: 1
+    answer: 1,
+    category: "culture",
+    difficulty: "normal"
   },
   {
     id: 95,
     question: "江戸時代の浮世絵師で『東海道五十三次』を描いたのは?",
     choices: ["葛飾北斎", "歌川広重", "喜多川歌麿", "東洲斎写楽" ],
-    answer: 1
+    answer: 1,
+    category: "culture",
+    difficulty: "normal",
+    explanation: "『東海道五拾三次』は、江戸から京都までの宿場を描いた歌川広重の浮世絵の連作です。"
   },
   {
     id: 96,
     question: "日本の最高裁判所が所在するのはどこ?",
     choices: ["霞が関", "永田町", "赤坂", "日比谷" ],
-    answer: 0
+    answer: 0,
+    category: "society",
+    difficulty: "hard"
   },
   {
     id: 97,
     question: "『風姿花伝』を著した世阿弥が所属した芸能は?",
     choices: ["能", "狂言", "歌舞伎", "雅楽" ],
-    answer: 0
+    answer: 0,
+    category: "culture",
+    difficulty: "normal"
   },
   {
     id: 98,
     question: "日本の国会で、衆議院と参議院の定数の組み合わせとして正しいのは?",
     choices: ["衆議院465・参議院248", "衆議院480・参議院242", "衆議院460・参議院250", "衆議院500・参議院252" ],
-    answer: 0
+    answer: 0,
+    category: "society",
+    difficulty: "hard"
   },
   {
     id: 99,
     question: "イスラム教の聖典は?",
     choices: ["タルムード", "クルアーン", "トーラー", "ヴェーダ" ],
-    answer: 1
+    answer: 1,
+    category: "culture",
+    difficulty: "easy",
+    explanation: "クルアーン（コーラン）は、預言者ムハンマドに下された啓示をまとめたイスラム教の聖典です。"
   },
   {
     id: 100,
     question: "江戸時代に町人が学ぶ寺子屋で主に使用された教科書は?",
     choices: ["論語", "四書五経", "往来物", "大学" ],
-    answer: 2
+    answer: 2,
+    category: "history",
+    difficulty: "hard"
   },
   {
     id: 101,
     question: "初代内閣総理大臣を務めたのは誰?",
     choices: ["伊藤博文", "山県有朋", "大隈重信", "黒田清隆" ],
-    answer: 0
+    answer: 0,
+    category: "history",
+    difficulty: "easy",
+    explanation: "1885年の内閣制度の創設とともに、伊藤博文が初代内閣総理大臣に就任しました。",
+    referenceUrl: "https://ja.wikipedia.org/wiki/伊藤博文"
   },
   {
     id: 102,
     question: "『方丈記』の冒頭にある言葉は?",
     choices: ["祇園精舎の鐘の声", "行く川の流れは絶えず", "春はあけぼの", "色は匂へど" ],
-    answer: 1
+    answer: 1,
+    category: "literature",
+    difficulty: "normal"
   },
   {
     id: 103,
     question: "フランス革命が始まったとされるバスティーユ襲撃は何年?",
     choices: ["1779年", "1789年", "1799年", "1804年" ],
-    answer: 1
+    answer: 1,
+    category: "history",
+    difficulty: "easy",
+    explanation: "1789年7月14日のバスティーユ牢獄襲撃がフランス革命の発端とされています。"
   },
   {
     id: 104,
     question: "日本の国花として広く認識されているのは桜と何?",
     choices: ["菊", "梅", "牡丹", "椿" ],
-    answer: 0
+    answer: 0,
+    category: "culture",
+    difficulty: "easy"
   },
   {
     id: 105,
     question: "国際連合が発足した年は?",
     choices: ["1943年", "1945年", "1947年", "1950年" ],
-    answer: 1
+    answer: 1,
+    category: "history",
+    difficulty: "easy",
+    explanation: "国際連合憲章が発効した1945年10月24日に国際連合が発足しました。"
   },
   {
     id: 106,
     question: "江戸時代に発展した浮世草子の作家で『日本永代蔵』を書いたのは?",
     choices: ["井原西鶴", "近松門左衛門", "滝沢馬琴", "上田秋成" ],
-    answer: 0
+    answer: 0,
+    category: "literature",
+    difficulty: "normal"
   },
   {
     id: 107,
     question: "日本の旧暦で2月に行われる節分でまく豆は?",
     choices: ["小豆", "黒豆", "落花生", "炒った大豆" ],
-    answer: 3
+    answer: 3,
+    category: "culture",
+    difficulty: "hard"
   },
   {
     id: 108,
     question: "世界最大の砂漠は?",
     choices: ["サハラ砂漠", "アラビア砂漠", "ゴビ砂漠", "カラハリ砂漠" ],
-    answer: 0
+    answer: 0,
+    category: "geography",
+    difficulty: "easy",
+    explanation: "南極などの寒冷砂漠を除くと、アフリカ北部のサハラ砂漠が世界最大の砂漠です。"
   },
   {
     id: 109,
     question: "奈良時代に造られた大仏がある東大寺の座像の高さはおよそ?",
     choices: ["10メートル", "15メートル", "18メートル", "22メートル" ],
-    answer: 2
+    answer: 2,
+    category: "culture",
+    difficulty: "hard"
   },
   {
     id: 110,
     question: "『銀河鉄道の夜』を書いた作家は?",
     choices: ["芥川龍之介", "宮沢賢治", "太宰治", "中原中也" ],
-    answer: 1
+    answer: 1,
+    category: "literature",
+    difficulty: "easy",
+    explanation: "『銀河鉄道の夜』は宮沢賢治の代表作で、作者の死後に発表されました。"
   },
   {
     id: 111,
     question: "江戸時代にペリーが浦賀に来航したのは西暦何年?",
     choices: ["1846年", "1853年", "1858年", "1862年" ],
-    answer: 1
+    answer: 1,
+    category: "history",
+    difficulty: "normal",
+    explanation: "1853年、ペリー率いるアメリカ艦隊が浦賀沖に来航し、日本に開国を求めました。"
   },
   {
     id: 112,
     question: "日本最古の勅撰和歌集『古今和歌集』が成立したのは?",
     choices: ["平安時代", "鎌倉時代", "奈良時代", "室町時代" ],
-    answer: 0
+    answer: 0,
+    category: "literature",
+    difficulty: "normal"
   },
   {
     id: 113,
     question: "アジアで最も長い川は?",
     choices: ["長江", "黄河", "メコン川", "ガンジス川" ],
-    answer: 0
+    answer: 0,
+    category: "geography",
+    difficulty: "normal",
+    explanation: "長江は全長約6,300kmで、アジアで最も長い川です。"
   },
   {
     id: 114,
     question: "日本で最も深い湖は?",
     choices: ["摩周湖", "田沢湖", "支笏湖", "洞爺湖" ],
-    answer: 1
+    answer: 1,
+    category: "geography",
+    difficulty: "hard"
   },
   {
     id: 115,
     question: "東海道新幹線のぞみ号が営業運転を開始したのは?",
     choices: ["1990年", "1992年", "1995年", "1997年" ],
-    answer: 1
+    answer: 1,
+    category: "society",
+    difficulty: "hard"
   },
   {
     id: 116,
     question: "ヨーロッパ連合の本部が置かれている都市は?",
     choices: ["パリ", "ベルリン", "ブリュッセル", "ウィーン" ],
-    answer: 2
+    answer: 2,
+    category: "geography",
+    difficulty: "normal",
+    explanation: "欧州委員会や欧州連合理事会など、EU の主要機関がベルギーのブリュッセルに置かれています。"
   },
   {
     id: 117,
     question: "江戸時代に活躍した浮世絵師で『富嶽三十六景』を描いたのは?",
     choices: ["葛飾北斎", "歌川広重", "喜多川歌麿", "鈴木春信" ],
-    answer: 0
+    answer: 0,
+    category: "culture",
+    difficulty: "easy",
+    explanation: "『富嶽三十六景』は、葛飾北斎が各地から見た富士山を描いた浮世絵の連作です。"
   },
   {
     id: 118,
     question: "歌舞伎十八番のうち、市川家に伝わる演目ではないのは?",
     choices: ["勧進帳", "助六", "暫", "義経千本桜" ],
-    answer: 3
+    answer: 3,
+    category: "culture",
+    difficulty: "hard"
   },
   {
     id: 119,
     question: "日本で最初に開通した地下鉄は?",
     choices: ["銀座線", "丸ノ内線", "東西線", "半蔵門線" ],
-    answer: 0
+    answer: 0,
+    category: "society",
+    difficulty: "hard",
+    explanation: "1927年に上野〜浅草間で開業した東京地下鉄道（現在の銀座線）が日本初の地下鉄です。"
   },
   {
     id: 120,
     question: "江戸時代の俳人で『古池や蛙飛びこむ水の音』の句を詠んだのは?",
     choices: ["松尾芭蕉", "与謝蕪村", "小林一茶", "正岡子規" ],
-    answer: 0
+    answer: 0,
+    category: "literature",
+    difficulty: "easy",
+    explanation: "「古池や蛙飛びこむ水の音」は、松尾芭蕉の代表的な句として知られています。"
   },
   {
     id: 121,
     question: "日本の郵便番号制度が導入されたのは?",
     choices: ["1963年", "1968年", "1973年", "1978年" ],
-    answer: 1
+    answer: 1,
+    category: "society",
+    difficulty: "hard"
   },
   {
     id: 122,
     question: "世界最長の川とされるのは?",
     choices: ["アマゾン川", "ナイル川", "ミシシッピ川", "長江" ],
-    answer: 1
+    answer: 1,
+    category: "geography",
+    difficulty: "easy",
+    explanation: "ナイル川は全長約6,650kmで世界最長の川とされます。アマゾン川を最長とする説もあります。",
+    referenceUrl: "https://ja.wikipedia.org/wiki/ナイル川"
   },
   {
     id: 123,
     question: "明治時代に制定された軍隊の最高統帥権を持つのは誰?",
     choices: ["内閣総理大臣", "天皇", "陸軍大臣", "参謀総長" ],
-    answer: 1
+    answer: 1,
+    category: "history",
+    difficulty: "hard"
   },
   {
     id: 124,
     question: "ドイツの作曲家ベートーヴェンが作曲した交響曲第9番の副題は?",
     choices: ["運命", "英雄", "合唱", "田園" ],
-    answer: 2
+    answer: 2,
+    category: "culture",
+    difficulty: "easy",
+    explanation: "交響曲第9番の第4楽章には、シラーの詩「歓喜に寄す」による合唱が入ります。"
+  },
+  {
+    id: 125,
+    type: "multiple",
+    question: "次のうち、日本の世界遺産に登録されているものをすべて選びなさい。",
+    choices: ["屋久島", "富士山", "琵琶湖", "姫路城"],
+    answers: [0, 1, 3],
+    category: "geography",
+    difficulty: "normal",
+    explanation: "屋久島と姫路城は1993年、富士山は2013年に世界遺産に登録されました。琵琶湖は登録されていません。"
+  },
+  {
+    id: 126,
+    type: "ordering",
+    question: "次の出来事を古い順に並べなさい。",
+    choices: ["大化の改新", "平安京遷都", "鎌倉幕府の成立", "関ヶ原の戦い"],
+    category: "history",
+    difficulty: "normal",
+    explanation: "大化の改新（645年）、平安京遷都（794年）、鎌倉幕府の成立（12世紀末）、関ヶ原の戦い（1600年）の順です。"
+  },
+  {
+    id: 127,
+    type: "numeric",
+    question: "富士山の標高は約何メートル?（±10メートルまで正解）",
+    choices: [],
+    answer: 3776,
+    tolerance: 10,
+    category: "geography",
+    difficulty: "easy",
+    explanation: "富士山の標高は3,776メートルで、日本で最も高い山です。"
+  },
+  {
+    id: 128,
+    type: "text",
+    question: "「吾輩は猫である」の作者は?（ひらがなでも可）",
+    choices: [],
+    acceptedAnswers: ["夏目漱石", "なつめそうせき", "漱石"],
+    category: "literature",
+    difficulty: "easy",
+    explanation: "「吾輩は猫である」は夏目漱石のデビュー作です。"
   },
 ];
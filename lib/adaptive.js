@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const rating = require('./rating');
+const { createRandom } = require('./random');
+
+const TARGET_SUCCESS_RATE = 0.6;
+const CANDIDATE_COUNT = 3;
+const MAX_SEED_LENGTH = 64;
+
+function normalizeSeed(value) {
+  if ((typeof value === 'string' && value.trim()) || Number.isFinite(value)) {
+    return String(value).trim().slice(0, MAX_SEED_LENGTH);
+  }
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// Question ratings are snapshotted so a seed replays the same quiz even while others keep playing.
+function createAdaptiveState({ questionRatings, playerRating, seed }) {
+  return {
+    seed,
+    random: createRandom(seed),
+    player: { rating: playerRating.rating, answers: playerRating.answers },
+    questionRatings: new Map(questionRatings),
+    remaining: Array.from(questionRatings.keys()).sort((a, b) => a - b)
+  };
+}
+
+// Picks randomly among the questions whose predicted success rate is closest to the target.
+function pickNextQuestion(state) {
+  if (!state.remaining.length) {
+    return null;
+  }
+
+  const ranked = state.remaining
+    .map(id => ({
+      id,
+      distance: Math.abs(rating.expectedScore(state.player.rating, state.questionRatings.get(id)) - TARGET_SUCCESS_RATE)
+    }))
+    .sort((a, b) => a.distance - b.distance || a.id - b.id);
+  const candidates = ranked.slice(0, CANDIDATE_COUNT);
+  const { id } = candidates[Math.floor(state.random() * candidates.length)];
+  state.remaining = state.remaining.filter(remainingId => remainingId !== id);
+  return id;
+}
+
+// Updates the in-session estimate only; stored ratings are rebuilt from history on submit.
+function recordResult(state, questionId, result) {
+  rating.applyResult(state.player, { rating: state.questionRatings.get(questionId), answers: 0 }, result);
+  return state.player.rating;
+}
+
+module.exports = {
+  normalizeSeed,
+  createAdaptiveState,
+  pickNextQuestion,
+  recordResult
+};
@@ -0,0 +1,63 @@
+const { createRandom, shuffleWith } = require('./random');
+
+function isAuthoredOrder(order) {
+  return order.every((authoredIndex, displayIndex) => authoredIndex === displayIndex);
+}
+
+// order[displayIndex] is the authored index of the choice shown at that position.
+// Ordering questions are authored in the correct order, so they are shuffled again until the order moves.
+function createChoiceOrder(question, random = Math.random) {
+  const order = question.choices.map((choice, index) => index);
+  if (question.lockChoiceOrder) {
+    return order;
+  }
+  const mustMove = question.type === 'ordering' && order.length > 1;
+  let shuffled;
+  do {
+    shuffled = shuffleWith(random, order);
+  } while (mustMove && isAuthoredOrder(shuffled));
+  return shuffled;
+}
+
+// Seeded per question, so the order doesn't depend on which other questions are in the set.
+function createSeededChoiceOrder(question, seed) {
+  return createChoiceOrder(question, createRandom(`${seed}:choices:${question.id}`));
+}
+
+function applyChoiceOrder(choices, order) {
+  return order ? order.map(index => choices[index]) : [...choices];
+}
+
+function toAuthoredIndex(order, displayIndex) {
+  return order ? order[displayIndex] : displayIndex;
+}
+
+function toDisplayIndex(order, authoredIndex) {
+  if (!order || authoredIndex === null || authoredIndex === undefined) {
+    return authoredIndex;
+  }
+  return order.indexOf(authoredIndex);
+}
+
+// Rooms keep their own question copies, so the shuffled order can be baked into the copy.
+function shuffleQuestionChoices(question, random = Math.random) {
+  const order = createChoiceOrder(question, random);
+  const shuffled = {
+    ...question,
+    choices: applyChoiceOrder(question.choices, order),
+    answer: toDisplayIndex(order, question.answer)
+  };
+  if (question.choiceMedia) {
+    shuffled.choiceMedia = applyChoiceOrder(question.choiceMedia, order);
+  }
+  return shuffled;
+}
+
+module.exports = {
+  createChoiceOrder,
+  createSeededChoiceOrder,
+  applyChoiceOrder,
+  toAuthoredIndex,
+  toDisplayIndex,
+  shuffleQuestionChoices
+};
@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+
+// No 0/O or 1/I, so a code read out loud or off a screen is typed in right.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 5;
+
+function generateCode(isTaken) {
+  let code = '';
+  do {
+    code = Array.from(crypto.randomBytes(CODE_LENGTH))
+      .map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length])
+      .join('');
+  } while (isTaken(code));
+  return code;
+}
+
+function generateToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// Compared in constant time so the response time gives nothing away about how much of a token was right.
+function tokensMatch(expected, actual) {
+  if (typeof actual !== 'string' || actual.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+}
+
+module.exports = {
+  generateCode,
+  generateToken,
+  tokensMatch
+};
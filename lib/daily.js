@@ -0,0 +1,143 @@
+const random = require('./random');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// en-CA formats dates as YYYY-MM-DD, which also sorts correctly as a string.
+function getDateKey(timeZone, date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+function isDateKey(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+}
+
+function shiftDateKey(dateKey, days) {
+  return new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Weeks start on Monday.
+function getWeekStartKey(dateKey) {
+  const weekday = new Date(Date.parse(`${dateKey}T00:00:00Z`)).getUTCDay();
+  return shiftDateKey(dateKey, -((weekday + 6) % 7));
+}
+
+function pickQuestionIds(questions, dateKey, count) {
+  return random.pickQuestionIds(questions, `daily:${dateKey}`, count);
+}
+
+// A streak survives until the end of the day after the last play, so it is not lost before today's run.
+function getStreak(playedDates, todayKey) {
+  const played = new Set(playedDates);
+  let cursor = played.has(todayKey) ? todayKey : shiftDateKey(todayKey, -1);
+  let streak = 0;
+  while (played.has(cursor)) {
+    streak += 1;
+    cursor = shiftDateKey(cursor, -1);
+  }
+  return streak;
+}
+
+function getBestStreak(playedDates) {
+  const sorted = Array.from(new Set(playedDates)).sort();
+  let best = 0;
+  let current = 0;
+  sorted.forEach((dateKey, index) => {
+    current = index > 0 && shiftDateKey(sorted[index - 1], 1) === dateKey ? current + 1 : 1;
+    best = Math.max(best, current);
+  });
+  return best;
+}
+
+function createDailyRegistry(store) {
+  async function findDay(dateKey) {
+    return (await store.read()).find(day => day.date === dateKey) || null;
+  }
+
+  function updateDay(dateKey, createQuestionIds, change) {
+    let result;
+    return store.update((days) => {
+      const index = days.findIndex(day => day.date === dateKey);
+      const current = index >= 0
+        ? days[index]
+        : { date: dateKey, questionIds: createQuestionIds(), starts: {}, results: [] };
+      const { day, value } = change(current);
+      result = value;
+      if (index >= 0) {
+        days[index] = day;
+      } else {
+        days.push(day);
+      }
+      return days;
+    }).then(() => result);
+  }
+
+  return {
+    findDay,
+
+    async listDays() {
+      return (await store.read()).slice().sort((a, b) => b.date.localeCompare(a.date));
+    },
+
+    // The question set is frozen the first time a day is used, so later edits to the bank don't change it.
+    async getQuestionIds(dateKey, createQuestionIds) {
+      const existing = await findDay(dateKey);
+      if (existing) {
+        return existing.questionIds;
+      }
+      return updateDay(dateKey, createQuestionIds, day => ({ day, value: day.questionIds }));
+    },
+
+    // Only the first start of the day is ranked; a second start would let players preview the set.
+    startAttempt(dateKey, playerId, createQuestionIds) {
+      return updateDay(dateKey, createQuestionIds, (day) => {
+        if (day.starts[playerId]) {
+          return { day, value: null };
+        }
+        return {
+          day: { ...day, starts: { ...day.starts, [playerId]: new Date().toISOString() } },
+          value: day.questionIds
+        };
+      });
+    },
+
+    recordResult(dateKey, result) {
+      return updateDay(dateKey, () => [], (day) => {
+        if (day.results.some(entry => entry.playerId === result.playerId)) {
+          return { day, value: null };
+        }
+        const next = { ...day, results: [...day.results, result] };
+        return { day: next, value: next };
+      });
+    },
+
+    async getPlayedDates(playerId) {
+      return (await store.read())
+        .filter(day => day.results.some(entry => entry.playerId === playerId))
+        .map(day => day.date);
+    }
+  };
+}
+
+module.exports = {
+  isValidTimeZone,
+  getDateKey,
+  isDateKey,
+  shiftDateKey,
+  getWeekStartKey,
+  pickQuestionIds,
+  getStreak,
+  getBestStreak,
+  createDailyRegistry
+};
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+
+async function writeFileAtomic(filePath, contents) {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`
+  );
+
+  const handle = await fs.promises.open(tempPath, 'w');
+  try {
+    await handle.writeFile(contents, 'utf-8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+async function writeJsonAtomic(filePath, data) {
+  await writeFileAtomic(filePath, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+function createWriteQueue() {
+  let tail = Promise.resolve();
+
+  return function enqueue(task) {
+    const run = tail.then(task);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
+
+module.exports = {
+  writeFileAtomic,
+  writeJsonAtomic,
+  createWriteQueue
+};
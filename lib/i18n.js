@@ -0,0 +1,92 @@
+const ja = require('../locales/ja.json');
+const en = require('../locales/en.json');
+
+const DEFAULT_LOCALE = 'ja';
+const LOCALE_COOKIE = 'locale';
+
+const catalogs = { ja, en };
+const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+function isSupportedLocale(locale) {
+  return Object.prototype.hasOwnProperty.call(catalogs, locale);
+}
+
+// Matches on the language alone, so "en-US" and "en-GB" both get the English catalog.
+function toSupportedLocale(tag) {
+  const language = String(tag || '').trim().toLowerCase().split('-')[0];
+  return isSupportedLocale(language) ? language : null;
+}
+
+// "en-US,en;q=0.9,ja;q=0.8" → tags in order of preference; q=0 means "not this one".
+function parseAcceptLanguage(header) {
+  return String(header || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.split(';').map(value => value.trim());
+      const qParam = params.find(param => param.startsWith('q='));
+      const quality = qParam ? Number(qParam.slice(2)) : 1;
+      return { tag, quality: Number.isFinite(quality) ? quality : 0, index };
+    })
+    .filter(item => item.tag && item.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(item => item.tag);
+}
+
+function negotiateLocale(header) {
+  const match = parseAcceptLanguage(header).map(toSupportedLocale).find(Boolean);
+  return match || DEFAULT_LOCALE;
+}
+
+function getCookie(req, name) {
+  const pair = String(req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name);
+  if (!pair) {
+    return null;
+  }
+  // A malformed cookie is ignored rather than failing the request.
+  try {
+    return decodeURIComponent(pair.slice(1).join('='));
+  } catch (error) {
+    return null;
+  }
+}
+
+// An explicit ?locale= wins, then the language switcher's cookie, then the browser's Accept-Language.
+function resolveLocale(req, url) {
+  return toSupportedLocale(url.searchParams.get('locale'))
+    || toSupportedLocale(getCookie(req, LOCALE_COOKIE))
+    || negotiateLocale(req.headers['accept-language']);
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+// Missing keys fall back to Japanese, then to the key itself so a gap shows up instead of an empty message.
+function translate(locale, key, params = {}) {
+  const message = [catalogs[locale], catalogs[DEFAULT_LOCALE]]
+    .map(catalog => (catalog ? lookup(catalog, key) : undefined))
+    .find(value => typeof value === 'string');
+  if (message === undefined) {
+    return key;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+}
+
+function getTranslator(locale) {
+  const resolved = isSupportedLocale(locale) ? locale : DEFAULT_LOCALE;
+  return (key, params) => translate(resolved, key, params);
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  isSupportedLocale,
+  toSupportedLocale,
+  negotiateLocale,
+  resolveLocale,
+  translate,
+  getTranslator
+};
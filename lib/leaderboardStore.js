@@ -0,0 +1,263 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { writeFileAtomic, writeJsonAtomic, createWriteQueue } = require('./fileStore');
+
+const BACKUP_GENERATIONS = 3;
+const BACKUP_INTERVAL_MS = 60 * 1000;
+const COMPACT_MIN_LINES = 200;
+
+function ignoreMissing(error) {
+  if (error.code !== 'ENOENT') {
+    throw error;
+  }
+}
+
+function backupPath(filePath, generation) {
+  return `${filePath}.${generation}.bak`;
+}
+
+async function rotateBackups(filePath) {
+  for (let generation = BACKUP_GENERATIONS - 1; generation >= 1; generation -= 1) {
+    await fs.promises.rename(backupPath(filePath, generation), backupPath(filePath, generation + 1)).catch(ignoreMissing);
+  }
+  await fs.promises.copyFile(filePath, backupPath(filePath, 1)).catch(ignoreMissing);
+}
+
+async function quarantine(filePath) {
+  const target = `${filePath}.corrupt-${Date.now()}`;
+  await fs.promises.rename(filePath, target).catch(ignoreMissing);
+  return target;
+}
+
+function ensureIds(entries) {
+  entries.forEach((entry) => {
+    if (!entry.id) {
+      entry.id = crypto.randomUUID();
+    }
+  });
+  return entries;
+}
+
+function parseJsonEntries(text) {
+  const parsed = JSON.parse(text);
+  if (!Array.isArray(parsed)) {
+    throw new Error('Data file does not hold an array');
+  }
+  return parsed;
+}
+
+function parseLogEntries(text) {
+  const entries = new Map();
+  const lines = text.split('\n');
+  let count = 0;
+  let truncated = false;
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      const isLastLine = lines.slice(index + 1).every(rest => !rest.trim());
+      if (isLastLine) {
+        console.error('Ignoring truncated last line in data log');
+        truncated = true;
+        return;
+      }
+      throw error;
+    }
+
+    count += 1;
+    if (record.op === 'put' && record.entry && record.entry.id) {
+      entries.set(record.entry.id, record.entry);
+    } else if (record.op === 'del' && record.id) {
+      entries.delete(record.id);
+    } else {
+      throw new Error(`Unknown data log record on line ${index + 1}`);
+    }
+  });
+
+  return { entries: Array.from(entries.values()), lineCount: count, needsRewrite: truncated };
+}
+
+function serializeLog(entries) {
+  return entries.map(entry => `${JSON.stringify({ op: 'put', entry })}\n`).join('');
+}
+
+async function appendDurably(filePath, text) {
+  const handle = await fs.promises.open(filePath, 'a');
+  try {
+    await handle.writeFile(text, 'utf-8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+function createStore(filePath, { parse, persist, persistAppend }) {
+  const enqueue = createWriteQueue();
+  let cache = null;
+  let lastBackupAt = 0;
+
+  async function recoverFromBackups() {
+    for (let generation = 1; generation <= BACKUP_GENERATIONS; generation += 1) {
+      try {
+        const text = await fs.promises.readFile(backupPath(filePath, generation), 'utf-8');
+        return parse(text).entries;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`Backup ${generation} of ${filePath} is unreadable:`, error.message);
+        }
+      }
+    }
+    return null;
+  }
+
+  async function load() {
+    let text;
+    try {
+      text = await fs.promises.readFile(filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { entries: [], lineCount: 0 };
+      }
+      throw error;
+    }
+
+    let parsed;
+    try {
+      parsed = parse(text);
+    } catch (error) {
+      console.error(`Data file ${filePath} is corrupt:`, error.message);
+      const recovered = await recoverFromBackups();
+      if (!recovered) {
+        throw new Error(`Data file ${filePath} is corrupt and no backup could be read`);
+      }
+      const moved = await quarantine(filePath);
+      console.error(`Restored ${filePath} from backup; corrupt file kept at ${moved}`);
+      const state = { entries: ensureIds(recovered), lineCount: 0 };
+      return persist(filePath, state, state.entries, { rewrite: true });
+    }
+
+    if (parsed.needsRewrite) {
+      return persist(filePath, parsed, ensureIds(parsed.entries), { rewrite: true });
+    }
+    return parsed;
+  }
+
+  async function getState() {
+    if (!cache) {
+      cache = await load();
+      ensureIds(cache.entries);
+    }
+    return cache;
+  }
+
+  async function backUpIfDue() {
+    if (Date.now() - lastBackupAt >= BACKUP_INTERVAL_MS) {
+      await rotateBackups(filePath);
+      lastBackupAt = Date.now();
+    }
+  }
+
+  return {
+    read() {
+      return enqueue(async () => (await getState()).entries.slice());
+    },
+
+    // Entries are kept in the order they were added, so callers with running totals only read what is new.
+    readSince(count) {
+      return enqueue(async () => (await getState()).entries.slice(count));
+    },
+
+    update(mutator) {
+      return enqueue(async () => {
+        const state = await getState();
+        const next = ensureIds(mutator(structuredClone(state.entries)));
+
+        cache = await persist(filePath, state, next, { rewrite: false });
+        await backUpIfDue();
+
+        return next.slice();
+      });
+    },
+
+    // Adds one entry without copying or comparing the ones already stored.
+    append(entry) {
+      return enqueue(async () => {
+        const state = await getState();
+        const [added] = ensureIds([{ ...entry }]);
+
+        cache = persistAppend
+          ? await persistAppend(filePath, state, added)
+          : await persist(filePath, state, [...state.entries, added], { rewrite: false });
+        await backUpIfDue();
+
+        return added;
+      });
+    }
+  };
+}
+
+function createJsonFileStore(filePath) {
+  return createStore(filePath, {
+    parse: text => ({ entries: parseJsonEntries(text), lineCount: 0 }),
+    async persist(targetPath, previous, entries) {
+      await writeJsonAtomic(targetPath, entries);
+      return { entries, lineCount: 0 };
+    }
+  });
+}
+
+function createAppendLogStore(filePath) {
+  return createStore(filePath, {
+    parse: parseLogEntries,
+    async persist(targetPath, previous, entries, { rewrite }) {
+      if (rewrite || previous.lineCount > Math.max(COMPACT_MIN_LINES, entries.length * 4)) {
+        await writeFileAtomic(targetPath, serializeLog(entries));
+        return { entries, lineCount: entries.length };
+      }
+
+      const before = new Map(previous.entries.map(entry => [entry.id, JSON.stringify(entry)]));
+      const nextIds = new Set(entries.map(entry => entry.id));
+      const records = [];
+      entries.forEach((entry) => {
+        if (before.get(entry.id) !== JSON.stringify(entry)) {
+          records.push({ op: 'put', entry });
+        }
+      });
+      before.forEach((_, id) => {
+        if (!nextIds.has(id)) {
+          records.push({ op: 'del', id });
+        }
+      });
+
+      if (records.length) {
+        await appendDurably(targetPath, records.map(record => `${JSON.stringify(record)}\n`).join(''));
+      }
+      return { entries, lineCount: previous.lineCount + records.length };
+    },
+    // The cached list only grows here, and read() hands out copies, so it is extended in place.
+    async persistAppend(targetPath, previous, entry) {
+      await appendDurably(targetPath, `${JSON.stringify({ op: 'put', entry })}\n`);
+      previous.entries.push(entry);
+      return { entries: previous.entries, lineCount: previous.lineCount + 1 };
+    }
+  });
+}
+
+function createLeaderboardStore({ type = 'json', filePath }) {
+  if (type === 'log') {
+    return createAppendLogStore(filePath);
+  }
+  return createJsonFileStore(filePath);
+}
+
+module.exports = {
+  createLeaderboardStore,
+  createJsonFileStore,
+  createAppendLogStore
+};
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./fileStore');
+const { applyChoiceOrder } = require('./choiceOrder');
+
+const MEDIA_URL_PREFIX = '/media/';
+const MAX_IMAGE_SIZE = 2 * 1024 * 1024;
+const MAX_AUDIO_SIZE = 10 * 1024 * 1024;
+const MAX_UPLOAD_SIZE = Math.max(MAX_IMAGE_SIZE, MAX_AUDIO_SIZE);
+const MAX_QUESTION_MEDIA = 2;
+const MAX_ALT_LENGTH = 200;
+
+const KINDS = {
+  image: { maxSize: MAX_IMAGE_SIZE, tooLargeKey: 'media.imageTooLarge' },
+  audio: { maxSize: MAX_AUDIO_SIZE, tooLargeKey: 'media.audioTooLarge' }
+};
+
+function hasBytes(buffer, bytes, offset = 0) {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+function hasAscii(buffer, text, offset = 0) {
+  return buffer.length >= offset + text.length && buffer.toString('latin1', offset, offset + text.length) === text;
+}
+
+// Uploads are checked by their leading bytes as well as the declared type, so a renamed file is rejected.
+const MEDIA_TYPES = {
+  'image/png': { ext: '.png', kind: 'image', matches: buffer => hasBytes(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  'image/jpeg': { ext: '.jpg', kind: 'image', matches: buffer => hasBytes(buffer, [0xff, 0xd8, 0xff]) },
+  'image/gif': { ext: '.gif', kind: 'image', matches: buffer => hasAscii(buffer, 'GIF87a') || hasAscii(buffer, 'GIF89a') },
+  'image/webp': { ext: '.webp', kind: 'image', matches: buffer => hasAscii(buffer, 'RIFF') && hasAscii(buffer, 'WEBP', 8) },
+  'audio/mpeg': {
+    ext: '.mp3',
+    kind: 'audio',
+    // Either an ID3 tag or a bare MPEG frame sync.
+    matches: buffer => hasAscii(buffer, 'ID3') || (buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)
+  },
+  'audio/ogg': { ext: '.ogg', kind: 'audio', matches: buffer => hasAscii(buffer, 'OggS') },
+  'audio/mp4': { ext: '.m4a', kind: 'audio', matches: buffer => hasAscii(buffer, 'ftyp', 4) }
+};
+
+// Names some browsers send for the same formats.
+const CONTENT_TYPE_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'audio/mp3': 'audio/mpeg',
+  'audio/x-m4a': 'audio/mp4',
+  'audio/m4a': 'audio/mp4'
+};
+
+const extensionKinds = new Map(Object.values(MEDIA_TYPES).map(({ ext, kind }) => [ext, kind]));
+extensionKinds.set('.jpeg', 'image');
+
+function resolveContentType(value) {
+  const type = String(value || '').split(';')[0].trim().toLowerCase();
+  return CONTENT_TYPE_ALIASES[type] || type;
+}
+
+function formatSize(bytes) {
+  return `${Math.round(bytes / (1024 * 1024))}MB`;
+}
+
+function validateUpload(buffer, contentType) {
+  const type = resolveContentType(contentType);
+  const mediaType = MEDIA_TYPES[type];
+  if (!mediaType) {
+    return { status: 415, errorKey: 'media.unsupportedType' };
+  }
+  if (!buffer.length) {
+    return { status: 400, errorKey: 'media.empty' };
+  }
+  const { maxSize, tooLargeKey } = KINDS[mediaType.kind];
+  if (buffer.length > maxSize) {
+    return { status: 413, errorKey: tooLargeKey, params: { size: formatSize(maxSize) } };
+  }
+  if (!mediaType.matches(buffer)) {
+    return { status: 415, errorKey: 'media.contentMismatch' };
+  }
+  return { contentType: type, ...mediaType };
+}
+
+// Files are named after their content, so uploading the same file twice reuses it.
+async function saveMedia(mediaDir, buffer, contentType) {
+  const { ext, kind } = MEDIA_TYPES[contentType];
+  const fileName = `${crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32)}${ext}`;
+  const filePath = path.join(mediaDir, fileName);
+  await fs.promises.mkdir(mediaDir, { recursive: true });
+  const exists = await fs.promises.access(filePath).then(() => true, () => false);
+  if (!exists) {
+    await writeFileAtomic(filePath, buffer);
+  }
+  return { url: `${MEDIA_URL_PREFIX}${fileName}`, kind, contentType, size: buffer.length };
+}
+
+// Only plain file names directly under the media directory, so a question can't point elsewhere on the server.
+function getMediaKind(url) {
+  if (typeof url !== 'string' || !url.startsWith(MEDIA_URL_PREFIX)) {
+    return null;
+  }
+  const fileName = url.slice(MEDIA_URL_PREFIX.length);
+  if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(fileName)) {
+    return null;
+  }
+  return extensionKinds.get(path.extname(fileName).toLowerCase()) || null;
+}
+
+function normalizeAttachment(value) {
+  if (!value || typeof value !== 'object' || typeof value.url !== 'string' || !value.url.trim()) {
+    return null;
+  }
+  const attachment = { url: value.url.trim() };
+  const alt = typeof value.alt === 'string' ? value.alt.replace(/\s+/g, ' ').trim() : '';
+  if (alt) {
+    attachment.alt = alt;
+  }
+  return attachment;
+}
+
+// Returns the media fields for a candidate question; empty lists are left out so plain questions stay plain.
+function normalizeMediaFields(source, withChoices) {
+  const fields = {};
+  const media = Array.isArray(source.media) ? source.media.map(normalizeAttachment).filter(Boolean) : [];
+  if (media.length) {
+    fields.media = media;
+  }
+  const choiceMedia = withChoices && Array.isArray(source.choiceMedia) ? source.choiceMedia.map(normalizeAttachment) : [];
+  if (choiceMedia.some(Boolean)) {
+    fields.choiceMedia = choiceMedia;
+  }
+  return fields;
+}
+
+function validateAttachment(attachment) {
+  if (!getMediaKind(attachment.url)) {
+    return { errorKey: 'question.invalidMediaUrl', params: { url: attachment.url } };
+  }
+  if (attachment.alt && attachment.alt.length > MAX_ALT_LENGTH) {
+    return { errorKey: 'question.mediaAltTooLong', params: { max: MAX_ALT_LENGTH } };
+  }
+  return null;
+}
+
+function validateMediaFields(candidate) {
+  const errors = [];
+  const media = candidate.media || [];
+  if (media.length > MAX_QUESTION_MEDIA) {
+    errors.push({ errorKey: 'question.tooManyMedia', params: { max: MAX_QUESTION_MEDIA } });
+  }
+  if (candidate.choiceMedia && candidate.choiceMedia.length !== candidate.choices.length) {
+    errors.push({ errorKey: 'question.choiceMediaCount' });
+  }
+  // The same bad attachment used twice is reported once.
+  const reported = new Set();
+  const attachments = [...media, ...(candidate.choiceMedia || []).filter(Boolean)];
+  attachments.forEach((attachment) => {
+    const error = validateAttachment(attachment);
+    const signature = JSON.stringify(error);
+    if (error && !reported.has(signature)) {
+      reported.add(signature);
+      errors.push(error);
+    }
+  });
+  return errors;
+}
+
+function toPublicAttachment(attachment) {
+  return attachment
+    ? { url: attachment.url, kind: getMediaKind(attachment.url), alt: attachment.alt || '' }
+    : null;
+}
+
+function getPublicMedia(question) {
+  return (question.media || []).map(toPublicAttachment);
+}
+
+// Follows the displayed choice order; null when no choice has media.
+function getPublicChoiceMedia(question, order = null) {
+  return question.choiceMedia ? applyChoiceOrder(question.choiceMedia, order).map(toPublicAttachment) : null;
+}
+
+module.exports = {
+  MEDIA_URL_PREFIX,
+  MAX_UPLOAD_SIZE,
+  validateUpload,
+  saveMedia,
+  getMediaKind,
+  normalizeMediaFields,
+  validateMediaFields,
+  getPublicMedia,
+  getPublicChoiceMedia
+};
@@ -0,0 +1,61 @@
+const { compareEntries } = require('./ranking');
+const { getDateKey } = require('./daily');
+
+// The leaderboard only keeps each player's all-time best, so period boards come from the play history.
+// Each player's best run is kept per board and calendar day as attempts are recorded, so a period
+// board only merges the days it covers instead of replaying the history.
+function createPeriodIndex(timeZone) {
+  return { timeZone, boards: new Map(), count: 0 };
+}
+
+function toPeriodEntry(attempt) {
+  return {
+    playerId: attempt.playerId,
+    name: attempt.name,
+    board: attempt.board,
+    score: attempt.score,
+    points: attempt.points,
+    totalQuestions: attempt.totalQuestions,
+    totalTime: attempt.totalTime,
+    completedAt: attempt.completedAt
+  };
+}
+
+function keepBest(best, entry) {
+  const current = best.get(entry.playerId);
+  if (!current || compareEntries(entry, current) < 0) {
+    best.set(entry.playerId, entry);
+  }
+}
+
+function addPeriodAttempts(index, attempts) {
+  attempts
+    .filter(attempt => attempt.board && attempt.playerId)
+    .forEach((attempt) => {
+      const days = index.boards.get(attempt.board) || new Map();
+      const dateKey = getDateKey(index.timeZone, new Date(attempt.completedAt));
+      const best = days.get(dateKey) || new Map();
+      keepBest(best, toPeriodEntry(attempt));
+      days.set(dateKey, best);
+      index.boards.set(attempt.board, days);
+    });
+  index.count += attempts.length;
+  return index;
+}
+
+// Each player's best run on the board from the day startKey on.
+function getPeriodEntries(index, board, startKey) {
+  const best = new Map();
+  (index.boards.get(board) || new Map()).forEach((day, dateKey) => {
+    if (dateKey >= startKey) {
+      day.forEach(entry => keepBest(best, entry));
+    }
+  });
+  return Array.from(best.values());
+}
+
+module.exports = {
+  createPeriodIndex,
+  addPeriodAttempts,
+  getPeriodEntries
+};
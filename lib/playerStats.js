@@ -0,0 +1,67 @@
+const { round } = require('./scoring');
+
+function average(values) {
+  if (!values.length) {
+    return null;
+  }
+  return round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+function sortByCompletion(attempts) {
+  return attempts
+    .slice()
+    .sort((a, b) => new Date(a.completedAt).getTime() - new Date(b.completedAt).getTime());
+}
+
+function getBestStreak(attempts) {
+  let best = 0;
+  let current = 0;
+  attempts.forEach((attempt) => {
+    (attempt.answers || []).forEach((answer) => {
+      current = answer.correct ? current + 1 : 0;
+      best = Math.max(best, current);
+    });
+  });
+  return best;
+}
+
+function summarizeHistory(attempts) {
+  const ordered = sortByCompletion(attempts);
+  const accuracies = ordered.map(attempt => (attempt.totalQuestions ? attempt.score / attempt.totalQuestions : 0));
+  const times = ordered.map(attempt => attempt.totalTime).filter(time => typeof time === 'number');
+  const totalAnswered = ordered.reduce((sum, attempt) => sum + attempt.totalQuestions, 0);
+  const totalCorrect = ordered.reduce((sum, attempt) => sum + attempt.score, 0);
+
+  return {
+    attempts: ordered.length,
+    totalAnswered,
+    totalCorrect,
+    accuracy: totalAnswered ? round(totalCorrect / totalAnswered, 4) : null,
+    averageScore: average(ordered.map(attempt => attempt.score)),
+    averageAccuracy: accuracies.length ? round(accuracies.reduce((sum, value) => sum + value, 0) / accuracies.length, 4) : null,
+    averageTime: average(times),
+    averageTimePerQuestion: totalAnswered && times.length === ordered.length
+      ? round(times.reduce((sum, time) => sum + time, 0) / totalAnswered)
+      : null,
+    bestStreak: getBestStreak(ordered),
+    firstPlayedAt: ordered.length ? ordered[0].completedAt : null,
+    lastPlayedAt: ordered.length ? ordered[ordered.length - 1].completedAt : null
+  };
+}
+
+function getAccuracyTimeline(attempts) {
+  return sortByCompletion(attempts).map(attempt => ({
+    attemptId: attempt.id,
+    completedAt: attempt.completedAt,
+    board: attempt.board,
+    score: attempt.score,
+    totalQuestions: attempt.totalQuestions,
+    accuracy: attempt.totalQuestions ? round(attempt.score / attempt.totalQuestions, 4) : 0,
+    totalTime: attempt.totalTime
+  }));
+}
+
+module.exports = {
+  summarizeHistory,
+  getAccuracyTimeline
+};
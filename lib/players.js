@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+
+const MAX_NAME_LENGTH = 32;
+const RECOVERY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const RECOVERY_GROUPS = 3;
+const RECOVERY_GROUP_LENGTH = 4;
+
+function normalizeDisplayName(name) {
+  return typeof name === 'string' ? name.replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH) : '';
+}
+
+// Names that only differ by case or full-width/half-width forms collide.
+function getNameKey(name) {
+  return normalizeDisplayName(name).normalize('NFKC').toLowerCase();
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function createToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function createRecoveryCode() {
+  const bytes = crypto.randomBytes(RECOVERY_GROUPS * RECOVERY_GROUP_LENGTH);
+  const characters = Array.from(bytes, byte => RECOVERY_ALPHABET[byte % RECOVERY_ALPHABET.length]);
+  const groups = [];
+  for (let index = 0; index < characters.length; index += RECOVERY_GROUP_LENGTH) {
+    groups.push(characters.slice(index, index + RECOVERY_GROUP_LENGTH).join(''));
+  }
+  return groups.join('-');
+}
+
+function normalizeRecoveryCode(code) {
+  return typeof code === 'string' ? code.toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+}
+
+function toPublicPlayer(player) {
+  return { id: player.id, name: player.name, createdAt: player.createdAt };
+}
+
+function suggestNames(name, taken) {
+  const base = name.slice(0, MAX_NAME_LENGTH - 3);
+  const suggestions = [];
+  for (let suffix = 2; suggestions.length < 3 && suffix < 100; suffix += 1) {
+    const candidate = `${base}${suffix}`;
+    if (!taken.has(getNameKey(candidate))) {
+      suggestions.push(candidate);
+    }
+  }
+  return suggestions;
+}
+
+function createPlayerRegistry(store) {
+  async function findPlayer(predicate) {
+    const player = (await store.read()).find(predicate);
+    return player || null;
+  }
+
+  return {
+    getNameKey,
+
+    async getByName(name) {
+      const key = getNameKey(name);
+      return key ? findPlayer(player => player.nameKey === key) : null;
+    },
+
+    async authenticate(token) {
+      if (typeof token !== 'string' || !token) {
+        return null;
+      }
+      const tokenHash = hashSecret(token);
+      return findPlayer(player => player.tokenHash === tokenHash);
+    },
+
+    async claim(input) {
+      const name = normalizeDisplayName(input);
+      if (!name) {
+        return { status: 400, errorKey: 'player.nameRequired' };
+      }
+
+      const key = getNameKey(name);
+      const token = createToken();
+      const recoveryCode = createRecoveryCode();
+      let result;
+
+      await store.update((list) => {
+        const taken = new Set(list.map(player => player.nameKey));
+        if (taken.has(key)) {
+          result = {
+            status: 409,
+            errorKey: 'player.nameTaken',
+            suggestions: suggestNames(name, taken)
+          };
+          return list;
+        }
+
+        const player = {
+          id: crypto.randomUUID(),
+          name,
+          nameKey: key,
+          tokenHash: hashSecret(token),
+          recoveryHash: hashSecret(normalizeRecoveryCode(recoveryCode)),
+          createdAt: new Date().toISOString()
+        };
+        result = { player: toPublicPlayer(player), token, recoveryCode };
+        return [...list, player];
+      });
+
+      return result;
+    },
+
+    // Issues a fresh token for the new device; the old device's token stops working.
+    async recover(code) {
+      const normalized = normalizeRecoveryCode(code);
+      if (!normalized) {
+        return { status: 400, errorKey: 'player.recoveryCodeRequired' };
+      }
+
+      const recoveryHash = hashSecret(normalized);
+      const owner = await findPlayer(player => player.recoveryHash === recoveryHash);
+      if (!owner) {
+        return { status: 404, errorKey: 'player.recoveryCodeInvalid' };
+      }
+
+      const token = createToken();
+      await store.update(list => list.map(player => (
+        player.id === owner.id ? { ...player, tokenHash: hashSecret(token) } : player
+      )));
+
+      return { player: toPublicPlayer(owner), token };
+    }
+  };
+}
+
+module.exports = {
+  createPlayerRegistry,
+  normalizeDisplayName,
+  getNameKey,
+  toPublicPlayer
+};
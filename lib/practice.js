@@ -0,0 +1,171 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELEARN_DELAY_MS = 10 * 60 * 1000;
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+const MAX_INTERVAL_DAYS = 365;
+const QUALITY_CORRECT = 4;
+const QUALITY_INCORRECT = 1;
+
+function createCard(questionId, now = Date.now()) {
+  return {
+    questionId,
+    repetitions: 0,
+    interval: 0,
+    ease: INITIAL_EASE,
+    lapses: 0,
+    dueAt: now,
+    lastReviewedAt: null
+  };
+}
+
+// SM-2 with a binary grade: a miss sends the card back to relearning in a few minutes.
+function reviewCard(card, correct, now = Date.now()) {
+  const quality = correct ? QUALITY_CORRECT : QUALITY_INCORRECT;
+  const ease = Number(Math.max(MIN_EASE, card.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))).toFixed(2));
+
+  if (!correct) {
+    return {
+      ...card,
+      repetitions: 0,
+      interval: 0,
+      ease,
+      lapses: card.lapses + 1,
+      dueAt: now + RELEARN_DELAY_MS,
+      lastReviewedAt: now
+    };
+  }
+
+  const repetitions = card.repetitions + 1;
+  let interval = Math.round(card.interval * ease);
+  if (repetitions === 1) {
+    interval = 1;
+  } else if (repetitions === 2) {
+    interval = 6;
+  }
+  interval = Math.min(MAX_INTERVAL_DAYS, interval);
+
+  return {
+    ...card,
+    repetitions,
+    interval,
+    ease,
+    dueAt: now + interval * DAY_MS,
+    lastReviewedAt: now
+  };
+}
+
+// Cards sent back by anonymous players come from localStorage, so every field is re-checked.
+function normalizeCard(input, questionId, now = Date.now()) {
+  const source = input && typeof input === 'object' ? input : {};
+  const base = createCard(questionId, now);
+  const readNumber = (value, fallback, min) => (Number.isFinite(value) && value >= min ? value : fallback);
+  return {
+    questionId,
+    repetitions: Math.trunc(readNumber(source.repetitions, base.repetitions, 0)),
+    interval: Math.min(MAX_INTERVAL_DAYS, readNumber(source.interval, base.interval, 0)),
+    ease: Math.min(INITIAL_EASE * 2, readNumber(source.ease, base.ease, MIN_EASE)),
+    lapses: Math.trunc(readNumber(source.lapses, base.lapses, 0)),
+    dueAt: readNumber(source.dueAt, base.dueAt, 0),
+    lastReviewedAt: Number.isFinite(source.lastReviewedAt) ? source.lastReviewedAt : null
+  };
+}
+
+// Due cards come first (most overdue first), then the ones coming up next.
+function selectCards(cards, { limit, now = Date.now(), isAvailable = () => true }) {
+  return cards
+    .filter(card => isAvailable(card.questionId))
+    .sort((a, b) => a.dueAt - b.dueAt || a.questionId - b.questionId)
+    .slice(0, limit)
+    .map(card => ({ ...card, isDue: card.dueAt <= now }));
+}
+
+function upsertMisses(cards, questionIds, now) {
+  const byId = new Map(cards.map(card => [card.questionId, card]));
+  questionIds.forEach((questionId) => {
+    const existing = byId.get(questionId);
+    byId.set(questionId, existing ? reviewCard(existing, false, now) : createCard(questionId, now));
+  });
+  return Array.from(byId.values());
+}
+
+function getMissedQuestionIds(attempts) {
+  const missed = [];
+  attempts.forEach((attempt) => {
+    (attempt.answers || []).forEach((answer) => {
+      if (!answer.correct && !missed.includes(answer.questionId)) {
+        missed.push(answer.questionId);
+      }
+    });
+  });
+  return missed;
+}
+
+function createPracticeRegistry(store) {
+  async function findRecord(playerId) {
+    return (await store.read()).find(record => record.playerId === playerId) || null;
+  }
+
+  function updateCards(playerId, change) {
+    let result;
+    return store.update((records) => {
+      const index = records.findIndex(record => record.playerId === playerId);
+      const current = index >= 0 ? records[index].cards : [];
+      result = change(current);
+      const next = { playerId, cards: result.cards };
+      if (index >= 0) {
+        records[index] = { ...records[index], ...next };
+      } else {
+        records.push(next);
+      }
+      return records;
+    }).then(() => result);
+  }
+
+  // A player without a schedule yet starts from the questions they have missed in past quizzes.
+  async function getCards(playerId, loadAttempts) {
+    const record = await findRecord(playerId);
+    if (record) {
+      return record.cards;
+    }
+
+    const missed = getMissedQuestionIds(await loadAttempts());
+    const { cards } = await updateCards(playerId, current => ({
+      cards: upsertMisses(current, missed.filter(id => !current.some(card => card.questionId === id)), Date.now())
+    }));
+    return cards;
+  }
+
+  return {
+    getCards,
+
+    async recordMisses(playerId, questionIds, loadAttempts) {
+      if (!(await findRecord(playerId))) {
+        await getCards(playerId, loadAttempts);
+        return;
+      }
+      if (questionIds.length) {
+        await updateCards(playerId, current => ({ cards: upsertMisses(current, questionIds, Date.now()) }));
+      }
+    },
+
+    async recordReview(playerId, questionId, correct) {
+      const { card } = await updateCards(playerId, (current) => {
+        const existing = current.find(entry => entry.questionId === questionId) || createCard(questionId);
+        const reviewed = reviewCard(existing, correct);
+        return {
+          card: reviewed,
+          cards: [...current.filter(entry => entry.questionId !== questionId), reviewed]
+        };
+      });
+      return card;
+    }
+  };
+}
+
+module.exports = {
+  createCard,
+  reviewCard,
+  normalizeCard,
+  selectCards,
+  createPracticeRegistry
+};
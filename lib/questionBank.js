@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const { categories, difficulties } = require('../data/categories');
+const { writeJsonAtomic, createWriteQueue } = require('./fileStore');
+const questionTypes = require('./questionTypes');
+const media = require('./media');
+const questionTranslations = require('./questionTranslations');
+
+const STORE_PATH = path.join(__dirname, '..', 'data', 'questions.json');
+const SEED_PATH = path.join(__dirname, '..', 'data', 'questions.js');
+const MAX_CHOICES = 8;
+const MAX_EXPLANATION_LENGTH = 1000;
+
+const categoryIdSet = new Set(categories.map(category => category.id));
+const difficultyIdSet = new Set(difficulties.map(difficulty => difficulty.id));
+const enqueueWrite = createWriteQueue();
+
+let questions = [];
+let questionMap = new Map();
+
+function setQuestions(list) {
+  questions = list;
+  questionMap = new Map(list.map(question => [question.id, question]));
+}
+
+function loadFromStore() {
+  try {
+    return JSON.parse(fs.readFileSync(STORE_PATH, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return require(SEED_PATH);
+    }
+    throw error;
+  }
+}
+
+function reload() {
+  try {
+    setQuestions(loadFromStore());
+  } catch (error) {
+    console.error('Failed to reload question bank:', error);
+  }
+}
+
+function getQuestions() {
+  return questions;
+}
+
+function getQuestion(id) {
+  return questionMap.get(id) || null;
+}
+
+function normalizeText(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+}
+
+function normalizeQuestionInput(input) {
+  const source = input && typeof input === 'object' ? input : {};
+  const type = normalizeText(source.type) || questionTypes.DEFAULT_TYPE;
+  const withChoices = questionTypes.hasChoices({ type });
+  const candidate = {
+    question: normalizeText(source.question),
+    choices: withChoices && Array.isArray(source.choices) ? source.choices.map(normalizeText) : [],
+    ...questionTypes.normalizeAnswerFields(source, type),
+    category: normalizeText(source.category),
+    difficulty: normalizeText(source.difficulty),
+    ...media.normalizeMediaFields(source, withChoices),
+    ...questionTranslations.normalizeTranslationFields(source, type)
+  };
+
+  const explanation = typeof source.explanation === 'string' ? source.explanation.trim() : '';
+  if (explanation) {
+    candidate.explanation = explanation;
+  }
+
+  const referenceUrl = typeof source.referenceUrl === 'string' ? source.referenceUrl.trim() : '';
+  if (referenceUrl) {
+    candidate.referenceUrl = referenceUrl;
+  }
+
+  // For options like "all of the above" that only make sense in their authored position.
+  if (source.lockChoiceOrder === true && questionTypes.canLockChoiceOrder(type)) {
+    candidate.lockChoiceOrder = true;
+  }
+
+  return candidate;
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+function validateQuestion(candidate, { excludeId = null, list = questions } = {}) {
+  const errors = [];
+
+  if (!candidate.question) {
+    errors.push({ errorKey: 'question.textRequired' });
+  } else if (list.some(question => question.id !== excludeId && normalizeText(question.question) === candidate.question)) {
+    errors.push({ errorKey: 'question.duplicateText' });
+  }
+
+  if (questionTypes.hasChoices(candidate)) {
+    if (candidate.choices.length < 2) {
+      errors.push({ errorKey: 'question.tooFewChoices' });
+    } else if (candidate.choices.length > MAX_CHOICES) {
+      errors.push({ errorKey: 'question.tooManyChoices', params: { max: MAX_CHOICES } });
+    }
+
+    if (candidate.choices.some(choice => !choice)) {
+      errors.push({ errorKey: 'question.emptyChoice' });
+    } else if (new Set(candidate.choices).size !== candidate.choices.length) {
+      errors.push({ errorKey: 'question.duplicateChoice' });
+    }
+  }
+
+  errors.push(...questionTypes.validateAnswerFields(candidate));
+  errors.push(...media.validateMediaFields(candidate));
+  errors.push(...questionTranslations.validateTranslationFields(candidate));
+
+  if (!categoryIdSet.has(candidate.category)) {
+    errors.push({ errorKey: 'question.invalidCategory' });
+  }
+
+  if (!difficultyIdSet.has(candidate.difficulty)) {
+    errors.push({ errorKey: 'question.invalidDifficulty' });
+  }
+
+  if (candidate.explanation && candidate.explanation.length > MAX_EXPLANATION_LENGTH) {
+    errors.push({ errorKey: 'question.explanationTooLong', params: { max: MAX_EXPLANATION_LENGTH } });
+  }
+
+  if (candidate.referenceUrl && !isHttpUrl(candidate.referenceUrl)) {
+    errors.push({ errorKey: 'question.invalidReferenceUrl' });
+  }
+
+  return errors;
+}
+
+function mergeQuestion(existing, candidate) {
+  // Optional and type-specific fields are dropped so a changed type or cleared field doesn't linger.
+  const {
+    explanation, referenceUrl, lockChoiceOrder, type, answer, answers, tolerance, acceptedAnswers, media: attachments, choiceMedia,
+    translations, ...rest
+  } = existing;
+  return { ...rest, ...candidate, id: existing.id };
+}
+
+function mutate(change) {
+  return enqueueWrite(async () => {
+    const { list, result } = change(questions);
+    if (list) {
+      await writeJsonAtomic(STORE_PATH, list);
+      setQuestions(list);
+    }
+    return result;
+  });
+}
+
+function createQuestion(input) {
+  const candidate = normalizeQuestionInput(input);
+  return mutate((list) => {
+    const errors = validateQuestion(candidate, { list });
+    if (errors.length) {
+      return { result: { errors } };
+    }
+
+    const id = list.reduce((max, question) => Math.max(max, question.id), 0) + 1;
+    const question = { id, ...candidate };
+    return { list: [...list, question], result: { question } };
+  });
+}
+
+function updateQuestion(id, input) {
+  return mutate((list) => {
+    const existing = list.find(question => question.id === id);
+    if (!existing) {
+      return { result: null };
+    }
+
+    const candidate = normalizeQuestionInput({ ...existing, ...input });
+    const errors = validateQuestion(candidate, { excludeId: id, list });
+    if (errors.length) {
+      return { result: { errors } };
+    }
+
+    const question = mergeQuestion(existing, candidate);
+    return { list: list.map(entry => (entry.id === id ? question : entry)), result: { question } };
+  });
+}
+
+function deleteQuestion(id) {
+  return mutate((list) => {
+    if (!list.some(question => question.id === id)) {
+      return { result: false };
+    }
+    return { list: list.filter(question => question.id !== id), result: true };
+  });
+}
+
+function importQuestions(records, { dryRun = false } = {}) {
+  return mutate((list) => {
+    let working = list.slice();
+    const report = { total: records.length, created: 0, updated: 0, errors: [], dryRun, applied: false };
+
+    records.forEach(({ row, data, errors: parseErrors = [] }) => {
+      if (parseErrors.length) {
+        report.errors.push({ row, errors: parseErrors });
+        return;
+      }
+
+      const existing = data.id !== undefined ? working.find(question => question.id === data.id) : null;
+      const candidate = normalizeQuestionInput(existing ? { ...existing, ...data } : data);
+      const errors = validateQuestion(candidate, { excludeId: existing ? existing.id : null, list: working });
+      if (errors.length) {
+        report.errors.push({ row, errors });
+        return;
+      }
+
+      if (existing) {
+        const merged = mergeQuestion(existing, candidate);
+        working = working.map(question => (question.id === existing.id ? merged : question));
+        report.updated += 1;
+        return;
+      }
+
+      const id = data.id !== undefined
+        ? data.id
+        : working.reduce((max, question) => Math.max(max, question.id), 0) + 1;
+      working.push({ id, ...candidate });
+      report.created += 1;
+    });
+
+    if (dryRun || report.errors.length) {
+      return { result: report };
+    }
+
+    report.applied = true;
+    return { list: working, result: report };
+  });
+}
+
+reload();
+fs.watchFile(STORE_PATH, { interval: 2000 }, reload).unref();
+
+module.exports = {
+  MAX_EXPLANATION_LENGTH,
+  normalizeText,
+  getQuestions,
+  getQuestion,
+  validateQuestion,
+  normalizeQuestionInput,
+  createQuestion,
+  updateQuestion,
+  deleteQuestion,
+  importQuestions,
+  reload
+};
@@ -0,0 +1,191 @@
+const questionTypes = require('./questionTypes');
+const { round } = require('./scoring');
+
+const LOW_CORRECT_RATE = 0.1;
+const HIGH_CORRECT_RATE = 0.95;
+const DEFAULT_MIN_ATTEMPTS = 5;
+
+// Pick counts only mean something where the player chooses from the list; ordering uses every item each time.
+function countsPicks(question) {
+  const type = questionTypes.getQuestionType(question);
+  return type === 'single' || type === 'multiple';
+}
+
+function createCounter(question) {
+  return {
+    attempts: 0,
+    correct: 0,
+    picks: new Array(countsPicks(question) ? question.choices.length : 0).fill(0),
+    totalSeconds: 0,
+    timedAnswers: 0
+  };
+}
+
+// Returns the picked choice indexes, or null when the answer doesn't fit the question as it is now.
+// A timed-out question counts as a missed attempt that picked nothing.
+function getPickedIndexes(question, answer) {
+  const type = questionTypes.getQuestionType(question);
+  let picked = [];
+  if (answer.timedOut) {
+    return picked;
+  }
+  if (type === 'single') {
+    picked = Number.isInteger(answer.choiceIndex) ? [answer.choiceIndex] : null;
+  } else if (answer.response === undefined || answer.response === null) {
+    picked = null;
+  } else if (type === 'multiple') {
+    picked = Array.isArray(answer.response) ? answer.response : null;
+  }
+  // Answers beyond the current choice list come from before the question was edited.
+  if (picked && picked.some(index => !Number.isInteger(index) || index >= question.choices.length)) {
+    return null;
+  }
+  return picked;
+}
+
+function collectAnswers(attempts, questionMap) {
+  const counters = new Map();
+
+  attempts.forEach((attempt) => {
+    (attempt.answers || []).forEach((answer) => {
+      const question = questionMap.get(answer.questionId);
+      const picked = question ? getPickedIndexes(question, answer) : null;
+      if (!picked) {
+        return;
+      }
+
+      if (!counters.has(question.id)) {
+        counters.set(question.id, createCounter(question));
+      }
+      const counter = counters.get(question.id);
+      counter.attempts += 1;
+      if (countsPicks(question)) {
+        picked.forEach((index) => {
+          counter.picks[index] += 1;
+        });
+      }
+      // Single choice is re-graded so a corrected answer key also corrects the statistics.
+      const correct = questionTypes.getQuestionType(question) === 'single'
+        ? answer.choiceIndex === question.answer
+        : answer.correct;
+      if (correct) {
+        counter.correct += 1;
+      }
+      if (typeof answer.seconds === 'number') {
+        counter.totalSeconds += answer.seconds;
+        counter.timedAnswers += 1;
+      }
+    });
+  });
+
+  return counters;
+}
+
+function getFlags(stats, minAttempts) {
+  if (stats.attempts < minAttempts) {
+    return [];
+  }
+
+  const flags = [];
+  if (stats.correctRate < LOW_CORRECT_RATE) {
+    flags.push('too-hard');
+  }
+  if (stats.correctRate > HIGH_CORRECT_RATE) {
+    flags.push('too-easy');
+  }
+  const correctChoices = stats.choices.filter(choice => choice.correct);
+  if (correctChoices.length) {
+    const fewestCorrectPicks = Math.min(...correctChoices.map(choice => choice.picks));
+    if (stats.choices.some(choice => !choice.correct && choice.picks > fewestCorrectPicks)) {
+      flags.push('misleading-distractor');
+    }
+  }
+  return flags;
+}
+
+function isCorrectChoice(question, index) {
+  const type = questionTypes.getQuestionType(question);
+  return type === 'multiple' ? question.answers.includes(index) : index === question.answer;
+}
+
+function buildQuestionStats(question, counter, minAttempts) {
+  const attempts = counter ? counter.attempts : 0;
+  const type = questionTypes.getQuestionType(question);
+  const stats = {
+    id: question.id,
+    type,
+    question: question.question,
+    category: question.category || null,
+    difficulty: question.difficulty || null,
+    answer: type === 'single' ? question.answer : null,
+    attempts,
+    correct: counter ? counter.correct : 0,
+    correctRate: attempts ? round(counter.correct / attempts, 4) : null,
+    averageTime: counter && counter.timedAnswers ? round(counter.totalSeconds / counter.timedAnswers) : null,
+    choices: (countsPicks(question) ? question.choices : []).map((text, index) => {
+      const picks = counter ? counter.picks[index] : 0;
+      return {
+        index,
+        text,
+        correct: isCorrectChoice(question, index),
+        picks,
+        pickRate: attempts ? round(picks / attempts, 4) : null
+      };
+    })
+  };
+  stats.flags = getFlags(stats, minAttempts);
+  return stats;
+}
+
+function compareNullable(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  if (a === null) {
+    return 1;
+  }
+  if (b === null) {
+    return -1;
+  }
+  return a - b;
+}
+
+const sorters = {
+  id: (a, b) => a.id - b.id,
+  attempts: (a, b) => a.attempts - b.attempts,
+  correctRate: (a, b) => compareNullable(a.correctRate, b.correctRate),
+  averageTime: (a, b) => compareNullable(a.averageTime, b.averageTime)
+};
+
+// Unplayed questions are kept with null rates so the dashboard can list them too.
+function getQuestionStats(attempts, questions, {
+  sort = 'id',
+  order = 'asc',
+  category = null,
+  difficulty = null,
+  flaggedOnly = false,
+  minAttempts = DEFAULT_MIN_ATTEMPTS
+} = {}) {
+  const questionMap = new Map(questions.map(question => [question.id, question]));
+  const counters = collectAnswers(attempts, questionMap);
+  const compare = sorters[sort] || sorters.id;
+  const direction = order === 'desc' ? -1 : 1;
+
+  return questions
+    .filter(question => (!category || question.category === category) && (!difficulty || question.difficulty === difficulty))
+    .map(question => buildQuestionStats(question, counters.get(question.id), minAttempts))
+    .filter(stats => !flaggedOnly || stats.flags.length > 0)
+    .sort((a, b) => {
+      const result = compare(a, b);
+      // Keep unanswered questions at the end in both directions.
+      const nullsLast = (sort === 'correctRate' || sort === 'averageTime') && (a[sort] === null || b[sort] === null);
+      return (nullsLast ? result : result * direction) || a.id - b.id;
+    });
+}
+
+module.exports = {
+  LOW_CORRECT_RATE,
+  HIGH_CORRECT_RATE,
+  DEFAULT_MIN_ATTEMPTS,
+  getQuestionStats
+};
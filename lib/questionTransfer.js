@@ -0,0 +1,253 @@
+const CSV_BOM = '\uFEFF';
+const BASE_COLUMNS = ['id', 'question'];
+const TRAILING_COLUMNS = ['answer', 'category', 'difficulty', 'explanation', 'reference', 'lock_choice_order', 'type', 'tolerance'];
+// Cells holding several answers (multiple choice, accepted text answers) separate them with this.
+const LIST_SEPARATOR = '|';
+
+function parseCsv(text) {
+  const source = text.startsWith(CSV_BOM) ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function escapeCsvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(rows) {
+  return rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n');
+}
+
+function parseId(value, errors) {
+  const text = String(value === undefined || value === null ? '' : value).trim();
+  if (!text) {
+    return undefined;
+  }
+  const id = Number(text);
+  if (!Number.isInteger(id) || id < 1) {
+    errors.push({ errorKey: 'import.invalidId' });
+    return undefined;
+  }
+  return id;
+}
+
+function parseCsvAnswer(value, choices) {
+  const text = String(value || '').trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) - 1;
+  }
+  const index = choices.indexOf(text);
+  return index >= 0 ? index : NaN;
+}
+
+function splitCsvList(value) {
+  return String(value || '').split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+}
+
+// The answer column means something different for each question type.
+function parseCsvAnswerFields(type, value, choices) {
+  if (type === 'multiple') {
+    return { answers: splitCsvList(value).map(item => parseCsvAnswer(item, choices)) };
+  }
+  if (type === 'ordering') {
+    return {};
+  }
+  if (type === 'numeric') {
+    return { answer: String(value || '').trim() };
+  }
+  if (type === 'text') {
+    return { acceptedAnswers: splitCsvList(value) };
+  }
+  return { answer: parseCsvAnswer(value, choices) };
+}
+
+function formatCsvAnswer(question) {
+  const type = question.type || 'single';
+  if (type === 'multiple') {
+    return question.answers.map(index => index + 1).join(LIST_SEPARATOR);
+  }
+  if (type === 'ordering') {
+    return '';
+  }
+  if (type === 'text') {
+    return question.acceptedAnswers.join(LIST_SEPARATOR);
+  }
+  return type === 'numeric' ? question.answer : question.answer + 1;
+}
+
+function parseCsvFlag(value) {
+  return /^(1|true|yes)$/i.test(String(value || '').trim());
+}
+
+function recordsFromCsv(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) {
+    return { records: [], errors: [{ errorKey: 'import.emptyCsv' }] };
+  }
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const choiceColumns = header
+    .map((name, index) => ({ name, index, match: name.match(/^choice(\d+)$/) }))
+    .filter(column => column.match)
+    .sort((a, b) => Number(a.match[1]) - Number(b.match[1]));
+  const missing = ['question', 'answer'].filter(name => !header.includes(name));
+  if (missing.length) {
+    return { records: [], errors: [{ errorKey: 'import.missingCsvColumns' }] };
+  }
+
+  const column = name => header.indexOf(name);
+  const cell = (cells, name) => (column(name) >= 0 ? cells[column(name)] || '' : '');
+
+  const records = rows.slice(1).map((cells, index) => {
+    const errors = [];
+    const choices = choiceColumns.map(({ index: choiceIndex }) => (cells[choiceIndex] || '').trim());
+    while (choices.length && !choices[choices.length - 1]) {
+      choices.pop();
+    }
+
+    const type = cell(cells, 'type').trim() || 'single';
+    const data = {
+      type,
+      question: cell(cells, 'question'),
+      choices,
+      ...parseCsvAnswerFields(type, cell(cells, 'answer'), choices),
+      tolerance: cell(cells, 'tolerance'),
+      category: cell(cells, 'category'),
+      difficulty: cell(cells, 'difficulty') || 'normal',
+      explanation: cell(cells, 'explanation'),
+      referenceUrl: cell(cells, 'reference'),
+      lockChoiceOrder: parseCsvFlag(cell(cells, 'lock_choice_order'))
+    };
+    const id = parseId(cell(cells, 'id'), errors);
+    if (id !== undefined) {
+      data.id = id;
+    }
+
+    return { row: index + 2, data, errors };
+  });
+
+  return { records, errors: [] };
+}
+
+function recordsFromJson(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { records: [], errors: [{ errorKey: 'import.invalidJson' }] };
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.questions;
+  if (!Array.isArray(list)) {
+    return { records: [], errors: [{ errorKey: 'import.invalidJsonShape' }] };
+  }
+
+  const records = list.map((entry, index) => {
+    const errors = [];
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return { row: index + 1, data: {}, errors: [{ errorKey: 'import.invalidRecord' }] };
+    }
+    const data = { ...entry };
+    delete data.id;
+    const id = parseId(entry.id, errors);
+    if (id !== undefined) {
+      data.id = id;
+    }
+    return { row: index + 1, data, errors };
+  });
+
+  return { records, errors: [] };
+}
+
+function parseImport(text, format) {
+  if (format === 'csv') {
+    return recordsFromCsv(text);
+  }
+  if (format === 'json') {
+    return recordsFromJson(text);
+  }
+  return { records: [], errors: [{ errorKey: 'import.unknownFormat' }] };
+}
+
+function exportCsv(questions) {
+  const choiceCount = questions.reduce((max, question) => Math.max(max, question.choices.length), 2);
+  const choiceColumns = Array.from({ length: choiceCount }, (_, index) => `choice${index + 1}`);
+  const rows = [[...BASE_COLUMNS, ...choiceColumns, ...TRAILING_COLUMNS]];
+
+  questions.forEach((question) => {
+    const choices = choiceColumns.map((_, index) => question.choices[index] || '');
+    rows.push([
+      question.id,
+      question.question,
+      ...choices,
+      formatCsvAnswer(question),
+      question.category || '',
+      question.difficulty || '',
+      question.explanation || '',
+      question.referenceUrl || '',
+      question.lockChoiceOrder ? 1 : '',
+      question.type || '',
+      question.type === 'numeric' ? question.tolerance : ''
+    ]);
+  });
+
+  return `${CSV_BOM}${formatCsv(rows)}\r\n`;
+}
+
+function exportJson(questions) {
+  return `${JSON.stringify(questions, null, 2)}\n`;
+}
+
+function exportQuestions(questions, format) {
+  return format === 'csv' ? exportCsv(questions) : exportJson(questions);
+}
+
+module.exports = {
+  parseCsv,
+  formatCsv,
+  parseImport,
+  exportQuestions
+};
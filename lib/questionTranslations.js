@@ -0,0 +1,111 @@
+const { DEFAULT_LOCALE, isSupportedLocale } = require('./i18n');
+const questionTypes = require('./questionTypes');
+
+// questionBank requires this module, so its text rules are looked up when used rather than at load time.
+function getQuestionBank() {
+  return require('./questionBank');
+}
+
+function normalizeTranslation(value, type) {
+  const { normalizeText } = getQuestionBank();
+  const translation = { question: normalizeText(value.question) };
+  if (questionTypes.hasChoices({ type }) && Array.isArray(value.choices) && value.choices.length) {
+    translation.choices = value.choices.map(normalizeText);
+  }
+  const explanation = typeof value.explanation === 'string' ? value.explanation.trim() : '';
+  if (explanation) {
+    translation.explanation = explanation;
+  }
+  if (type === 'text' && Array.isArray(value.acceptedAnswers)) {
+    const acceptedAnswers = value.acceptedAnswers.map(normalizeText).filter(Boolean);
+    if (acceptedAnswers.length) {
+      translation.acceptedAnswers = acceptedAnswers;
+    }
+  }
+  return translation;
+}
+
+// Returns { translations } keyed by locale, or nothing when the question is Japanese only.
+function normalizeTranslationFields(source, type) {
+  const value = source.translations;
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return {};
+  }
+  const translations = {};
+  Object.entries(value).forEach(([locale, entry]) => {
+    if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+      translations[locale] = normalizeTranslation(entry, type);
+    }
+  });
+  return Object.keys(translations).length ? { translations } : {};
+}
+
+function validateTranslationFields(candidate) {
+  const { MAX_EXPLANATION_LENGTH } = getQuestionBank();
+  const errors = [];
+  Object.entries(candidate.translations || {}).forEach(([locale, translation]) => {
+    if (locale === DEFAULT_LOCALE || !isSupportedLocale(locale)) {
+      errors.push({ errorKey: 'question.invalidTranslationLocale', params: { locale } });
+      return;
+    }
+    if (!translation.question) {
+      errors.push({ errorKey: 'question.translationTextRequired', params: { locale } });
+    }
+    if (translation.choices) {
+      if (translation.choices.length !== candidate.choices.length) {
+        errors.push({ errorKey: 'question.translationChoiceCount', params: { locale } });
+      } else if (translation.choices.some(choice => !choice)) {
+        errors.push({ errorKey: 'question.translationEmptyChoice', params: { locale } });
+      } else if (new Set(translation.choices).size !== translation.choices.length) {
+        errors.push({ errorKey: 'question.translationDuplicateChoice', params: { locale } });
+      }
+    }
+    if (translation.explanation && translation.explanation.length > MAX_EXPLANATION_LENGTH) {
+      errors.push({ errorKey: 'question.translationExplanationTooLong', params: { locale, max: MAX_EXPLANATION_LENGTH } });
+    }
+  });
+  return errors;
+}
+
+// Translated fields replace the Japanese ones; anything left untranslated stays Japanese.
+// A text question keeps accepting the Japanese answers too, listed after the translated ones.
+function localizeQuestion(question, locale) {
+  const translation = question && question.translations && locale !== DEFAULT_LOCALE ? question.translations[locale] : null;
+  if (!translation) {
+    return question;
+  }
+  const localized = { ...question, question: translation.question || question.question };
+  if (translation.choices && translation.choices.length === question.choices.length) {
+    localized.choices = translation.choices;
+  }
+  if (translation.explanation) {
+    localized.explanation = translation.explanation;
+  }
+  if (translation.acceptedAnswers) {
+    localized.acceptedAnswers = [...new Set([...translation.acceptedAnswers, ...(question.acceptedAnswers || [])])];
+  }
+  return localized;
+}
+
+// For clients that pick the locale themselves, such as buzzer rooms whose players may each use a different language.
+// Only the named fields are copied, so nothing that would give the answer away is sent early.
+function pickTranslations(question, fields) {
+  const picked = {};
+  Object.entries(question.translations || {}).forEach(([locale, translation]) => {
+    const entry = {};
+    fields.filter(field => translation[field] !== undefined).forEach((field) => {
+      entry[field] = translation[field];
+    });
+    if (Object.keys(entry).length) {
+      picked[locale] = entry;
+    }
+  });
+  return picked;
+}
+
+module.exports = {
+  normalizeTranslationFields,
+  validateTranslationFields,
+  localizeQuestion,
+  pickTranslations
+};
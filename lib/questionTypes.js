@@ -0,0 +1,287 @@
+const choiceOrder = require('./choiceOrder');
+const { round } = require('./scoring');
+
+const DEFAULT_TYPE = 'single';
+const MAX_ACCEPTED_ANSWERS = 10;
+const MAX_TEXT_ANSWER_LENGTH = 100;
+
+function getQuestionType(question) {
+  return (question && question.type) || DEFAULT_TYPE;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  // Full-width digits and signs typed with a Japanese IME are folded before parsing.
+  const text = typeof value === 'string' ? value.normalize('NFKC').replace(/[,\s]/g, '') : '';
+  return text === '' ? NaN : Number(text);
+}
+
+// Folds full-width/half-width forms, letter case and katakana/hiragana, so "ﾌｼﾞｻﾝ", "フジサン" and "ふじさん" all match.
+function normalizeTextAnswer(value) {
+  return String(value)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[ァ-ヶ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60))
+    .replace(/\s+/g, '');
+}
+
+function isChoiceIndex(value, length) {
+  return Number.isInteger(value) && value >= 0 && value < length;
+}
+
+function toAuthoredIndexes(question, value, order) {
+  if (!Array.isArray(value) || !value.every(index => isChoiceIndex(index, question.choices.length))) {
+    return undefined;
+  }
+  if (new Set(value).size !== value.length) {
+    return undefined;
+  }
+  return value.map(index => choiceOrder.toAuthoredIndex(order, index));
+}
+
+// Each type knows how to read its answer fields, validate them, read a player's response
+// (in the displayed choice order) and grade it as a credit between 0 and 1.
+const types = {
+  single: {
+    hasChoices: true,
+    normalize(source) {
+      return {
+        answer: typeof source.answer === 'string' && source.answer.trim() !== '' ? Number(source.answer) : source.answer
+      };
+    },
+    validate(candidate) {
+      return isChoiceIndex(candidate.answer, candidate.choices.length) ? [] : [{ errorKey: 'question.answerOutOfRange' }];
+    },
+    parseResponse(question, value, order) {
+      return isChoiceIndex(value, question.choices.length) ? choiceOrder.toAuthoredIndex(order, value) : undefined;
+    },
+    grade(question, response) {
+      return response === question.answer ? 1 : 0;
+    },
+    getCorrectAnswer(question, order) {
+      return choiceOrder.toDisplayIndex(order, question.answer);
+    },
+    toDisplayResponse(question, response, order) {
+      return choiceOrder.toDisplayIndex(order, response);
+    }
+  },
+
+  multiple: {
+    hasChoices: true,
+    normalize(source) {
+      return {
+        answers: Array.isArray(source.answers)
+          ? source.answers.map(value => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value))
+          : []
+      };
+    },
+    validate(candidate) {
+      const { answers, choices } = candidate;
+      if (!answers.length || !answers.every(index => isChoiceIndex(index, choices.length))) {
+        return [{ errorKey: 'question.answersRequired' }];
+      }
+      if (new Set(answers).size !== answers.length) {
+        return [{ errorKey: 'question.duplicateAnswers' }];
+      }
+      return [];
+    },
+    parseResponse(question, value, order) {
+      const indexes = toAuthoredIndexes(question, value, order);
+      return indexes && indexes.length ? indexes.sort((a, b) => a - b) : undefined;
+    },
+    // Partial credit: each correct pick counts, each wrong pick cancels one out.
+    grade(question, response) {
+      const hits = response.filter(index => question.answers.includes(index)).length;
+      const misses = response.length - hits;
+      return round(Math.max(0, (hits - misses) / question.answers.length));
+    },
+    getCorrectAnswer(question, order) {
+      return question.answers.map(index => choiceOrder.toDisplayIndex(order, index)).sort((a, b) => a - b);
+    },
+    toDisplayResponse(question, response, order) {
+      return response.map(index => choiceOrder.toDisplayIndex(order, index)).sort((a, b) => a - b);
+    }
+  },
+
+  // The choices are authored in the correct order and always shown shuffled.
+  ordering: {
+    hasChoices: true,
+    shuffleAlways: true,
+    normalize() {
+      return {};
+    },
+    validate() {
+      return [];
+    },
+    parseResponse(question, value, order) {
+      const indexes = toAuthoredIndexes(question, value, order);
+      return indexes && indexes.length === question.choices.length ? indexes : undefined;
+    },
+    // Partial credit is the share of items placed in the right position.
+    grade(question, response) {
+      const placed = response.filter((index, position) => index === position).length;
+      return round(placed / question.choices.length);
+    },
+    getCorrectAnswer(question, order) {
+      return question.choices.map((choice, index) => choiceOrder.toDisplayIndex(order, index));
+    },
+    toDisplayResponse(question, response, order) {
+      return response.map(index => choiceOrder.toDisplayIndex(order, index));
+    }
+  },
+
+  numeric: {
+    hasChoices: false,
+    normalize(source) {
+      return {
+        answer: toNumber(source.answer),
+        tolerance: source.tolerance === undefined || source.tolerance === null || source.tolerance === ''
+          ? 0
+          : toNumber(source.tolerance)
+      };
+    },
+    validate(candidate) {
+      const errors = [];
+      if (!Number.isFinite(candidate.answer)) {
+        errors.push({ errorKey: 'question.numericAnswerRequired' });
+      }
+      if (!Number.isFinite(candidate.tolerance) || candidate.tolerance < 0) {
+        errors.push({ errorKey: 'question.invalidTolerance' });
+      }
+      return errors;
+    },
+    parseResponse(question, value) {
+      const number = toNumber(value);
+      return Number.isFinite(number) ? number : undefined;
+    },
+    grade(question, response) {
+      // The epsilon keeps answers like 0.1 + 0.2 within a tolerance of exactly 0.3.
+      return Math.abs(response - question.answer) <= question.tolerance + 1e-9 ? 1 : 0;
+    },
+    getCorrectAnswer(question) {
+      return { value: question.answer, tolerance: question.tolerance };
+    },
+    toDisplayResponse(question, response) {
+      return response;
+    }
+  },
+
+  text: {
+    hasChoices: false,
+    normalize(source) {
+      return {
+        acceptedAnswers: Array.isArray(source.acceptedAnswers)
+          ? source.acceptedAnswers.map(value => (typeof value === 'string' ? value.trim() : '')).filter(Boolean)
+          : []
+      };
+    },
+    validate(candidate) {
+      const { acceptedAnswers } = candidate;
+      if (!acceptedAnswers.length) {
+        return [{ errorKey: 'question.acceptedAnswersRequired' }];
+      }
+      if (acceptedAnswers.length > MAX_ACCEPTED_ANSWERS) {
+        return [{ errorKey: 'question.tooManyAcceptedAnswers', params: { max: MAX_ACCEPTED_ANSWERS } }];
+      }
+      if (acceptedAnswers.some(value => value.length > MAX_TEXT_ANSWER_LENGTH || !normalizeTextAnswer(value))) {
+        return [{ errorKey: 'question.acceptedAnswerTooLong', params: { max: MAX_TEXT_ANSWER_LENGTH } }];
+      }
+      return [];
+    },
+    parseResponse(question, value) {
+      const text = typeof value === 'string' ? value.trim() : '';
+      return text && text.length <= MAX_TEXT_ANSWER_LENGTH ? text : undefined;
+    },
+    grade(question, response) {
+      const key = normalizeTextAnswer(response);
+      return question.acceptedAnswers.some(value => normalizeTextAnswer(value) === key) ? 1 : 0;
+    },
+    getCorrectAnswer(question) {
+      return [...question.acceptedAnswers];
+    },
+    toDisplayResponse(question, response) {
+      return response;
+    }
+  }
+};
+
+const QUESTION_TYPES = Object.keys(types);
+
+function getHandler(question) {
+  return types[getQuestionType(question)] || null;
+}
+
+function isQuestionType(type) {
+  return Object.prototype.hasOwnProperty.call(types, type);
+}
+
+function hasChoices(question) {
+  const handler = getHandler(question);
+  return Boolean(handler && handler.hasChoices);
+}
+
+// Returns the type's answer fields for a candidate question; the type itself is omitted for single choice.
+function normalizeAnswerFields(source, type) {
+  if (!isQuestionType(type)) {
+    return { type };
+  }
+  const fields = types[type].normalize(source);
+  return type === DEFAULT_TYPE ? fields : { type, ...fields };
+}
+
+function validateAnswerFields(candidate) {
+  const type = getQuestionType(candidate);
+  if (!isQuestionType(type)) {
+    return [{ errorKey: 'question.invalidType' }];
+  }
+  return types[type].validate(candidate);
+}
+
+// Returns undefined when the value isn't a well-formed answer for this question.
+function parseResponse(question, value, order = null) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  return getHandler(question).parseResponse(question, value, order);
+}
+
+function gradeResponse(question, response) {
+  if (!question || response === undefined || response === null) {
+    return 0;
+  }
+  return getHandler(question).grade(question, response);
+}
+
+function getCorrectAnswer(question, order = null) {
+  return getHandler(question).getCorrectAnswer(question, order);
+}
+
+function toDisplayResponse(question, response, order = null) {
+  if (response === undefined || response === null) {
+    return null;
+  }
+  return getHandler(question).toDisplayResponse(question, response, order);
+}
+
+// Locking would give away the answer of an ordering question, so only plain choice lists can be locked.
+function canLockChoiceOrder(type) {
+  return isQuestionType(type) && types[type].hasChoices && !types[type].shuffleAlways;
+}
+
+module.exports = {
+  DEFAULT_TYPE,
+  QUESTION_TYPES,
+  getQuestionType,
+  isQuestionType,
+  hasChoices,
+  normalizeTextAnswer,
+  normalizeAnswerFields,
+  validateAnswerFields,
+  parseResponse,
+  gradeResponse,
+  getCorrectAnswer,
+  toDisplayResponse,
+  canLockChoiceOrder
+};
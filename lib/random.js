@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+
+// mulberry32 seeded from a string hash: small, fast and identical on every platform.
+function createRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffleWith(random, list) {
+  const copy = list.slice();
+  for (let i = copy.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+// Sorted by ID first so the pick only depends on the seed and the question bank, not on file order.
+function pickQuestionIds(questions, seed, count) {
+  const ids = questions.map(question => question.id).sort((a, b) => a - b);
+  return shuffleWith(createRandom(seed), ids).slice(0, count);
+}
+
+module.exports = {
+  createRandom,
+  shuffleWith,
+  pickQuestionIds
+};
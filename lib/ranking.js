@@ -0,0 +1,18 @@
+// Entries saved before point-based scoring have no points; for them the points are the correct count.
+function getEntryPoints(entry) {
+  return typeof entry.points === 'number' ? entry.points : entry.score;
+}
+
+// Every ranking in the app uses this order: points, then correct answers, then the faster time,
+// and the earlier run wins a full tie.
+function compareEntries(a, b) {
+  return getEntryPoints(b) - getEntryPoints(a)
+    || b.score - a.score
+    || a.totalTime - b.totalTime
+    || new Date(a.completedAt).getTime() - new Date(b.completedAt).getTime();
+}
+
+module.exports = {
+  getEntryPoints,
+  compareEntries
+};
@@ -0,0 +1,105 @@
+const INITIAL_RATING = 1500;
+const RATING_SCALE = 400;
+const PROVISIONAL_ANSWERS = 20;
+const PROVISIONAL_PLAYER_K = 48;
+const PLAYER_K = 24;
+const QUESTION_K = 16;
+
+// Starting points for questions that have never been answered.
+const DIFFICULTY_RATINGS = {
+  easy: 1350,
+  normal: 1500,
+  hard: 1650
+};
+
+function expectedScore(playerRating, questionRating) {
+  return 1 / (1 + 10 ** ((questionRating - playerRating) / RATING_SCALE));
+}
+
+function getPlayerK(answers) {
+  return answers < PROVISIONAL_ANSWERS ? PROVISIONAL_PLAYER_K : PLAYER_K;
+}
+
+// The result is a boolean or a partial credit between 0 and 1.
+function applyResult(player, question, result) {
+  const expected = expectedScore(player.rating, question.rating);
+  const actual = Number(result);
+  const playerK = getPlayerK(player.answers);
+  player.rating += playerK * (actual - expected);
+  question.rating -= QUESTION_K * (actual - expected);
+  player.answers += 1;
+  question.answers += 1;
+}
+
+function getInitialQuestionRating(question) {
+  return (question && DIFFICULTY_RATINGS[question.difficulty]) || INITIAL_RATING;
+}
+
+// A timed-out question is rated as a miss.
+function isAnswered(answer) {
+  return answer.timedOut === true || Number.isInteger(answer.choiceIndex) || (answer.response !== undefined && answer.response !== null);
+}
+
+// Entries recorded before partial credit existed only have the correct flag.
+function getAnswerCredit(answer) {
+  return typeof answer.credit === 'number' ? answer.credit : Number(Boolean(answer.correct));
+}
+
+function getPlayerKey(attempt) {
+  return attempt.playerId || `name:${attempt.name}`;
+}
+
+function createRatingTable() {
+  return { players: new Map(), questions: new Map(), count: 0 };
+}
+
+function getPlayerRecord(table, key) {
+  if (!table.players.has(key)) {
+    table.players.set(key, { rating: INITIAL_RATING, answers: 0 });
+  }
+  return table.players.get(key);
+}
+
+function getQuestionRecord(table, id, question) {
+  if (!table.questions.has(id)) {
+    table.questions.set(id, { rating: getInitialQuestionRating(question), answers: 0 });
+  }
+  return table.questions.get(id);
+}
+
+// Replays attempts in submission order, so the same history always yields the same ratings.
+function applyAttempts(table, attempts, getQuestion) {
+  attempts.forEach((attempt) => {
+    const player = getPlayerRecord(table, getPlayerKey(attempt));
+    (attempt.answers || []).forEach((answer) => {
+      if (!isAnswered(answer)) {
+        return;
+      }
+      const question = getQuestionRecord(table, answer.questionId, getQuestion(answer.questionId));
+      applyResult(player, question, getAnswerCredit(answer));
+    });
+  });
+  table.count += attempts.length;
+  return table;
+}
+
+function getQuestionRating(table, id, question) {
+  const record = table.questions.get(id);
+  return record ? record.rating : getInitialQuestionRating(question);
+}
+
+function getPlayerRating(table, key) {
+  const record = table.players.get(key);
+  return record ? { rating: record.rating, answers: record.answers } : { rating: INITIAL_RATING, answers: 0 };
+}
+
+module.exports = {
+  INITIAL_RATING,
+  expectedScore,
+  applyResult,
+  getInitialQuestionRating,
+  createRatingTable,
+  applyAttempts,
+  getQuestionRating,
+  getPlayerRating
+};
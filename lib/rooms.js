@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const { createChannel } = require('./sse');
+const { generateCode, generateToken, tokensMatch } = require('./codes');
+const media = require('./media');
+const { pickTranslations } = require('./questionTranslations');
+
+const MAX_PLAYERS = 50;
+const QUESTION_LEAD_MS = 1500;
+const QUESTION_TIME_LIMIT_MS = 20 * 1000;
+const ROOM_IDLE_TTL_MS = 2 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+
+const rooms = new Map();
+
+function touch(room) {
+  room.updatedAt = Date.now();
+}
+
+function createRoom(questions) {
+  const room = {
+    code: generateCode(code => rooms.has(code)),
+    hostToken: generateToken(),
+    questions: questions.map(question => ({ ...question, choices: [...question.choices] })),
+    players: new Map(),
+    phase: 'lobby',
+    currentIndex: -1,
+    startsAt: null,
+    deadline: null,
+    buzzedPlayerIds: new Set(),
+    winnerId: null,
+    questionTimer: null,
+    channel: createChannel(),
+    updatedAt: Date.now()
+  };
+  rooms.set(room.code, room);
+  return room;
+}
+
+function getRoom(code) {
+  if (typeof code !== 'string') {
+    return null;
+  }
+  return rooms.get(code.toUpperCase()) || null;
+}
+
+function isHost(room, token) {
+  return tokensMatch(room.hostToken, token);
+}
+
+function isFull(room) {
+  return room.players.size >= MAX_PLAYERS;
+}
+
+function hasPlayerNamed(room, name) {
+  return Array.from(room.players.values()).some(player => player.name === name);
+}
+
+function authenticatePlayer(room, playerId, token) {
+  const player = room.players.get(playerId);
+  if (!player || !tokensMatch(player.token, token)) {
+    return null;
+  }
+  return player;
+}
+
+function getScoreboard(room) {
+  return Array.from(room.players.values())
+    .sort((a, b) => {
+      if (b.score !== a.score) {
+        return b.score - a.score;
+      }
+      return a.joinedAt - b.joinedAt;
+    })
+    .map(player => ({ id: player.id, name: player.name, score: player.score }));
+}
+
+function getSnapshot(room) {
+  const question = room.questions[room.currentIndex];
+  const showQuestion = question && (room.phase === 'question' || room.phase === 'reveal');
+  const winner = room.winnerId ? room.players.get(room.winnerId) : null;
+
+  return {
+    code: room.code,
+    phase: room.phase,
+    questionNumber: room.currentIndex + 1,
+    totalQuestions: room.questions.length,
+    question: showQuestion
+      ? {
+        id: question.id,
+        question: question.question,
+        choices: [...question.choices],
+        media: media.getPublicMedia(question),
+        choiceMedia: media.getPublicChoiceMedia(question),
+        translations: pickTranslations(question, ['question', 'choices'])
+      }
+      : null,
+    startsAt: room.phase === 'question' ? room.startsAt : null,
+    deadline: room.phase === 'question' ? room.deadline : null,
+    reveal: room.phase === 'reveal'
+      ? {
+        correctIndex: question.answer,
+        explanation: question.explanation || null,
+        translations: pickTranslations(question, ['explanation']),
+        winner: winner ? { id: winner.id, name: winner.name } : null
+      }
+      : null,
+    scoreboard: getScoreboard(room),
+    serverTime: Date.now()
+  };
+}
+
+function broadcastState(room) {
+  room.channel.broadcast('state', getSnapshot(room));
+}
+
+function subscribe(room, req, res) {
+  room.channel.subscribe(req, res, [{ event: 'state', data: getSnapshot(room) }]);
+}
+
+function joinRoom(room, name) {
+  const player = {
+    id: crypto.randomUUID(),
+    token: generateToken(),
+    name,
+    score: 0,
+    joinedAt: Date.now()
+  };
+  room.players.set(player.id, player);
+  touch(room);
+  broadcastState(room);
+  return player;
+}
+
+function clearQuestionTimer(room) {
+  if (room.questionTimer) {
+    clearTimeout(room.questionTimer);
+    room.questionTimer = null;
+  }
+}
+
+function revealAnswer(room) {
+  clearQuestionTimer(room);
+  room.phase = 'reveal';
+  touch(room);
+  broadcastState(room);
+}
+
+function advance(room) {
+  clearQuestionTimer(room);
+
+  if (room.currentIndex + 1 >= room.questions.length) {
+    room.phase = 'finished';
+    touch(room);
+    broadcastState(room);
+    return;
+  }
+
+  const now = Date.now();
+  room.currentIndex += 1;
+  room.phase = 'question';
+  room.startsAt = now + QUESTION_LEAD_MS;
+  room.deadline = room.startsAt + QUESTION_TIME_LIMIT_MS;
+  room.buzzedPlayerIds = new Set();
+  room.winnerId = null;
+  room.questionTimer = setTimeout(() => revealAnswer(room), room.deadline - now);
+  touch(room);
+  broadcastState(room);
+}
+
+function isAcceptingBuzzes(room, now = Date.now()) {
+  return room.phase === 'question' && now >= room.startsAt && now <= room.deadline;
+}
+
+function hasBuzzed(room, playerId) {
+  return room.buzzedPlayerIds.has(playerId);
+}
+
+function isValidChoice(room, choiceIndex) {
+  const question = room.questions[room.currentIndex];
+  return Boolean(question) && Number.isInteger(choiceIndex) && choiceIndex >= 0 && choiceIndex < question.choices.length;
+}
+
+function buzz(room, player, choiceIndex) {
+  const question = room.questions[room.currentIndex];
+  const correct = question.answer === choiceIndex;
+
+  room.buzzedPlayerIds.add(player.id);
+  touch(room);
+  room.channel.broadcast('buzz', { playerId: player.id, name: player.name, correct });
+
+  if (correct) {
+    player.score += 1;
+    room.winnerId = player.id;
+    revealAnswer(room);
+  } else if (room.buzzedPlayerIds.size >= room.players.size) {
+    revealAnswer(room);
+  }
+
+  return correct;
+}
+
+function purgeIdleRooms(now = Date.now()) {
+  rooms.forEach((room, code) => {
+    if (now - room.updatedAt > ROOM_IDLE_TTL_MS) {
+      clearQuestionTimer(room);
+      room.channel.close();
+      rooms.delete(code);
+    }
+  });
+}
+
+setInterval(purgeIdleRooms, PURGE_INTERVAL_MS).unref();
+
+module.exports = {
+  createRoom,
+  getRoom,
+  isHost,
+  isFull,
+  hasPlayerNamed,
+  authenticatePlayer,
+  getSnapshot,
+  subscribe,
+  joinRoom,
+  advance,
+  isAcceptingBuzzes,
+  hasBuzzed,
+  isValidChoice,
+  buzz
+};
@@ -0,0 +1,57 @@
+const DEFAULT_RULE = 'standard';
+const SPEED_POINTS = 100;
+const WRONG_ANSWER_PENALTY = 25;
+// Untimed quizzes still need a yardstick for "fast"; slower answers only earn the base half.
+const REFERENCE_SECONDS = 20;
+
+function round(value, digits = 2) {
+  return Number(value.toFixed(digits));
+}
+
+function getSpeedFactor(seconds, timeLimit) {
+  if (typeof seconds !== 'number') {
+    return 0;
+  }
+  return Math.min(1, Math.max(0, 1 - seconds / (timeLimit || REFERENCE_SECONDS)));
+}
+
+function scoreSpeed({ credit, seconds }, { timeLimit }) {
+  return Math.round(credit * SPEED_POINTS * (0.5 + 0.5 * getSpeedFactor(seconds, timeLimit)));
+}
+
+// Each rule turns one answer (its credit between 0 and 1, the seconds it took and whether it timed out)
+// into points; a quiz's points are the sum. Adding a rule here makes it selectable when starting a quiz.
+const rules = {
+  standard: {
+    score: ({ credit }) => credit
+  },
+
+  // A correct answer is worth half the points outright and the other half the faster it came.
+  speed: {
+    score: scoreSpeed
+  },
+
+  // Running out of time is not a wrong answer, so only answers that were sent and missed lose points.
+  'speed-penalty': {
+    score: (answer, context) => (answer.credit === 0 && !answer.timedOut ? -WRONG_ANSWER_PENALTY : scoreSpeed(answer, context))
+  }
+};
+
+function isScoringRule(id) {
+  return Object.prototype.hasOwnProperty.call(rules, id);
+}
+
+// Penalties can't take a quiz below zero.
+function scoreAnswers(ruleId, answers, context = {}) {
+  const rule = rules[isScoringRule(ruleId) ? ruleId : DEFAULT_RULE];
+  const answerPoints = answers.map(answer => round(rule.score(answer, context)));
+  const total = answerPoints.reduce((sum, value) => sum + value, 0);
+  return { points: Math.max(0, round(total)), answerPoints };
+}
+
+module.exports = {
+  DEFAULT_RULE,
+  round,
+  isScoringRule,
+  scoreAnswers
+};
@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+
+const SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+const MAX_QUIZ_DURATION_MS = 30 * 60 * 1000;
+const MIN_SECONDS_PER_QUESTION = 0.5;
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+// Covers the network delay of an answer sent just before the countdown ran out.
+const LATE_ANSWER_GRACE_MS = 1000;
+
+const sessions = new Map();
+
+function createSession(questionIds, {
+  board = null,
+  targetCount = questionIds.length,
+  adaptive = null,
+  playerId = null,
+  daily = null,
+  tournament = null,
+  team = null,
+  show = null,
+  choiceOrders = new Map(),
+  timeLimit = null,
+  scoring = null,
+  locale = null
+} = {}) {
+  const session = {
+    id: crypto.randomUUID(),
+    board,
+    playerId,
+    daily,
+    tournament,
+    team,
+    show,
+    questionIds: [...questionIds],
+    targetCount,
+    adaptive,
+    choiceOrders: new Map(choiceOrders),
+    timeLimit,
+    scoring,
+    // Questions, feedback and the review are all given in the language the quiz was started in.
+    locale,
+    openedAt: new Map(),
+    answers: new Map(),
+    createdAt: Date.now(),
+    startedAt: Date.now(),
+    submittedAt: null
+  };
+  sessions.set(session.id, session);
+  return session;
+}
+
+function isExpired(session, now = Date.now()) {
+  return now - session.createdAt > SESSION_TTL_MS;
+}
+
+function getSession(id) {
+  if (typeof id !== 'string' || !id) {
+    return null;
+  }
+
+  const session = sessions.get(id);
+  if (!session) {
+    return null;
+  }
+
+  if (isExpired(session)) {
+    sessions.delete(id);
+    return null;
+  }
+
+  return session;
+}
+
+function hasQuestion(session, questionId) {
+  return session.questionIds.includes(questionId);
+}
+
+function appendQuestion(session, questionId) {
+  if (session.questionIds.length >= session.targetCount || session.questionIds.includes(questionId)) {
+    return false;
+  }
+  session.questionIds.push(questionId);
+  return true;
+}
+
+function setChoiceOrder(session, questionId, order) {
+  session.choiceOrders.set(questionId, [...order]);
+}
+
+function getChoiceOrder(session, questionId) {
+  return session.choiceOrders.get(questionId) || null;
+}
+
+// Timed quizzes hand out one question at a time; its countdown starts when it is opened.
+function openQuestion(session, questionId, now = Date.now()) {
+  if (!session.openedAt.has(questionId)) {
+    session.openedAt.set(questionId, now);
+  }
+}
+
+function isOpened(session, questionId) {
+  return session.openedAt.has(questionId);
+}
+
+function getDeadline(session, questionId) {
+  if (!session.timeLimit || !session.openedAt.has(questionId)) {
+    return null;
+  }
+  return session.openedAt.get(questionId) + session.timeLimit * 1000;
+}
+
+function isPastDeadline(session, questionId, now = Date.now()) {
+  const deadline = getDeadline(session, questionId);
+  return deadline !== null && now > deadline + LATE_ANSWER_GRACE_MS;
+}
+
+function getNextQuestionId(session) {
+  return session.questionIds.find(id => !session.openedAt.has(id)) || null;
+}
+
+function hasOpenQuestion(session) {
+  return Array.from(session.openedAt.keys()).some(id => !session.answers.has(id));
+}
+
+function isOverdue(session, now = Date.now()) {
+  return now - session.startedAt > MAX_QUIZ_DURATION_MS;
+}
+
+function elapsedSeconds(session, now = Date.now()) {
+  return Math.max(0, now - session.startedAt) / 1000;
+}
+
+// The response is stored in authored form (choice indexes before shuffling) together with its credit.
+function recordAnswer(session, questionId, response, credit, now = Date.now()) {
+  if (session.answers.has(questionId)) {
+    return false;
+  }
+  session.answers.set(questionId, { response, credit, answeredAt: now });
+  return true;
+}
+
+// A forfeit is stored like an answer, so a timed-out question still counts as answered on submit.
+function recordTimeout(session, questionId, now = Date.now()) {
+  if (session.answers.has(questionId)) {
+    return false;
+  }
+  const deadline = getDeadline(session, questionId);
+  session.answers.set(questionId, {
+    response: null,
+    credit: 0,
+    answeredAt: deadline === null ? now : Math.min(now, deadline),
+    timedOut: true
+  });
+  return true;
+}
+
+// Questions whose countdown ran out without the client reporting it, e.g. after the tab was closed.
+// Returns the ids that were forfeited, so callers can treat them like answered questions.
+function expireOpenQuestions(session, now = Date.now()) {
+  const expired = [];
+  session.openedAt.forEach((openedAt, questionId) => {
+    if (!session.answers.has(questionId) && isPastDeadline(session, questionId, now)) {
+      recordTimeout(session, questionId, now);
+      expired.push(questionId);
+    }
+  });
+  return expired;
+}
+
+function isTimedOut(session, questionId) {
+  const answer = session.answers.get(questionId);
+  return Boolean(answer && answer.timedOut);
+}
+
+function getResponse(session, questionId) {
+  const answer = session.answers.get(questionId);
+  return answer ? answer.response : null;
+}
+
+function getCredit(session, questionId) {
+  const answer = session.answers.get(questionId);
+  return answer ? answer.credit : 0;
+}
+
+function getTiming(session) {
+  const answered = Array.from(session.answers.entries())
+    .map(([questionId, answer]) => ({ questionId, answeredAt: answer.answeredAt }))
+    .sort((a, b) => a.answeredAt - b.answeredAt);
+
+  // Timed questions are measured from when they were opened, others from the previous answer.
+  let previous = session.startedAt;
+  const questionTimes = answered.map(({ questionId, answeredAt }) => {
+    const start = session.openedAt.has(questionId) ? session.openedAt.get(questionId) : previous;
+    const seconds = (answeredAt - start) / 1000;
+    previous = answeredAt;
+    return { questionId, seconds: Number(seconds.toFixed(2)) };
+  });
+
+  const totalTime = (previous - session.startedAt) / 1000;
+  return {
+    totalTime: Number(totalTime.toFixed(2)),
+    questionTimes
+  };
+}
+
+// A fast total can hide one instant answer, so every answer is held to the minimum too.
+// Timeouts are left out: the player didn't answer those at all.
+function isTooFast(session, totalTime, questionTimes) {
+  return totalTime < session.questionIds.length * MIN_SECONDS_PER_QUESTION
+    || questionTimes.some(({ questionId, seconds }) => !isTimedOut(session, questionId) && seconds < MIN_SECONDS_PER_QUESTION);
+}
+
+function isComplete(session) {
+  return session.questionIds.length >= session.targetCount && session.questionIds.every(id => session.answers.has(id));
+}
+
+function markSubmitted(session) {
+  session.submittedAt = Date.now();
+}
+
+function releaseSubmission(session) {
+  session.submittedAt = null;
+}
+
+function purgeExpiredSessions(now = Date.now()) {
+  sessions.forEach((session, id) => {
+    if (isExpired(session, now)) {
+      sessions.delete(id);
+    }
+  });
+}
+
+setInterval(purgeExpiredSessions, PURGE_INTERVAL_MS).unref();
+
+module.exports = {
+  createSession,
+  getSession,
+  hasQuestion,
+  appendQuestion,
+  setChoiceOrder,
+  getChoiceOrder,
+  openQuestion,
+  isOpened,
+  getDeadline,
+  isPastDeadline,
+  getNextQuestionId,
+  hasOpenQuestion,
+  recordAnswer,
+  recordTimeout,
+  expireOpenQuestions,
+  isTimedOut,
+  getResponse,
+  getCredit,
+  getTiming,
+  isOverdue,
+  isTooFast,
+  elapsedSeconds,
+  isComplete,
+  markSubmitted,
+  releaseSubmission
+};
@@ -0,0 +1,217 @@
+const { createChannel } = require('./sse');
+const { generateCode, generateToken, tokensMatch } = require('./codes');
+
+const MAX_AUDIENCE = 300;
+const SHOW_IDLE_TTL_MS = 4 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+
+const shows = new Map();
+
+function touch(show) {
+  show.updatedAt = Date.now();
+}
+
+// questions are already in the host's language and in the order everyone sees the choices in:
+// [{ id, question, correctIndex, explanation }]. choiceOrders holds those orders for the audience sessions.
+function createShow(questions, choiceOrders) {
+  const show = {
+    code: generateCode(code => shows.has(code)),
+    hostToken: generateToken(),
+    questions,
+    choiceOrders,
+    phase: 'lobby',
+    currentIndex: -1,
+    openedAt: null,
+    counts: [],
+    audience: new Map(),
+    channel: createChannel(),
+    updatedAt: Date.now()
+  };
+  shows.set(show.code, show);
+  return show;
+}
+
+function getShow(code) {
+  if (typeof code !== 'string') {
+    return null;
+  }
+  return shows.get(code.toUpperCase()) || null;
+}
+
+function isHost(show, token) {
+  return tokensMatch(show.hostToken, token);
+}
+
+function getCurrentQuestion(show) {
+  return show.questions[show.currentIndex] || null;
+}
+
+function isAcceptingAnswers(show, questionId) {
+  const question = getCurrentQuestion(show);
+  return show.phase === 'question' && Boolean(question) && question.id === questionId;
+}
+
+// Ties go to whoever answered faster in total, then to whoever joined first.
+function getStandings(show) {
+  return Array.from(show.audience.values())
+    .sort((a, b) => b.score - a.score || a.time - b.time || a.joinedAt - b.joinedAt)
+    .map((member, index) => ({
+      rank: index + 1,
+      playerId: member.playerId,
+      name: member.name,
+      score: Number(member.score.toFixed(2)),
+      time: Number(member.time.toFixed(2))
+    }));
+}
+
+function getAnsweredCount(show) {
+  return show.counts.reduce((total, count) => total + count, 0);
+}
+
+function getSnapshot(show) {
+  const question = getCurrentQuestion(show);
+  const showQuestion = question && (show.phase === 'question' || show.phase === 'reveal');
+  // The ranking would give the answer away while a question is open, so it is only sent between questions.
+  const showStandings = show.phase === 'leaderboard' || show.phase === 'finished';
+
+  return {
+    code: show.code,
+    phase: show.phase,
+    questionNumber: show.currentIndex + 1,
+    totalQuestions: show.questions.length,
+    audience: show.audience.size,
+    question: showQuestion ? question.question : null,
+    counts: showQuestion ? [...show.counts] : null,
+    answered: showQuestion ? getAnsweredCount(show) : 0,
+    reveal: show.phase === 'reveal'
+      ? { correctIndex: question.correctIndex, explanation: question.explanation }
+      : null,
+    standings: showStandings ? getStandings(show) : null,
+    serverTime: Date.now()
+  };
+}
+
+function broadcastState(show) {
+  show.channel.broadcast('state', getSnapshot(show));
+}
+
+function subscribe(show, req, res) {
+  show.channel.subscribe(req, res, [{ event: 'state', data: getSnapshot(show) }]);
+}
+
+function findAudienceSessionId(show, playerId) {
+  const member = show.audience.get(playerId);
+  return member ? member.sessionId : null;
+}
+
+function isFull(show) {
+  return show.audience.size >= MAX_AUDIENCE;
+}
+
+// Joining again from another tab or after a reload replaces the player's session but keeps their score
+// and the questions they have answered.
+function joinShow(show, player, sessionId) {
+  const member = show.audience.get(player.id);
+  show.audience.set(player.id, member
+    ? { ...member, sessionId }
+    : { playerId: player.id, name: player.name, sessionId, score: 0, time: 0, answered: new Set(), joinedAt: Date.now() });
+  touch(show);
+  broadcastState(show);
+}
+
+function hasAnswered(show, playerId, questionId) {
+  const member = show.audience.get(playerId);
+  return Boolean(member) && member.answered.has(questionId);
+}
+
+// Each player counts once per question, whichever of their sessions the answer came from.
+function recordAnswer(show, playerId, questionId, displayIndex, credit, now = Date.now()) {
+  const member = show.audience.get(playerId);
+  if (!member || member.answered.has(questionId)) {
+    return false;
+  }
+  member.answered.add(questionId);
+  member.score += credit;
+  member.time += Math.max(0, now - show.openedAt) / 1000;
+  if (Number.isInteger(displayIndex) && displayIndex >= 0 && displayIndex < show.counts.length) {
+    show.counts[displayIndex] += 1;
+  }
+  touch(show);
+  // Only the counts change, so the audience's phones aren't sent a full snapshot for every answer.
+  show.channel.broadcast('tally', {
+    questionNumber: show.currentIndex + 1,
+    counts: [...show.counts],
+    answered: getAnsweredCount(show)
+  });
+  return true;
+}
+
+// Each host action returns { status, errorKey } when it isn't allowed in the current phase.
+function openNextQuestion(show) {
+  if (show.phase === 'finished') {
+    return { status: 409, errorKey: 'show.finished' };
+  }
+  if (show.phase === 'question') {
+    return { status: 409, errorKey: 'show.revealFirst' };
+  }
+  if (show.currentIndex + 1 >= show.questions.length) {
+    show.phase = 'finished';
+  } else {
+    show.currentIndex += 1;
+    show.phase = 'question';
+    show.openedAt = Date.now();
+    show.counts = show.questions[show.currentIndex].question.choices.map(() => 0);
+  }
+  touch(show);
+  broadcastState(show);
+  return null;
+}
+
+function revealAnswer(show) {
+  if (show.phase !== 'question') {
+    return { status: 409, errorKey: 'show.notAnswering' };
+  }
+  show.phase = 'reveal';
+  touch(show);
+  broadcastState(show);
+  return null;
+}
+
+function showStandings(show) {
+  if (show.phase !== 'reveal') {
+    return { status: 409, errorKey: 'show.notRevealed' };
+  }
+  show.phase = 'leaderboard';
+  touch(show);
+  broadcastState(show);
+  return null;
+}
+
+function purgeIdleShows(now = Date.now()) {
+  shows.forEach((show, code) => {
+    if (now - show.updatedAt > SHOW_IDLE_TTL_MS) {
+      show.channel.close();
+      shows.delete(code);
+    }
+  });
+}
+
+setInterval(purgeIdleShows, PURGE_INTERVAL_MS).unref();
+
+module.exports = {
+  createShow,
+  getShow,
+  isHost,
+  isFull,
+  getCurrentQuestion,
+  isAcceptingAnswers,
+  getSnapshot,
+  subscribe,
+  findAudienceSessionId,
+  joinShow,
+  hasAnswered,
+  recordAnswer,
+  openNextQuestion,
+  revealAnswer,
+  showStandings
+};
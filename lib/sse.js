@@ -0,0 +1,98 @@
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const RETRY_MS = 3000;
+
+function openEventStream(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+  });
+}
+
+function writeEvent(res, event, data, id) {
+  let message = '';
+  if (id !== undefined && id !== null) {
+    message += `id: ${id}\n`;
+  }
+  message += `event: ${event}\n`;
+  message += `data: ${JSON.stringify(data)}\n\n`;
+  res.write(message);
+}
+
+// With a historySize, published events get increasing ids and the most recent ones are kept so a client
+// that reconnects with Last-Event-ID can be sent what it missed. Ids start from the current time so they
+// keep increasing across restarts, and ids from before a restart are simply too old to resume from.
+function createChannel({ historySize = 0 } = {}) {
+  const clients = new Set();
+  const history = [];
+  let lastId = Date.now();
+
+  return {
+    subscribe(req, res, initialEvents = []) {
+      openEventStream(req, res);
+      clients.add(res);
+      initialEvents.forEach(({ event, data, id }) => writeEvent(res, event, data, id));
+      req.on('close', () => {
+        clients.delete(res);
+      });
+    },
+
+    broadcast(event, data, id) {
+      clients.forEach(res => writeEvent(res, event, data, id));
+    },
+
+    publish(event, data) {
+      lastId += 1;
+      history.push({ event, data, id: lastId });
+      if (history.length > historySize) {
+        history.shift();
+      }
+      this.broadcast(event, data, lastId);
+      return lastId;
+    },
+
+    // Returns the events after lastEventId, or null when some of them are no longer kept.
+    getEventsSince(lastEventId) {
+      const id = Number(lastEventId);
+      if (!Number.isInteger(id) || id > lastId) {
+        return null;
+      }
+      if (id === lastId) {
+        return [];
+      }
+      if (!history.length || id < history[0].id - 1) {
+        return null;
+      }
+      return history.filter(entry => entry.id > id);
+    },
+
+    close() {
+      clients.forEach(res => res.end());
+      clients.clear();
+    },
+
+    get size() {
+      return clients.size;
+    },
+
+    get lastId() {
+      return lastId;
+    }
+  };
+}
+
+module.exports = {
+  createChannel,
+  openEventStream,
+  writeEvent
+};
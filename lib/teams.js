@@ -0,0 +1,122 @@
+const { getEntryPoints, compareEntries } = require('./ranking');
+
+const MAX_TEAM_NAME_LENGTH = 32;
+const DEFAULT_METHOD = 'sum';
+const DEFAULT_BEST_COUNT = 3;
+
+function normalizeTeamName(name) {
+  return typeof name === 'string' ? name.replace(/\s+/g, ' ').trim().slice(0, MAX_TEAM_NAME_LENGTH) : '';
+}
+
+// Like player names, team names that only differ by case or full-width/half-width forms are the same team.
+function getTeamKey(name) {
+  return normalizeTeamName(name).normalize('NFKC').toLowerCase();
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+// Each method picks which members' points count (they arrive best first) and combines them into the
+// team score. Adding a method here makes it selectable with TEAM_AGGREGATE.
+const methods = {
+  sum: {
+    pick: points => points,
+    combine: sum
+  },
+
+  // Small teams aren't penalised for their size.
+  average: {
+    pick: points => points,
+    combine: points => (points.length ? sum(points) / points.length : 0)
+  },
+
+  // Only the best few count, so a large team can't win on numbers alone.
+  best: {
+    pick: (points, { bestCount }) => points.slice(0, bestCount),
+    combine: sum
+  }
+};
+
+function isTeamMethod(id) {
+  return Object.prototype.hasOwnProperty.call(methods, id);
+}
+
+// Each board's teams with every member's best run so far; attempts are added as they are recorded,
+// so ranking a board never replays the play history.
+function createTeamIndex() {
+  return { boards: new Map(), count: 0 };
+}
+
+function getBoardTeams(index, board) {
+  if (!index.boards.has(board)) {
+    index.boards.set(board, { attempts: 0, teams: new Map() });
+  }
+  return index.boards.get(board);
+}
+
+// Every member counts with their best run on the board, so replaying can only raise the team score.
+// A run counts for the team the player was in when they started it.
+function addTeamAttempts(index, attempts) {
+  attempts
+    .filter(attempt => attempt.team && attempt.playerId)
+    .forEach((attempt) => {
+      const boardTeams = getBoardTeams(index, attempt.board);
+      const { teams } = boardTeams;
+      boardTeams.attempts += 1;
+      const key = getTeamKey(attempt.team);
+      const team = teams.get(key) || { key, name: attempt.team, members: new Map() };
+      // The most recent spelling of the name is shown.
+      team.name = attempt.team;
+      const run = {
+        playerId: attempt.playerId,
+        name: attempt.name,
+        points: getEntryPoints(attempt),
+        score: attempt.score,
+        totalTime: attempt.totalTime,
+        completedAt: attempt.completedAt
+      };
+      const current = team.members.get(attempt.playerId);
+      if (!current || compareEntries(run, current) < 0) {
+        team.members.set(attempt.playerId, run);
+      }
+      teams.set(key, team);
+    });
+  index.count += attempts.length;
+  return index;
+}
+
+// How many team runs each board has, for listing the boards that have a team ranking.
+function countTeamAttempts(index) {
+  return new Map(Array.from(index.boards.entries()).map(([board, { attempts }]) => [board, attempts]));
+}
+
+function rankTeamBoard(index, board, { method = DEFAULT_METHOD, bestCount = DEFAULT_BEST_COUNT } = {}) {
+  const rule = methods[method] || methods[DEFAULT_METHOD];
+  const boardTeams = index.boards.get(board);
+  return Array.from(boardTeams ? boardTeams.teams.values() : [])
+    .map((team) => {
+      const members = Array.from(team.members.values()).sort(compareEntries);
+      const counted = rule.pick(members.map(member => member.points), { bestCount });
+      return {
+        key: team.key,
+        name: team.name,
+        score: Number(rule.combine(counted).toFixed(2)),
+        members: members.map((member, position) => ({ ...member, counted: position < counted.length }))
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.members.length - a.members.length || a.name.localeCompare(b.name))
+    .map((team, position) => ({ ...team, rank: position + 1 }));
+}
+
+module.exports = {
+  DEFAULT_METHOD,
+  DEFAULT_BEST_COUNT,
+  normalizeTeamName,
+  getTeamKey,
+  isTeamMethod,
+  createTeamIndex,
+  addTeamAttempts,
+  countTeamAttempts,
+  rankTeamBoard
+};
@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const { compareEntries } = require('./ranking');
+
+const MAX_NAME_LENGTH = 60;
+const MAX_ROUNDS = 10;
+const ADVANCEMENT_TYPES = ['top', 'threshold'];
+
+function normalizeName(name) {
+  return typeof name === 'string' ? name.replace(/\s+/g, ' ').trim() : '';
+}
+
+// { top: 4 } keeps the best four, { minPoints: 5 } keeps everyone with at least five points.
+function normalizeAdvancement(input) {
+  if (!input || typeof input !== 'object') {
+    return null;
+  }
+  if (input.top !== undefined) {
+    return { type: 'top', count: Number(input.top) };
+  }
+  if (input.minPoints !== undefined) {
+    return { type: 'threshold', points: Number(input.minPoints) };
+  }
+  return { type: normalizeName(input.type), count: Number(input.count), points: Number(input.points) };
+}
+
+function validateAdvancement(advancement, number) {
+  if (!advancement || !ADVANCEMENT_TYPES.includes(advancement.type)) {
+    return [{ errorKey: 'tournament.advancementRequired', params: { round: number } }];
+  }
+  if (advancement.type === 'top' && !(Number.isInteger(advancement.count) && advancement.count >= 1)) {
+    return [{ errorKey: 'tournament.invalidAdvanceCount', params: { round: number } }];
+  }
+  if (advancement.type === 'threshold' && !(Number.isFinite(advancement.points) && advancement.points >= 0)) {
+    return [{ errorKey: 'tournament.invalidAdvancePoints', params: { round: number } }];
+  }
+  return [];
+}
+
+// Checks the shape of a new tournament; each round's quiz settings are checked by the caller like a /api/quiz request.
+function validateTournamentInput(input) {
+  const source = input && typeof input === 'object' ? input : {};
+  const errors = [];
+  const name = normalizeName(source.name);
+  if (!name) {
+    errors.push({ errorKey: 'tournament.nameRequired' });
+  } else if (name.length > MAX_NAME_LENGTH) {
+    errors.push({ errorKey: 'tournament.nameTooLong', params: { max: MAX_NAME_LENGTH } });
+  }
+
+  const rounds = Array.isArray(source.rounds) ? source.rounds : [];
+  if (!rounds.length || rounds.length > MAX_ROUNDS) {
+    errors.push({ errorKey: 'tournament.invalidRoundCount', params: { max: MAX_ROUNDS } });
+    return errors;
+  }
+
+  rounds.forEach((round, index) => {
+    if (!round || typeof round !== 'object') {
+      errors.push({ errorKey: 'tournament.invalidRound', params: { round: index + 1 } });
+      return;
+    }
+    // The last round decides the final placement, so nobody advances from it.
+    if (index < rounds.length - 1) {
+      errors.push(...validateAdvancement(normalizeAdvancement(round.advance), index + 1));
+    }
+  });
+  return errors;
+}
+
+function rankResults(results) {
+  return results
+    .slice()
+    .sort(compareEntries)
+    .map((entry, index) => ({ ...entry, rank: index + 1 }));
+}
+
+function selectAdvancing(advancement, ranked) {
+  if (advancement.type === 'top') {
+    return ranked.slice(0, advancement.count);
+  }
+  return ranked.filter(entry => entry.points >= advancement.points);
+}
+
+function getStatus(tournament) {
+  if (tournament.rounds.every(round => round.status === 'closed')) {
+    return 'finished';
+  }
+  return tournament.rounds[0].status === 'pending' ? 'registration' : 'running';
+}
+
+function getOpenRound(tournament) {
+  return tournament.rounds.find(round => round.status === 'open') || null;
+}
+
+// Everyone registered plays the first round; later rounds are for whoever advanced from the one before.
+function getEligiblePlayerIds(tournament, number) {
+  if (number === 1) {
+    return tournament.players.map(player => player.playerId);
+  }
+  return tournament.rounds[number - 2].advanced || [];
+}
+
+// Players knocked out in a later round place above those knocked out earlier; within a round the
+// round's ranking decides, and players who never played that round come last.
+function getPlacements(tournament) {
+  if (getStatus(tournament) !== 'finished') {
+    return null;
+  }
+  const names = new Map(tournament.players.map(player => [player.playerId, player.name]));
+  const placed = new Set();
+  const placements = [];
+  tournament.rounds.slice().reverse().forEach((round) => {
+    const eligible = getEligiblePlayerIds(tournament, round.number);
+    const ranked = rankResults(round.results).filter(entry => eligible.includes(entry.playerId));
+    const absent = eligible.filter(playerId => !ranked.some(entry => entry.playerId === playerId));
+    [
+      ...ranked.map(entry => ({ playerId: entry.playerId, score: entry.score, points: entry.points, totalTime: entry.totalTime })),
+      ...absent.map(playerId => ({ playerId, score: null, points: null, totalTime: null }))
+    ].forEach((entry) => {
+      if (placed.has(entry.playerId)) {
+        return;
+      }
+      placed.add(entry.playerId);
+      placements.push({ ...entry, name: names.get(entry.playerId) || '', round: round.number });
+    });
+  });
+  return placements.map((entry, index) => ({ ...entry, rank: index + 1 }));
+}
+
+function createRound(selection, advancement, number) {
+  return {
+    number,
+    selection,
+    advancement,
+    status: 'pending',
+    questionIds: [],
+    openedAt: null,
+    closedAt: null,
+    starts: {},
+    results: [],
+    advanced: null
+  };
+}
+
+function createTournamentRegistry(store) {
+  async function findTournament(id) {
+    return (await store.read()).find(tournament => tournament.id === id) || null;
+  }
+
+  // change returns { tournament, value } to save, or { error } to leave the file untouched.
+  function updateTournament(id, change) {
+    let result;
+    return store.update((tournaments) => {
+      const index = tournaments.findIndex(tournament => tournament.id === id);
+      if (index < 0) {
+        result = { error: { status: 404, errorKey: 'tournament.notFound' } };
+        return tournaments;
+      }
+      const { tournament, value, error } = change(tournaments[index]);
+      if (error) {
+        result = { error };
+        return tournaments;
+      }
+      tournaments[index] = tournament;
+      result = { tournament, value };
+      return tournaments;
+    }).then(() => result);
+  }
+
+  function updateRound(tournament, number, change) {
+    return {
+      ...tournament,
+      rounds: tournament.rounds.map(round => (round.number === number ? { ...round, ...change(round) } : round))
+    };
+  }
+
+  return {
+    findTournament,
+
+    async listTournaments() {
+      return (await store.read()).slice().sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    // rounds holds each round's normalized quiz settings ({ selection, advance }).
+    async createTournament({ name, rounds }) {
+      const tournament = {
+        id: crypto.randomBytes(4).toString('hex'),
+        name: normalizeName(name),
+        createdAt: new Date().toISOString(),
+        players: [],
+        rounds: rounds.map((round, index) => createRound(
+          round.selection,
+          index < rounds.length - 1 ? normalizeAdvancement(round.advance) : null,
+          index + 1
+        ))
+      };
+      await store.update((tournaments) => {
+        tournaments.push(tournament);
+        return tournaments;
+      });
+      return tournament;
+    },
+
+    // Registration closes once the first round opens.
+    register(id, player) {
+      return updateTournament(id, (tournament) => {
+        if (getStatus(tournament) !== 'registration') {
+          return { error: { status: 409, errorKey: 'tournament.registrationClosed' } };
+        }
+        if (tournament.players.some(entry => entry.playerId === player.id)) {
+          return { error: { status: 409, errorKey: 'tournament.alreadyRegistered' } };
+        }
+        const entry = { playerId: player.id, name: player.name, registeredAt: new Date().toISOString() };
+        return { tournament: { ...tournament, players: [...tournament.players, entry] }, value: entry };
+      });
+    },
+
+    // The question set is frozen when the round opens, so every player of the round gets the same questions.
+    openRound(id, number, createQuestionIds) {
+      return updateTournament(id, (tournament) => {
+        const round = tournament.rounds.find(entry => entry.number === number);
+        if (!round) {
+          return { error: { status: 404, errorKey: 'tournament.roundNotFound' } };
+        }
+        if (round.status !== 'pending') {
+          return { error: { status: 409, errorKey: 'tournament.roundAlreadyOpened' } };
+        }
+        if (tournament.rounds.some(entry => entry.number < number && entry.status !== 'closed')) {
+          return { error: { status: 409, errorKey: 'tournament.previousRoundNotClosed' } };
+        }
+        if (!tournament.players.length) {
+          return { error: { status: 409, errorKey: 'tournament.noPlayers' } };
+        }
+        const questionIds = createQuestionIds(round);
+        if (!questionIds.length) {
+          return { error: { status: 404, errorKey: 'quiz.noQuestions' } };
+        }
+        const next = updateRound(tournament, number, () => ({
+          status: 'open',
+          questionIds,
+          openedAt: new Date().toISOString()
+        }));
+        return { tournament: next, value: next.rounds[number - 1] };
+      });
+    },
+
+    // Players who didn't submit before the round closed are out.
+    closeRound(id, number) {
+      return updateTournament(id, (tournament) => {
+        const round = tournament.rounds.find(entry => entry.number === number);
+        if (!round) {
+          return { error: { status: 404, errorKey: 'tournament.roundNotFound' } };
+        }
+        if (round.status !== 'open') {
+          return { error: { status: 409, errorKey: 'tournament.roundNotOpen' } };
+        }
+        const advanced = round.advancement
+          ? selectAdvancing(round.advancement, rankResults(round.results)).map(entry => entry.playerId)
+          : null;
+        const next = updateRound(tournament, number, () => ({
+          status: 'closed',
+          closedAt: new Date().toISOString(),
+          advanced
+        }));
+        return { tournament: next, value: advanced };
+      });
+    },
+
+    // Only the first start of a round counts; a second start would let players preview the set.
+    startAttempt(id, playerId) {
+      return updateTournament(id, (tournament) => {
+        const round = getOpenRound(tournament);
+        if (!round) {
+          return { error: { status: 409, errorKey: 'tournament.noOpenRound' } };
+        }
+        if (!getEligiblePlayerIds(tournament, round.number).includes(playerId)) {
+          return { error: { status: 403, errorKey: 'tournament.notEligible' } };
+        }
+        if (round.starts[playerId]) {
+          return { error: { status: 409, errorKey: 'tournament.alreadyStarted' } };
+        }
+        const next = updateRound(tournament, round.number, current => ({
+          starts: { ...current.starts, [playerId]: new Date().toISOString() }
+        }));
+        return { tournament: next, value: next.rounds[round.number - 1] };
+      });
+    },
+
+    recordResult(id, number, result) {
+      return updateTournament(id, (tournament) => {
+        const round = tournament.rounds.find(entry => entry.number === number);
+        if (!round || round.status !== 'open') {
+          return { error: { status: 409, errorKey: 'tournament.roundClosed' } };
+        }
+        if (round.results.some(entry => entry.playerId === result.playerId)) {
+          return { error: { status: 409, errorKey: 'session.alreadySubmitted' } };
+        }
+        const next = updateRound(tournament, number, current => ({ results: [...current.results, result] }));
+        return { tournament: next, value: rankResults(next.rounds[number - 1].results) };
+      });
+    },
+
+    // Undoes recordResult when the rest of the submission could not be saved.
+    removeResult(id, number, playerId) {
+      return updateTournament(id, (tournament) => {
+        const next = updateRound(tournament, number, current => ({
+          results: current.results.filter(entry => entry.playerId !== playerId)
+        }));
+        return { tournament: next, value: null };
+      });
+    }
+  };
+}
+
+module.exports = {
+  validateTournamentInput,
+  rankResults,
+  getStatus,
+  getOpenRound,
+  getEligiblePlayerIds,
+  getPlacements,
+  createTournamentRegistry
+};
@@ -0,0 +1,226 @@
+(() => {
+  const { t } = window.QuizI18n;
+  const TOKEN_STORAGE_KEY = 'quizAdminToken';
+
+  const state = {
+    token: sessionStorage.getItem(TOKEN_STORAGE_KEY) || ''
+  };
+
+  const elements = {
+    login: document.getElementById('admin-login'),
+    loginForm: document.getElementById('admin-login-form'),
+    tokenInput: document.getElementById('admin-token'),
+    loginMessage: document.getElementById('admin-login-message'),
+    dashboard: document.getElementById('stats-dashboard'),
+    total: document.getElementById('stats-total'),
+    thresholds: document.getElementById('stats-thresholds'),
+    refreshButton: document.getElementById('stats-refresh-btn'),
+    filterForm: document.getElementById('stats-filter-form'),
+    sortSelect: document.getElementById('stats-sort'),
+    orderSelect: document.getElementById('stats-order'),
+    categorySelect: document.getElementById('stats-category'),
+    difficultySelect: document.getElementById('stats-difficulty'),
+    minAttemptsInput: document.getElementById('stats-min-attempts'),
+    flaggedCheckbox: document.getElementById('stats-flagged'),
+    tableBody: document.getElementById('stats-table-body')
+  };
+
+  function logout(message) {
+    state.token = '';
+    sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+    elements.login.classList.remove('hidden');
+    elements.dashboard.classList.add('hidden');
+    elements.loginMessage.textContent = message || '';
+  }
+
+  function formatPercent(value) {
+    return typeof value === 'number' ? `${(value * 100).toFixed(1)}%` : '-';
+  }
+
+  function appendOptions(select, items) {
+    items.forEach((item) => {
+      const option = document.createElement('option');
+      option.value = item.id;
+      option.textContent = item.label;
+      select.appendChild(option);
+    });
+  }
+
+  function renderChoices(stats) {
+    const list = document.createElement('ul');
+    list.className = 'choice-stats';
+    stats.choices.forEach((choice) => {
+      const item = document.createElement('li');
+      item.className = choice.correct ? 'choice-stat correct' : 'choice-stat';
+
+      const label = document.createElement('span');
+      label.className = 'choice-stat-label';
+      label.textContent = `${choice.correct ? '✓ ' : ''}${choice.text}`;
+
+      const bar = document.createElement('span');
+      bar.className = 'choice-stat-bar';
+      const fill = document.createElement('span');
+      fill.style.width = `${Math.round((choice.pickRate || 0) * 100)}%`;
+      bar.appendChild(fill);
+
+      const count = document.createElement('span');
+      count.className = 'choice-stat-count';
+      count.textContent = `${choice.picks} (${formatPercent(choice.pickRate)})`;
+
+      item.appendChild(label);
+      item.appendChild(bar);
+      item.appendChild(count);
+      list.appendChild(item);
+    });
+    return list;
+  }
+
+  function renderFlags(stats) {
+    const cell = document.createElement('td');
+    stats.flags.forEach((flag) => {
+      const badge = document.createElement('span');
+      badge.className = `flag-badge flag-${flag}`;
+      badge.textContent = t(`adminStats.flags.${flag}`);
+      cell.appendChild(badge);
+    });
+    return cell;
+  }
+
+  function renderTable(data) {
+    const { thresholds } = data;
+    elements.total.textContent = t('admin.questionCount', { count: data.total });
+    elements.thresholds.textContent = t('adminStats.thresholds', {
+      low: formatPercent(thresholds.lowCorrectRate),
+      high: formatPercent(thresholds.highCorrectRate),
+      minAttempts: thresholds.minAttempts
+    });
+    elements.tableBody.innerHTML = '';
+
+    if (!data.questions.length) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 7;
+      cell.className = 'muted';
+      cell.textContent = t('admin.noMatches');
+      row.appendChild(cell);
+      elements.tableBody.appendChild(row);
+      return;
+    }
+
+    data.questions.forEach((stats) => {
+      const row = document.createElement('tr');
+      if (stats.flags.length) {
+        row.className = 'flagged';
+      }
+      [
+        stats.id,
+        stats.question,
+        stats.attempts,
+        formatPercent(stats.correctRate),
+        typeof stats.averageTime === 'number' ? t('common.seconds', { count: stats.averageTime.toFixed(2) }) : '-'
+      ].forEach((value) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+
+      const choicesCell = document.createElement('td');
+      choicesCell.appendChild(renderChoices(stats));
+      row.appendChild(choicesCell);
+      row.appendChild(renderFlags(stats));
+
+      elements.tableBody.appendChild(row);
+    });
+  }
+
+  async function loadStats() {
+    const params = new URLSearchParams({
+      sort: elements.sortSelect.value,
+      order: elements.orderSelect.value,
+      minAttempts: elements.minAttemptsInput.value || '1'
+    });
+    if (elements.categorySelect.value) {
+      params.set('category', elements.categorySelect.value);
+    }
+    if (elements.difficultySelect.value) {
+      params.set('difficulty', elements.difficultySelect.value);
+    }
+    if (elements.flaggedCheckbox.checked) {
+      params.set('flagged', 'true');
+    }
+
+    const response = await fetch(`/api/stats/questions?${params.toString()}`, {
+      headers: { Authorization: `Bearer ${state.token}` }
+    });
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+      logout(t('admin.invalidToken'));
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(data.error || t('adminStats.loadFailed'));
+    }
+    renderTable(data);
+  }
+
+  async function loadFilters() {
+    const response = await fetch('/api/categories');
+    if (!response.ok) {
+      throw new Error(t('quiz.categoriesFailed'));
+    }
+    const data = await response.json();
+    appendOptions(elements.categorySelect, data.categories || []);
+    appendOptions(elements.difficultySelect, data.difficulties || []);
+  }
+
+  async function refresh() {
+    try {
+      await loadStats();
+    } catch (error) {
+      console.error(error);
+      window.alert(error.message);
+    }
+  }
+
+  async function start() {
+    try {
+      if (elements.categorySelect.options.length <= 1) {
+        await loadFilters();
+      }
+      await loadStats();
+      if (state.token) {
+        elements.login.classList.add('hidden');
+        elements.dashboard.classList.remove('hidden');
+      }
+    } catch (error) {
+      console.error(error);
+      elements.loginMessage.textContent = error.message;
+    }
+  }
+
+  function setupEventListeners() {
+    elements.loginForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      state.token = elements.tokenInput.value.trim();
+      sessionStorage.setItem(TOKEN_STORAGE_KEY, state.token);
+      elements.loginMessage.textContent = '';
+      start();
+    });
+    elements.filterForm.addEventListener('change', refresh);
+    elements.filterForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      refresh();
+    });
+    elements.refreshButton.addEventListener('click', refresh);
+  }
+
+  async function init() {
+    await window.QuizI18n.ready;
+    setupEventListeners();
+    if (state.token) {
+      start();
+    }
+  }
+
+  document.addEventListener('DOMContentLoaded', init);
+})();
@@ -0,0 +1,749 @@
+(() => {
+  const { t } = window.QuizI18n;
+  const TOKEN_STORAGE_KEY = 'quizAdminToken';
+  const MIN_CHOICES = 2;
+  const MAX_CHOICES = 8;
+  const MAX_QUESTION_MEDIA = 2;
+  // Mirrors the server's upload limits so oversized files are caught before they are sent.
+  const MEDIA_LIMITS = {
+    image: { maxSize: 2 * 1024 * 1024, tooLargeKey: 'admin.errors.imageTooLarge' },
+    audio: { maxSize: 10 * 1024 * 1024, tooLargeKey: 'admin.errors.audioTooLarge' }
+  };
+  // Some browsers leave File.type empty or non-standard for audio, so the extension decides.
+  const MEDIA_EXTENSION_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    mp3: 'audio/mpeg',
+    ogg: 'audio/ogg',
+    m4a: 'audio/mp4'
+  };
+  // Labels and choice legends come from admin.types and admin.choicesLegend in the catalog.
+  const QUESTION_TYPES = [
+    { id: 'single', hasChoices: true },
+    { id: 'multiple', hasChoices: true },
+    { id: 'ordering', hasChoices: true },
+    { id: 'numeric', hasChoices: false },
+    { id: 'text', hasChoices: false }
+  ];
+
+  const state = {
+    token: sessionStorage.getItem(TOKEN_STORAGE_KEY) || '',
+    questions: [],
+    categories: [],
+    difficulties: [],
+    editingId: null,
+    media: [],
+    isSaving: false
+  };
+
+  const elements = {
+    login: document.getElementById('admin-login'),
+    loginForm: document.getElementById('admin-login-form'),
+    tokenInput: document.getElementById('admin-token'),
+    loginMessage: document.getElementById('admin-login-message'),
+    editor: document.getElementById('admin-editor'),
+    editorTitle: document.getElementById('editor-title'),
+    form: document.getElementById('question-form'),
+    questionInput: document.getElementById('editor-question'),
+    mediaList: document.getElementById('editor-media'),
+    mediaFile: document.getElementById('editor-media-file'),
+    typeSelect: document.getElementById('editor-type'),
+    choicesField: document.getElementById('editor-choices-field'),
+    choicesLegend: document.getElementById('editor-choices-legend'),
+    choices: document.getElementById('editor-choices'),
+    addChoiceButton: document.getElementById('add-choice-btn'),
+    categorySelect: document.getElementById('editor-category'),
+    difficultySelect: document.getElementById('editor-difficulty'),
+    explanationInput: document.getElementById('editor-explanation'),
+    lockChoiceOrderField: document.getElementById('editor-lock-choice-order-field'),
+    lockChoiceOrderInput: document.getElementById('editor-lock-choice-order'),
+    numericField: document.getElementById('editor-numeric-field'),
+    numericAnswerInput: document.getElementById('editor-numeric-answer'),
+    toleranceInput: document.getElementById('editor-tolerance'),
+    textField: document.getElementById('editor-text-field'),
+    acceptedAnswersInput: document.getElementById('editor-accepted-answers'),
+    referenceInput: document.getElementById('editor-reference'),
+    errors: document.getElementById('editor-errors'),
+    resetButton: document.getElementById('editor-reset-btn'),
+    cancelButton: document.getElementById('editor-cancel-btn'),
+    saveButton: document.getElementById('editor-save-btn'),
+    transfer: document.getElementById('admin-transfer'),
+    importForm: document.getElementById('import-form'),
+    importFile: document.getElementById('import-file'),
+    importDryRun: document.getElementById('import-dry-run'),
+    importReport: document.getElementById('import-report'),
+    exportCsvButton: document.getElementById('export-csv-btn'),
+    exportJsonButton: document.getElementById('export-json-btn'),
+    list: document.getElementById('admin-list'),
+    total: document.getElementById('question-total'),
+    search: document.getElementById('question-search'),
+    tableBody: document.getElementById('question-table-body')
+  };
+
+  async function apiRequest(method, url, body) {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${state.token}`
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+      logout(t('admin.invalidToken'));
+    }
+    if (!response.ok) {
+      const error = new Error(data.error || t('common.networkError'));
+      error.details = data.errors || [];
+      throw error;
+    }
+    return data;
+  }
+
+  function logout(message) {
+    state.token = '';
+    sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+    elements.login.classList.remove('hidden');
+    elements.editor.classList.add('hidden');
+    elements.transfer.classList.add('hidden');
+    elements.list.classList.add('hidden');
+    elements.loginMessage.textContent = message || '';
+  }
+
+  function labelFor(items, id) {
+    const item = items.find(entry => entry.id === id);
+    return item ? item.label : id || '-';
+  }
+
+  function fillSelect(select, items) {
+    select.innerHTML = '';
+    items.forEach((item) => {
+      const option = document.createElement('option');
+      option.value = item.id;
+      option.textContent = item.label;
+      select.appendChild(option);
+    });
+  }
+
+  function getMediaKind(url) {
+    return /\.(mp3|ogg|m4a)$/i.test(url) ? 'audio' : 'image';
+  }
+
+  function createMediaPreview(attachment) {
+    if (getMediaKind(attachment.url) === 'audio') {
+      const audio = document.createElement('audio');
+      audio.controls = true;
+      audio.preload = 'none';
+      audio.src = attachment.url;
+      audio.className = 'editor-media-preview';
+      return audio;
+    }
+    const image = document.createElement('img');
+    image.src = attachment.url;
+    image.alt = attachment.alt || '';
+    image.className = 'editor-media-preview';
+    return image;
+  }
+
+  async function uploadMedia(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    const contentType = MEDIA_EXTENSION_TYPES[extension] || file.type;
+    const limit = MEDIA_LIMITS[contentType.split('/')[0]];
+    if (!limit || !Object.values(MEDIA_EXTENSION_TYPES).includes(contentType)) {
+      throw new Error(t('admin.errors.unsupportedFile'));
+    }
+    if (file.size > limit.maxSize) {
+      throw new Error(t(limit.tooLargeKey, { size: limit.maxSize / (1024 * 1024) }));
+    }
+
+    const response = await fetch('/api/admin/media', {
+      method: 'POST',
+      headers: {
+        'Content-Type': contentType,
+        Authorization: `Bearer ${state.token}`
+      },
+      body: file
+    });
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+      logout(t('admin.invalidToken'));
+    }
+    if (!response.ok) {
+      throw new Error(data.error || t('admin.uploadFailed'));
+    }
+    return data.media;
+  }
+
+  // The input is cleared right away so picking the same file again still fires a change.
+  async function handleMediaFile(input, onUploaded) {
+    const [file] = input.files;
+    input.value = '';
+    if (!file) {
+      return;
+    }
+    try {
+      onUploaded(await uploadMedia(file));
+      renderErrors([]);
+    } catch (error) {
+      console.error(error);
+      renderErrors([error.message]);
+    }
+  }
+
+  function renderQuestionMedia() {
+    elements.mediaList.innerHTML = '';
+    state.media.forEach((attachment, index) => {
+      const item = document.createElement('li');
+      item.className = 'editor-media-item';
+
+      const alt = document.createElement('input');
+      alt.type = 'text';
+      alt.value = attachment.alt || '';
+      alt.maxLength = 200;
+      alt.placeholder = t('admin.mediaAltPlaceholder');
+      alt.setAttribute('aria-label', t('admin.mediaAltAria', { number: index + 1 }));
+      alt.addEventListener('input', () => {
+        attachment.alt = alt.value;
+      });
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'ghost sm';
+      remove.textContent = t('admin.removeMedia');
+      remove.addEventListener('click', () => {
+        state.media.splice(index, 1);
+        renderQuestionMedia();
+      });
+
+      item.appendChild(createMediaPreview(attachment));
+      item.appendChild(alt);
+      item.appendChild(remove);
+      elements.mediaList.appendChild(item);
+    });
+    elements.mediaFile.disabled = state.media.length >= MAX_QUESTION_MEDIA;
+  }
+
+  function setChoiceMedia(row, attachment) {
+    const container = row.querySelector('.editor-choice-media');
+    row.dataset.mediaUrl = attachment ? attachment.url : '';
+    container.innerHTML = '';
+
+    if (attachment) {
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'ghost sm';
+      remove.textContent = t('admin.removeMedia');
+      remove.setAttribute('aria-label', t('admin.removeChoiceMediaAria'));
+      remove.addEventListener('click', () => setChoiceMedia(row, null));
+      container.appendChild(createMediaPreview(attachment));
+      container.appendChild(remove);
+      return;
+    }
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = elements.mediaFile.accept;
+    input.hidden = true;
+    input.addEventListener('change', () => handleMediaFile(input, media => setChoiceMedia(row, media)));
+
+    const pick = document.createElement('button');
+    pick.type = 'button';
+    pick.className = 'ghost sm';
+    pick.textContent = t('admin.choiceMedia');
+    pick.setAttribute('aria-label', t('admin.choiceMediaAria'));
+    pick.addEventListener('click', () => input.click());
+    container.appendChild(input);
+    container.appendChild(pick);
+  }
+
+  function addChoiceRow(text = '', isAnswer = false, attachment = null) {
+    const index = elements.choices.children.length;
+    const row = document.createElement('div');
+    row.className = 'editor-choice';
+
+    const marker = document.createElement('input');
+    marker.className = 'editor-choice-answer';
+    marker.name = 'editor-answer';
+    marker.setAttribute('aria-label', t('admin.answerMarkerAria', { number: index + 1 }));
+    updateAnswerMarker(marker, elements.typeSelect.value);
+    marker.checked = isAnswer;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = text;
+    input.placeholder = t('admin.choicePlaceholder', { number: index + 1 });
+    input.className = 'editor-choice-text';
+
+    const media = document.createElement('span');
+    media.className = 'editor-choice-media';
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'ghost sm editor-choice-remove';
+    remove.textContent = t('admin.deleteChoice');
+    remove.addEventListener('click', () => {
+      if (elements.choices.children.length <= MIN_CHOICES) {
+        return;
+      }
+      row.remove();
+      updateChoiceControls();
+    });
+
+    row.appendChild(marker);
+    row.appendChild(input);
+    row.appendChild(media);
+    row.appendChild(remove);
+    setChoiceMedia(row, attachment);
+    elements.choices.appendChild(row);
+    updateChoiceControls();
+  }
+
+  // Single choice marks one answer, multiple choice any number, and ordering none (the order is the answer).
+  function updateAnswerMarker(marker, type) {
+    marker.type = type === 'multiple' ? 'checkbox' : 'radio';
+    marker.hidden = type === 'ordering';
+  }
+
+  function getSelectedType() {
+    return elements.typeSelect.value || 'single';
+  }
+
+  function applyTypeToForm() {
+    const type = QUESTION_TYPES.find(entry => entry.id === getSelectedType()) || QUESTION_TYPES[0];
+    const { hasChoices } = type;
+    elements.choicesField.classList.toggle('hidden', !hasChoices);
+    elements.numericField.classList.toggle('hidden', type.id !== 'numeric');
+    elements.textField.classList.toggle('hidden', type.id !== 'text');
+    elements.lockChoiceOrderField.classList.toggle('hidden', type.id === 'ordering');
+    if (hasChoices) {
+      elements.choicesLegend.textContent = t(`admin.choicesLegend.${type.id}`);
+    }
+    Array.from(elements.choices.querySelectorAll('.editor-choice-answer')).forEach((marker) => {
+      updateAnswerMarker(marker, type.id);
+    });
+  }
+
+  function updateChoiceControls() {
+    const rows = Array.from(elements.choices.children);
+    rows.forEach((row) => {
+      row.querySelector('.editor-choice-remove').disabled = rows.length <= MIN_CHOICES;
+    });
+    elements.addChoiceButton.disabled = rows.length >= MAX_CHOICES;
+  }
+
+  function readAnswerFields(type, rows) {
+    const checked = rows
+      .map((row, index) => (row.querySelector('.editor-choice-answer').checked ? index : -1))
+      .filter(index => index >= 0);
+    if (type === 'multiple') {
+      return { answers: checked };
+    }
+    if (type === 'ordering') {
+      return {};
+    }
+    if (type === 'numeric') {
+      return { answer: elements.numericAnswerInput.value.trim(), tolerance: elements.toleranceInput.value.trim() };
+    }
+    if (type === 'text') {
+      return {
+        acceptedAnswers: elements.acceptedAnswersInput.value.split('\n').map(value => value.trim()).filter(Boolean)
+      };
+    }
+    return { answer: checked.length ? checked[0] : -1 };
+  }
+
+  function readForm() {
+    const type = getSelectedType();
+    const hasChoices = type !== 'numeric' && type !== 'text';
+    const rows = hasChoices ? Array.from(elements.choices.children) : [];
+    return {
+      type,
+      question: elements.questionInput.value.trim(),
+      choices: rows.map(row => row.querySelector('.editor-choice-text').value.trim()),
+      ...readAnswerFields(type, rows),
+      media: state.media.map(attachment => ({ url: attachment.url, alt: (attachment.alt || '').trim() })),
+      choiceMedia: rows.map(row => (row.dataset.mediaUrl ? { url: row.dataset.mediaUrl } : null)),
+      category: elements.categorySelect.value,
+      difficulty: elements.difficultySelect.value,
+      explanation: elements.explanationInput.value.trim(),
+      referenceUrl: elements.referenceInput.value.trim(),
+      lockChoiceOrder: elements.lockChoiceOrderInput.checked
+    };
+  }
+
+  function validateForm(candidate) {
+    const errors = [];
+    if (!candidate.question) {
+      errors.push(t('admin.errors.questionRequired'));
+    } else if (state.questions.some(question => question.id !== state.editingId && question.question.trim() === candidate.question)) {
+      errors.push(t('admin.errors.duplicateQuestion'));
+    }
+    if (candidate.type !== 'numeric' && candidate.type !== 'text') {
+      if (candidate.choices.length < MIN_CHOICES) {
+        errors.push(t('admin.errors.tooFewChoices'));
+      }
+      if (candidate.choices.some(choice => !choice)) {
+        errors.push(t('admin.errors.emptyChoice'));
+      } else if (new Set(candidate.choices).size !== candidate.choices.length) {
+        errors.push(t('admin.errors.duplicateChoice'));
+      }
+    }
+    if (candidate.type === 'single' && (candidate.answer < 0 || candidate.answer >= candidate.choices.length)) {
+      errors.push(t('admin.errors.answerRequired'));
+    }
+    if (candidate.type === 'multiple' && !candidate.answers.length) {
+      errors.push(t('admin.errors.answersRequired'));
+    }
+    if (candidate.type === 'numeric' && (candidate.answer === '' || !Number.isFinite(Number(candidate.answer.normalize('NFKC'))))) {
+      errors.push(t('admin.errors.numericAnswerRequired'));
+    }
+    if (candidate.type === 'text' && !candidate.acceptedAnswers.length) {
+      errors.push(t('admin.errors.acceptedAnswersRequired'));
+    }
+    if (candidate.referenceUrl && !/^https?:\/\//.test(candidate.referenceUrl)) {
+      errors.push(t('admin.errors.invalidReferenceUrl'));
+    }
+    return errors;
+  }
+
+  function renderErrors(errors) {
+    elements.errors.innerHTML = '';
+    errors.forEach((message) => {
+      const item = document.createElement('li');
+      item.textContent = message;
+      elements.errors.appendChild(item);
+    });
+  }
+
+  function resetForm() {
+    state.editingId = null;
+    elements.editorTitle.textContent = t('admin.addHeading');
+    elements.questionInput.value = '';
+    state.media = [];
+    renderQuestionMedia();
+    elements.typeSelect.value = 'single';
+    elements.choices.innerHTML = '';
+    for (let i = 0; i < 4; i += 1) {
+      addChoiceRow('', i === 0);
+    }
+    elements.categorySelect.selectedIndex = 0;
+    elements.difficultySelect.value = 'normal';
+    elements.explanationInput.value = '';
+    elements.referenceInput.value = '';
+    elements.lockChoiceOrderInput.checked = false;
+    elements.numericAnswerInput.value = '';
+    elements.toleranceInput.value = '';
+    elements.acceptedAnswersInput.value = '';
+    applyTypeToForm();
+    renderErrors([]);
+  }
+
+  function editQuestion(question) {
+    state.editingId = question.id;
+    elements.editorTitle.textContent = t('admin.editHeading', { id: question.id });
+    elements.questionInput.value = question.question;
+    state.media = (question.media || []).map(attachment => ({ ...attachment }));
+    renderQuestionMedia();
+    elements.typeSelect.value = question.type || 'single';
+    elements.choices.innerHTML = '';
+    question.choices.forEach((choice, index) => addChoiceRow(
+      choice,
+      question.type === 'multiple' ? question.answers.includes(index) : index === question.answer,
+      question.choiceMedia ? question.choiceMedia[index] : null
+    ));
+    // Numeric and free-text questions have no choices, but keep rows around in case the type is switched.
+    for (let i = question.choices.length; i < MIN_CHOICES; i += 1) {
+      addChoiceRow('', false);
+    }
+    elements.numericAnswerInput.value = question.type === 'numeric' ? String(question.answer) : '';
+    elements.toleranceInput.value = question.type === 'numeric' && question.tolerance ? String(question.tolerance) : '';
+    elements.acceptedAnswersInput.value = question.type === 'text' ? question.acceptedAnswers.join('\n') : '';
+    elements.categorySelect.value = question.category || '';
+    elements.difficultySelect.value = question.difficulty || '';
+    elements.explanationInput.value = question.explanation || '';
+    elements.referenceInput.value = question.referenceUrl || '';
+    elements.lockChoiceOrderInput.checked = Boolean(question.lockChoiceOrder);
+    applyTypeToForm();
+    renderErrors([]);
+    elements.editor.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  async function deleteQuestion(question) {
+    if (!window.confirm(t('admin.confirmDelete', { id: question.id, question: question.question }))) {
+      return;
+    }
+    try {
+      await apiRequest('DELETE', `/api/admin/questions/${question.id}`);
+      if (state.editingId === question.id) {
+        resetForm();
+      }
+      await loadQuestions();
+    } catch (error) {
+      console.error(error);
+      window.alert(error.message);
+    }
+  }
+
+  function formatAnswer(question) {
+    switch (question.type) {
+      case 'multiple':
+        return question.answers.map(index => question.choices[index]).join(' / ');
+      case 'ordering':
+        return question.choices.join(' → ');
+      case 'numeric':
+        return question.tolerance
+          ? t('admin.answerWithTolerance', { answer: question.answer, tolerance: question.tolerance })
+          : String(question.answer);
+      case 'text':
+        return question.acceptedAnswers.join(' / ');
+      default:
+        return question.choices[question.answer];
+    }
+  }
+
+  function renderTable() {
+    const keyword = elements.search.value.trim();
+    const visible = keyword
+      ? state.questions.filter(question => question.question.includes(keyword))
+      : state.questions;
+
+    elements.total.textContent = t('admin.questionCount', { count: state.questions.length });
+    elements.tableBody.innerHTML = '';
+
+    if (!visible.length) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 6;
+      cell.className = 'muted';
+      cell.textContent = t('admin.noMatches');
+      row.appendChild(cell);
+      elements.tableBody.appendChild(row);
+      return;
+    }
+
+    visible.forEach((question) => {
+      const row = document.createElement('tr');
+      const cells = [
+        question.id,
+        question.question,
+        formatAnswer(question),
+        labelFor(state.categories, question.category),
+        labelFor(state.difficulties, question.difficulty)
+      ];
+      cells.forEach((value) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+
+      const actions = document.createElement('td');
+      actions.className = 'table-actions';
+      const editButton = document.createElement('button');
+      editButton.type = 'button';
+      editButton.className = 'ghost sm';
+      editButton.textContent = t('admin.edit');
+      editButton.addEventListener('click', () => editQuestion(question));
+      const deleteButton = document.createElement('button');
+      deleteButton.type = 'button';
+      deleteButton.className = 'ghost sm danger';
+      deleteButton.textContent = t('admin.delete');
+      deleteButton.addEventListener('click', () => deleteQuestion(question));
+      actions.appendChild(editButton);
+      actions.appendChild(deleteButton);
+      row.appendChild(actions);
+
+      elements.tableBody.appendChild(row);
+    });
+  }
+
+  async function loadQuestions() {
+    const data = await apiRequest('GET', '/api/admin/questions');
+    state.questions = data.questions || [];
+    renderTable();
+  }
+
+  async function loadFilters() {
+    const response = await fetch('/api/categories');
+    if (!response.ok) {
+      throw new Error(t('quiz.categoriesFailed'));
+    }
+    const data = await response.json();
+    state.categories = data.categories || [];
+    state.difficulties = data.difficulties || [];
+    fillSelect(elements.categorySelect, state.categories);
+    fillSelect(elements.difficultySelect, state.difficulties);
+    fillSelect(elements.typeSelect, QUESTION_TYPES.map(type => ({ id: type.id, label: t(`admin.types.${type.id}`) })));
+  }
+
+  async function start() {
+    try {
+      await loadFilters();
+      await loadQuestions();
+      elements.login.classList.add('hidden');
+      elements.editor.classList.remove('hidden');
+      elements.transfer.classList.remove('hidden');
+      elements.list.classList.remove('hidden');
+      resetForm();
+    } catch (error) {
+      console.error(error);
+      if (state.token) {
+        elements.loginMessage.textContent = error.message;
+      }
+    }
+  }
+
+  async function handleSave(event) {
+    event.preventDefault();
+    if (state.isSaving) {
+      return;
+    }
+
+    const candidate = readForm();
+    const errors = validateForm(candidate);
+    renderErrors(errors);
+    if (errors.length) {
+      return;
+    }
+
+    state.isSaving = true;
+    elements.saveButton.disabled = true;
+    try {
+      if (state.editingId === null) {
+        await apiRequest('POST', '/api/admin/questions', candidate);
+      } else {
+        await apiRequest('PUT', `/api/admin/questions/${state.editingId}`, candidate);
+      }
+      resetForm();
+      await loadQuestions();
+    } catch (error) {
+      console.error(error);
+      renderErrors(error.details && error.details.length ? error.details : [error.message]);
+    } finally {
+      state.isSaving = false;
+      elements.saveButton.disabled = false;
+    }
+  }
+
+  function renderImportReport(report) {
+    elements.importReport.innerHTML = '';
+    const summary = document.createElement('li');
+    summary.textContent = t(report.dryRun ? 'admin.importSummaryDryRun' : 'admin.importSummary', {
+      total: report.total,
+      created: report.created,
+      updated: report.updated,
+      errors: report.errors.length
+    });
+    elements.importReport.appendChild(summary);
+
+    (report.errors || []).forEach(({ row, errors }) => {
+      errors.forEach((message) => {
+        const item = document.createElement('li');
+        item.className = 'incorrect';
+        item.textContent = t('admin.importRowError', { row, message });
+        elements.importReport.appendChild(item);
+      });
+    });
+
+    if (!report.dryRun && !report.applied) {
+      const item = document.createElement('li');
+      item.className = 'incorrect';
+      item.textContent = t('admin.importNotApplied');
+      elements.importReport.appendChild(item);
+    }
+  }
+
+  async function handleImport(event) {
+    event.preventDefault();
+    const [file] = elements.importFile.files;
+    if (!file) {
+      return;
+    }
+
+    const format = file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+    const params = new URLSearchParams({ format, dryRun: String(elements.importDryRun.checked) });
+    try {
+      const response = await fetch(`/api/admin/questions/import?${params.toString()}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': format === 'csv' ? 'text/csv' : 'application/json',
+          Authorization: `Bearer ${state.token}`
+        },
+        body: await file.text()
+      });
+      const data = await response.json().catch(() => ({}));
+      if (response.status === 401) {
+        logout(t('admin.invalidToken'));
+        return;
+      }
+      if (typeof data.total !== 'number') {
+        throw new Error(data.error || t('admin.importFailed'));
+      }
+      renderImportReport(data);
+      if (data.applied) {
+        await loadQuestions();
+      }
+    } catch (error) {
+      console.error(error);
+      renderImportReport({ total: 0, created: 0, updated: 0, dryRun: true, errors: [{ row: '-', errors: [error.message] }] });
+    }
+  }
+
+  async function handleExport(format) {
+    try {
+      const response = await fetch(`/api/admin/questions/export?format=${format}`, {
+        headers: { Authorization: `Bearer ${state.token}` }
+      });
+      if (!response.ok) {
+        throw new Error(t('admin.exportFailed'));
+      }
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `questions.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error(error);
+      window.alert(error.message);
+    }
+  }
+
+  function setupEventListeners() {
+    elements.loginForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      state.token = elements.tokenInput.value.trim();
+      sessionStorage.setItem(TOKEN_STORAGE_KEY, state.token);
+      elements.loginMessage.textContent = '';
+      start();
+    });
+    elements.form.addEventListener('submit', handleSave);
+    elements.typeSelect.addEventListener('change', applyTypeToForm);
+    elements.addChoiceButton.addEventListener('click', () => addChoiceRow());
+    elements.mediaFile.addEventListener('change', () => handleMediaFile(elements.mediaFile, (media) => {
+      state.media.push(media);
+      renderQuestionMedia();
+    }));
+    elements.resetButton.addEventListener('click', resetForm);
+    elements.cancelButton.addEventListener('click', resetForm);
+    elements.search.addEventListener('input', renderTable);
+    elements.importForm.addEventListener('submit', handleImport);
+    elements.exportCsvButton.addEventListener('click', () => handleExport('csv'));
+    elements.exportJsonButton.addEventListener('click', () => handleExport('json'));
+  }
+
+  async function init() {
+    await window.QuizI18n.ready;
+    setupEventListeners();
+    if (state.token) {
+      start();
+    }
+  }
+
+  document.addEventListener('DOMContentLoaded', init);
+})();
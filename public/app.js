@@ -1,16 +1,76 @@
 (() => {
+  const { t } = window.QuizI18n;
   const DEFAULT_QUESTION_COUNT = 10;
+  const ACCOUNTS_STORAGE_KEY = 'quizPlayerAccounts';
+  const LAST_PLAYER_STORAGE_KEY = 'quizLastPlayerId';
+  const PRACTICE_STORAGE_KEY = 'quizPracticeCards';
+  const TEAM_STORAGE_KEY = 'quizLastTeam';
+  const PRACTICE_QUESTION_COUNT = 10;
+  const LEADERBOARD_PAGE_SIZE = 25;
+  const LEADERBOARD_SEARCH_DELAY_MS = 300;
+  const LEADERBOARD_POLL_INTERVAL_MS = 30 * 1000;
+  const LEADERBOARD_RECONNECT_MS = 60 * 1000;
+  const RANK_MOVE_DURATION_MS = 450;
 
   const state = {
-    originalQuestions: [],
+    sessionId: null,
     questions: [],
     answers: [],
+    drafts: [],
     feedback: [],
     currentIndex: 0,
     startTime: null,
+    serverStartTime: null,
+    clockOffset: 0,
     timerInterval: null,
+    countdownInterval: null,
     selectedQuestionCount: DEFAULT_QUESTION_COUNT,
-    isFetchingQuestions: false
+    selectedCategory: '',
+    selectedDifficulty: '',
+    selectedMode: 'standard',
+    selectedTimeLimit: '',
+    selectedScoring: 'standard',
+    timeLimit: null,
+    scoring: 'standard',
+    isDaily: false,
+    dailyDate: null,
+    leaderboardView: 'players',
+    leaderboardPeriod: 'all',
+    leaderboardSearch: '',
+    leaderboardOffset: 0,
+    leaderboardMe: null,
+    leaderboardSearchTimer: null,
+    leaderboardSource: null,
+    leaderboardPollTimer: null,
+    tournamentId: new URLSearchParams(window.location.search).get('tournament'),
+    isTournament: false,
+    showCode: (new URLSearchParams(window.location.search).get('show') || '').toUpperCase() || null,
+    showQuestionNumber: 0,
+    showSource: null,
+    showSnapshot: null,
+    isShow: false,
+    totalQuestions: 0,
+    filterLabels: {},
+    activeBoard: {
+      key: `${DEFAULT_QUESTION_COUNT}:all:all`,
+      questionCount: DEFAULT_QUESTION_COUNT,
+      category: null,
+      difficulty: null,
+      mode: 'standard',
+      timeLimit: null,
+      scoring: 'standard'
+    },
+    isFetchingQuestions: false,
+    isOpeningQuestion: false,
+    isSendingAnswer: false,
+    practice: {
+      storage: 'local',
+      questions: [],
+      currentIndex: 0,
+      results: [],
+      drafts: [],
+      isSending: false
+    }
   };
 
   const elements = {
@@ -20,23 +80,237 @@
     leaderboard: document.getElementById('leaderboard'),
     form: document.getElementById('player-form'),
     nameInput: document.getElementById('player-name'),
+    teamInput: document.getElementById('player-team'),
+    playerMessage: document.getElementById('player-message'),
+    playerRecovery: document.getElementById('player-recovery'),
+    playerRecoveryCode: document.getElementById('player-recovery-code'),
+    recoveryCodeInput: document.getElementById('recovery-code'),
+    recoverButton: document.getElementById('recover-btn'),
     questionText: document.getElementById('question-text'),
+    questionMedia: document.getElementById('question-media'),
     choices: document.getElementById('choices'),
     nextButton: document.getElementById('next-btn'),
     prevButton: document.getElementById('prev-btn'),
+    quizActions: document.getElementById('quiz-actions'),
     progressBar: document.getElementById('progress-bar'),
     counter: document.getElementById('question-counter'),
     timer: document.getElementById('timer'),
+    localeSelect: document.getElementById('locale-select'),
+    countdown: document.getElementById('question-countdown'),
     feedback: document.getElementById('answer-feedback'),
     resultScore: document.getElementById('result-score'),
     resultTime: document.getElementById('result-time'),
+    resultRating: document.getElementById('result-rating'),
+    resultDaily: document.getElementById('result-daily'),
+    resultTournament: document.getElementById('result-tournament'),
+    resultTeam: document.getElementById('result-team'),
+    resultReview: document.getElementById('result-review'),
+    resultReviewList: document.getElementById('result-review-list'),
     retryButton: document.getElementById('retry-btn'),
     refreshButton: document.getElementById('refresh-btn'),
     leaderboardBody: document.getElementById('leaderboard-body'),
+    leaderboardTabs: document.getElementById('leaderboard-tabs'),
+    leaderboardViews: document.getElementById('leaderboard-views'),
+    playerLeaderboard: document.getElementById('player-leaderboard'),
+    leaderboardFilters: document.getElementById('leaderboard-filters'),
+    leaderboardPeriods: document.getElementById('leaderboard-periods'),
+    leaderboardSearch: document.getElementById('leaderboard-search'),
+    leaderboardPager: document.getElementById('leaderboard-pager'),
+    leaderboardPrevButton: document.getElementById('leaderboard-prev-btn'),
+    leaderboardNextButton: document.getElementById('leaderboard-next-btn'),
+    leaderboardPage: document.getElementById('leaderboard-page'),
+    leaderboardMe: document.getElementById('leaderboard-me'),
+    leaderboardMeButton: document.getElementById('leaderboard-me-btn'),
+    teamLeaderboard: document.getElementById('team-leaderboard'),
+    teamLeaderboardMethod: document.getElementById('team-leaderboard-method'),
+    teamLeaderboardBody: document.getElementById('team-leaderboard-body'),
     questionCountSelect: document.getElementById('question-count'),
-    startButton: document.getElementById('start-btn')
+    categorySelect: document.getElementById('question-category'),
+    difficultySelect: document.getElementById('question-difficulty'),
+    modeSelect: document.getElementById('question-mode'),
+    timeLimitSelect: document.getElementById('question-time-limit'),
+    scoringSelect: document.getElementById('scoring-rule'),
+    startButton: document.getElementById('start-btn'),
+    statsButton: document.getElementById('stats-btn'),
+    resultStatsButton: document.getElementById('result-stats-btn'),
+    stats: document.getElementById('stats'),
+    statsTitle: document.getElementById('stats-title'),
+    statsMessage: document.getElementById('stats-message'),
+    statsSummary: document.getElementById('stats-summary'),
+    statsChart: document.getElementById('stats-chart'),
+    statsAttemptsBody: document.getElementById('stats-attempts-body'),
+    statsCloseButton: document.getElementById('stats-close-btn'),
+    tournament: document.getElementById('tournament'),
+    tournamentName: document.getElementById('tournament-name'),
+    tournamentStatus: document.getElementById('tournament-status'),
+    tournamentStandingsLink: document.getElementById('tournament-standings-link'),
+    tournamentRegisterButton: document.getElementById('tournament-register-btn'),
+    tournamentPlayButton: document.getElementById('tournament-play-btn'),
+    show: document.getElementById('show'),
+    showCode: document.getElementById('show-code'),
+    showStatus: document.getElementById('show-status'),
+    showJoinButton: document.getElementById('show-join-btn'),
+    daily: document.getElementById('daily'),
+    dailyButton: document.getElementById('daily-btn'),
+    dailyDate: document.getElementById('daily-date'),
+    dailyArchive: document.getElementById('daily-archive'),
+    dailyStatus: document.getElementById('daily-status'),
+    dailyLeaderboardBody: document.getElementById('daily-leaderboard-body'),
+    practiceButton: document.getElementById('practice-btn'),
+    practice: document.getElementById('practice'),
+    practiceMessage: document.getElementById('practice-message'),
+    practiceBody: document.getElementById('practice-body'),
+    practiceCounter: document.getElementById('practice-counter'),
+    practiceQuestion: document.getElementById('practice-question'),
+    practiceQuestionMedia: document.getElementById('practice-question-media'),
+    practiceChoices: document.getElementById('practice-choices'),
+    practiceFeedback: document.getElementById('practice-feedback'),
+    practiceNextButton: document.getElementById('practice-next-btn'),
+    practiceCloseButton: document.getElementById('practice-close-btn')
   };
 
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  function getNameKey(name) {
+    return name.replace(/\s+/g, ' ').trim().normalize('NFKC').toLowerCase();
+  }
+
+  function loadAccounts() {
+    try {
+      const accounts = JSON.parse(localStorage.getItem(ACCOUNTS_STORAGE_KEY));
+      return Array.isArray(accounts) ? accounts : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function saveAccounts(accounts) {
+    try {
+      localStorage.setItem(ACCOUNTS_STORAGE_KEY, JSON.stringify(accounts));
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  function findAccount(name) {
+    const key = getNameKey(name);
+    return loadAccounts().find(account => getNameKey(account.name) === key) || null;
+  }
+
+  function rememberAccount(account) {
+    const accounts = loadAccounts().filter(existing => existing.id !== account.id);
+    accounts.push(account);
+    saveAccounts(accounts);
+    try {
+      localStorage.setItem(LAST_PLAYER_STORAGE_KEY, account.id);
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  function forgetAccount(id) {
+    saveAccounts(loadAccounts().filter(account => account.id !== id));
+  }
+
+  function restoreLastPlayer() {
+    let lastId = null;
+    try {
+      lastId = localStorage.getItem(LAST_PLAYER_STORAGE_KEY);
+    } catch (error) {
+      return;
+    }
+    const account = loadAccounts().find(existing => existing.id === lastId);
+    if (account && !elements.nameInput.value) {
+      elements.nameInput.value = account.name;
+    }
+  }
+
+  function restoreLastTeam() {
+    try {
+      elements.teamInput.value = localStorage.getItem(TEAM_STORAGE_KEY) || '';
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  function rememberTeam(team) {
+    try {
+      if (team) {
+        localStorage.setItem(TEAM_STORAGE_KEY, team);
+      } else {
+        localStorage.removeItem(TEAM_STORAGE_KEY);
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  function setPlayerMessage(message) {
+    elements.playerMessage.textContent = message;
+  }
+
+  async function ensurePlayerAccount(name) {
+    const existing = findAccount(name);
+    if (existing) {
+      rememberAccount(existing);
+      return existing;
+    }
+
+    const response = await fetch('/api/players', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ name })
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const suggestions = Array.isArray(data.suggestions) && data.suggestions.length
+        ? t('player.suggestions', { names: data.suggestions.join(t('common.listSeparator')) })
+        : '';
+      setPlayerMessage(`${data.error || t('player.registerFailed')}${suggestions}`);
+      return null;
+    }
+
+    const account = { id: data.player.id, name: data.player.name, token: data.token };
+    rememberAccount(account);
+    elements.nameInput.value = account.name;
+    elements.playerRecoveryCode.textContent = data.recoveryCode;
+    elements.playerRecovery.classList.remove('hidden');
+    return account;
+  }
+
+  async function recoverPlayerAccount() {
+    const recoveryCode = elements.recoveryCodeInput.value.trim();
+    if (!recoveryCode) {
+      elements.recoveryCodeInput.focus();
+      return;
+    }
+
+    try {
+      const response = await fetch('/api/players/recover', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ recoveryCode })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || t('player.recoverFailed'));
+      }
+
+      rememberAccount({ id: data.player.id, name: data.player.name, token: data.token });
+      elements.nameInput.value = data.player.name;
+      elements.recoveryCodeInput.value = '';
+      setPlayerMessage(t('player.recovered', { name: data.player.name }));
+    } catch (error) {
+      console.error(error);
+      setPlayerMessage(error.message);
+    }
+  }
+
   function formatTime(seconds) {
     const totalSeconds = Math.max(0, Math.floor(seconds));
     const mins = String(Math.floor(totalSeconds / 60)).padStart(2, '0');
@@ -53,8 +327,18 @@
     elements.timer.textContent = formatTime(elapsed);
   }
 
+  function syncClock(serverTime) {
+    if (typeof serverTime === 'number') {
+      state.clockOffset = serverTime - Date.now();
+    }
+  }
+
+  function toLocalTime(serverTime) {
+    return serverTime - state.clockOffset;
+  }
+
   function startTimer() {
-    state.startTime = Date.now();
+    state.startTime = typeof state.serverStartTime === 'number' ? toLocalTime(state.serverStartTime) : Date.now();
     renderTimer();
     state.timerInterval = setInterval(renderTimer, 500);
   }
@@ -66,18 +350,62 @@
     }
   }
 
+  // Switching languages reloads the page, which would throw away a quiz in progress.
+  function setLocaleLocked(locked) {
+    if (elements.localeSelect) {
+      elements.localeSelect.disabled = locked;
+    }
+  }
+
+  function stopCountdown() {
+    if (state.countdownInterval) {
+      clearInterval(state.countdownInterval);
+      state.countdownInterval = null;
+    }
+    elements.countdown.classList.add('hidden');
+  }
+
+  // Counts down to the deadline the server set when the question was opened; at zero the question is forfeited.
+  function startCountdown(question) {
+    stopCountdown();
+    if (typeof question.deadline !== 'number' || state.feedback[state.currentIndex]) {
+      return;
+    }
+
+    const tick = () => {
+      const remaining = (toLocalTime(question.deadline) - Date.now()) / 1000;
+      elements.countdown.textContent = t('quiz.countdown', { count: Math.max(0, Math.ceil(remaining)) });
+      elements.countdown.classList.toggle('urgent', remaining <= 5);
+      if (remaining <= 0) {
+        stopCountdown();
+        handleAnswerSubmission(null, { timedOut: true });
+      }
+    };
+    elements.countdown.classList.remove('hidden');
+    tick();
+    state.countdownInterval = setInterval(tick, 250);
+  }
+
+  // Adaptive and timed quizzes receive their questions one at a time, so the total comes from the server.
+  function getTotalQuestions() {
+    return Math.max(state.totalQuestions, state.questions.length);
+  }
+
   function updateNavigationButtons() {
     if (!state.questions.length) {
       elements.prevButton.disabled = true;
       elements.nextButton.disabled = true;
-      elements.nextButton.textContent = '次の問題';
+      elements.nextButton.textContent = t('common.next');
       return;
     }
 
-    elements.prevButton.disabled = state.currentIndex === 0;
-    elements.nextButton.textContent = state.currentIndex === state.questions.length - 1 ? '結果を見る' : '次の問題';
-    const answered = typeof state.answers[state.currentIndex] === 'number';
-    elements.nextButton.disabled = !answered;
+    const isLast = state.currentIndex === getTotalQuestions() - 1;
+    elements.nextButton.textContent = isLast ? t('quiz.showResult') : t('common.next');
+    const answered = Boolean(state.feedback[state.currentIndex]);
+    // A timed question can't be left while its countdown runs; the next one is opened on demand.
+    elements.prevButton.disabled = state.currentIndex === 0 || (Boolean(state.timeLimit) && !answered);
+    const hasNext = isLast || state.currentIndex < state.questions.length - 1 || Boolean(state.timeLimit);
+    elements.nextButton.disabled = !answered || !hasNext || state.isOpeningQuestion;
   }
 
   function updateProgress() {
@@ -87,9 +415,12 @@
       return;
     }
 
-    const progress = ((state.currentIndex + 1) / state.questions.length) * 100;
+    const total = getTotalQuestions();
+    // Late arrivals to a show never see the questions they missed, so its position comes from the host.
+    const position = state.isShow ? state.showQuestionNumber : state.currentIndex + 1;
+    const progress = (position / total) * 100;
     elements.progressBar.style.width = `${progress}%`;
-    elements.counter.textContent = `${state.currentIndex + 1} / ${state.questions.length}`;
+    elements.counter.textContent = `${position} / ${total}`;
   }
 
   function updateFeedbackDisplay() {
@@ -105,113 +436,470 @@
       return;
     }
 
-    const className = feedback.status === 'correct' ? 'feedback correct' : 'feedback incorrect';
-    elements.feedback.className = className;
+    const classNames = { correct: 'feedback correct', pending: 'feedback' };
+    elements.feedback.className = classNames[feedback.status] || 'feedback incorrect';
     elements.feedback.textContent = feedback.message;
+    appendExplanation(elements.feedback, feedback);
   }
 
-  function renderChoices(question) {
-    elements.choices.innerHTML = '';
+  function appendExplanation(container, { explanation, referenceUrl }) {
+    if (explanation) {
+      const text = document.createElement('p');
+      text.className = 'explanation';
+      text.textContent = explanation;
+      container.appendChild(text);
+    }
 
-    const selectedIndex = state.answers[state.currentIndex];
-    const feedback = state.feedback[state.currentIndex];
+    if (referenceUrl) {
+      const link = document.createElement('a');
+      link.className = 'reference-link';
+      link.href = referenceUrl;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = t('answer.reference');
+      container.appendChild(link);
+    }
+  }
 
-    question.choices.forEach((choiceText, index) => {
-      const button = document.createElement('button');
-      button.type = 'button';
-      button.className = 'choice';
-      button.textContent = choiceText;
-      button.dataset.index = index;
-
-      if (selectedIndex === index) {
-        button.classList.add('selected');
-        if (feedback) {
-          if (feedback.status === 'correct') {
-            button.classList.add('correct-choice');
-          } else if (feedback.status === 'incorrect') {
-            button.classList.add('incorrect-choice');
-          }
+  function quote(text) {
+    return t('common.quoted', { text });
+  }
+
+  function formatAnswerValue(question, value) {
+    switch (question.type) {
+      case 'multiple':
+        return value.length ? value.map(index => quote(question.choices[index])).join(t('common.listSeparator')) : t('common.none');
+      case 'ordering':
+        return value.map(index => question.choices[index]).join(' → ');
+      case 'numeric':
+        if (value && typeof value === 'object') {
+          return value.tolerance ? t('answer.tolerance', { value: value.value, tolerance: value.tolerance }) : `${value.value}`;
         }
+        return `${value}`;
+      case 'text':
+        return quote(Array.isArray(value) ? value[0] : value);
+      default:
+        return quote(question.choices[value]);
+    }
+  }
+
+  function getResultMessage(question, result) {
+    if (result.correct) {
+      return t('answer.correct');
+    }
+    const answer = formatAnswerValue(question, result.correctAnswer);
+    if (result.timedOut) {
+      return t('answer.timedOut', { answer });
+    }
+    if (result.credit > 0) {
+      return t('answer.partial', { percent: Math.round(result.credit * 100), answer });
+    }
+    return t('answer.incorrect', { answer });
+  }
+
+  function createMediaElement(attachment) {
+    if (attachment.kind === 'audio') {
+      const audio = document.createElement('audio');
+      audio.controls = true;
+      audio.preload = 'metadata';
+      audio.src = attachment.url;
+      if (attachment.alt) {
+        audio.setAttribute('aria-label', attachment.alt);
+      }
+      return audio;
+    }
+    const image = document.createElement('img');
+    image.src = attachment.url;
+    image.alt = attachment.alt || '';
+    image.loading = 'lazy';
+    return image;
+  }
+
+  // Re-rendering the same question keeps its media elements, so audio isn't cut off mid-play.
+  function renderQuestionMedia(container, question) {
+    const key = question.id === undefined ? '' : String(question.id);
+    if (key && container.dataset.questionId === key) {
+      return;
+    }
+    container.dataset.questionId = key;
+    container.innerHTML = '';
+    (question.media || []).forEach(attachment => container.appendChild(createMediaElement(attachment)));
+    container.classList.toggle('hidden', !container.childElementCount);
+  }
+
+  function getChoiceMedia(question, index) {
+    return question.choiceMedia ? question.choiceMedia[index] : null;
+  }
+
+  function createChoiceButton(text, attachment = null) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'choice';
+    if (attachment && attachment.kind === 'image') {
+      const label = document.createElement('span');
+      label.textContent = text;
+      button.classList.add('choice-with-image');
+      button.appendChild(createMediaElement(attachment));
+      button.appendChild(label);
+    } else {
+      button.textContent = text;
+    }
+    return button;
+  }
+
+  // Audio controls can't sit inside a button, so a choice with audio gets its player beside the button.
+  function appendChoice(container, button, attachment) {
+    if (!attachment || attachment.kind !== 'audio') {
+      container.appendChild(button);
+      return;
+    }
+    const wrapper = document.createElement('div');
+    wrapper.className = 'choice-with-audio';
+    wrapper.appendChild(button);
+    wrapper.appendChild(createMediaElement(attachment));
+    container.appendChild(wrapper);
+  }
+
+  function createAnswerSubmitButton(label, disabled) {
+    const button = document.createElement('button');
+    button.type = 'submit';
+    button.className = 'primary answer-submit';
+    button.textContent = label;
+    button.disabled = disabled;
+    return button;
+  }
+
+  function appendSubmitForm(container, button, onSubmit) {
+    const form = document.createElement('form');
+    form.className = 'answer-form';
+    form.appendChild(button);
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      onSubmit();
+    });
+    container.appendChild(form);
+    return form;
+  }
+
+  function renderInputAnswer(container, question, context, { inputMode, placeholder }) {
+    const { response, result, draft, setDraft, onSubmit } = context;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'answer-input';
+    input.inputMode = inputMode;
+    input.placeholder = placeholder;
+    input.maxLength = 100;
+    input.autocomplete = 'off';
+    input.setAttribute('aria-label', t('answer.label'));
+    input.value = result ? `${response === null ? '' : response}` : draft || '';
+    input.disabled = Boolean(result);
+    if (result) {
+      input.classList.add(result.correct ? 'correct' : 'incorrect');
+    }
+
+    if (result) {
+      container.appendChild(input);
+      return;
+    }
+
+    const submit = createAnswerSubmitButton(t('answer.submit'), !input.value.trim());
+    const form = appendSubmitForm(container, submit, () => {
+      if (input.value.trim()) {
+        onSubmit(input.value.trim());
       }
+    });
+    form.insertBefore(input, submit);
+
+    // The draft is kept without re-rendering so the input keeps its focus and IME state.
+    input.addEventListener('input', () => {
+      setDraft(input.value, false);
+      submit.disabled = !input.value.trim();
+    });
+  }
+
+  // Each question type renders its own answer controls. The context carries the submitted response,
+  // the server's result (null until answered), the unsent draft and the submit callback.
+  const answerRenderers = {
+    single(container, question, { response, result, onSubmit }) {
+      question.choices.forEach((choiceText, index) => {
+        const attachment = getChoiceMedia(question, index);
+        const button = createChoiceButton(choiceText, attachment);
+        button.dataset.index = index;
+        button.disabled = Boolean(result);
+
+        if (response === index) {
+          button.classList.add('selected');
+          if (result && !result.pending) {
+            button.classList.add(result.correct ? 'correct-choice' : 'incorrect-choice');
+          }
+        }
 
-      if (feedback && feedback.status === 'incorrect' && question.answer === index) {
-        button.classList.add('correct-choice');
+        if (result && !result.correct && result.correctAnswer === index) {
+          button.classList.add('correct-choice');
+        }
+
+        button.addEventListener('click', () => onSubmit(index));
+        appendChoice(container, button, attachment);
+      });
+    },
+
+    multiple(container, question, { response, result, draft, setDraft, onSubmit }) {
+      const selected = result ? response || [] : draft || [];
+      question.choices.forEach((choiceText, index) => {
+        const attachment = getChoiceMedia(question, index);
+        const button = createChoiceButton(choiceText, attachment);
+        const isSelected = selected.includes(index);
+        button.disabled = Boolean(result);
+        button.setAttribute('aria-pressed', String(isSelected));
+        button.classList.toggle('selected', isSelected);
+
+        if (result) {
+          const isCorrect = result.correctAnswer.includes(index);
+          if (isSelected) {
+            button.classList.add(isCorrect ? 'correct-choice' : 'incorrect-choice');
+          } else if (isCorrect) {
+            button.classList.add('correct-choice', 'missed-choice');
+          }
+        }
+
+        button.addEventListener('click', () => {
+          setDraft(isSelected ? selected.filter(value => value !== index) : [...selected, index]);
+        });
+        appendChoice(container, button, attachment);
+      });
+
+      if (!result) {
+        const hint = document.createElement('p');
+        hint.className = 'muted answer-hint';
+        hint.textContent = t('answer.selectAll');
+        container.insertBefore(hint, container.firstChild);
+        const submit = createAnswerSubmitButton(t('answer.submitSelected'), !selected.length);
+        appendSubmitForm(container, submit, () => onSubmit([...selected].sort((a, b) => a - b)));
       }
+    },
+
+    ordering(container, question, { response, result, draft, setDraft, onSubmit }) {
+      // A timed-out question has no response, so the correct order is shown unmarked.
+      const sequence = result ? response || result.correctAnswer : draft || question.choices.map((choice, index) => index);
+      const list = document.createElement('ol');
+      list.className = 'ordering-list';
+
+      sequence.forEach((choiceIndex, position) => {
+        const item = document.createElement('li');
+        item.className = 'choice ordering-item';
+        if (result && response) {
+          item.classList.add(result.correctAnswer[position] === choiceIndex ? 'correct-choice' : 'incorrect-choice');
+        }
+
+        const attachment = getChoiceMedia(question, choiceIndex);
+        if (attachment) {
+          item.appendChild(createMediaElement(attachment));
+        }
+        const label = document.createElement('span');
+        label.className = 'ordering-label';
+        label.textContent = question.choices[choiceIndex];
+        item.appendChild(label);
+
+        if (!result) {
+          const controls = document.createElement('span');
+          controls.className = 'ordering-controls';
+          [['↑', -1, 'answer.moveUp'], ['↓', 1, 'answer.moveDown']].forEach(([text, offset, labelKey]) => {
+            const target = position + offset;
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'ghost sm';
+            button.textContent = text;
+            button.setAttribute('aria-label', t(labelKey, { choice: question.choices[choiceIndex] }));
+            button.disabled = target < 0 || target >= sequence.length;
+            button.addEventListener('click', () => {
+              const next = [...sequence];
+              [next[position], next[target]] = [next[target], next[position]];
+              setDraft(next);
+            });
+            controls.appendChild(button);
+          });
+          item.appendChild(controls);
+        }
 
-      button.addEventListener('click', () => {
-        handleChoiceSelection(index);
+        list.appendChild(item);
       });
 
-      elements.choices.appendChild(button);
+      container.appendChild(list);
+      if (!result) {
+        appendSubmitForm(container, createAnswerSubmitButton(t('answer.submitOrder'), false), () => onSubmit([...sequence]));
+      }
+    },
+
+    numeric(container, question, context) {
+      renderInputAnswer(container, question, context, { inputMode: 'decimal', placeholder: t('answer.numericPlaceholder') });
+    },
+
+    text(container, question, context) {
+      renderInputAnswer(container, question, context, { inputMode: 'text', placeholder: t('answer.textPlaceholder') });
+    }
+  };
+
+  function renderAnswerInput(container, question, context) {
+    container.innerHTML = '';
+    const render = answerRenderers[question.type] || answerRenderers.single;
+    render(container, question, context);
+  }
+
+  function renderChoices(question) {
+    const questionIndex = state.currentIndex;
+    const feedback = state.feedback[questionIndex];
+
+    renderAnswerInput(elements.choices, question, {
+      response: state.answers[questionIndex],
+      result: feedback ? feedback.result : null,
+      draft: state.drafts[questionIndex],
+      setDraft: (value, rerender = true) => {
+        state.drafts[questionIndex] = value;
+        if (rerender) {
+          renderChoices(question);
+        }
+      },
+      onSubmit: handleAnswerSubmission
+    });
+  }
+
+  function appendQuestion(question) {
+    state.questions.push({
+      ...question,
+      choices: Array.isArray(question.choices) ? [...question.choices] : []
     });
+    state.answers.push(null);
+    state.drafts.push(null);
+    state.feedback.push(null);
   }
 
-  function handleChoiceSelection(selectedIndex) {
+  // A timed-out question is reported without a response; the server checks the deadline either way.
+  async function handleAnswerSubmission(value, { timedOut = false } = {}) {
     const question = state.questions[state.currentIndex];
-    if (!question) {
+    if (!question || state.isSendingAnswer || state.feedback[state.currentIndex]) {
       return;
     }
 
-    state.answers[state.currentIndex] = selectedIndex;
+    const questionIndex = state.currentIndex;
+    state.isSendingAnswer = true;
+    try {
+      const response = await fetch(`/api/sessions/${encodeURIComponent(state.sessionId)}/answer`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(timedOut ? { questionId: question.id, timedOut: true } : { questionId: question.id, response: value })
+      });
+
+      if (!response.ok) {
+        const errorPayload = await response.json().catch(() => ({}));
+        throw new Error(errorPayload.error || t('answer.sendFailed'));
+      }
 
-    const isCorrect = selectedIndex === question.answer;
-    const correctChoiceText = question.choices[question.answer];
-    state.feedback[state.currentIndex] = {
-      status: isCorrect ? 'correct' : 'incorrect',
-      message: isCorrect ? '正解です！' : `不正解… 正解は「${correctChoiceText}」です。`
-    };
+      const data = await response.json();
+      stopCountdown();
+      syncClock(data.serverTime);
+      if (typeof data.elapsed === 'number') {
+        state.startTime = Date.now() - data.elapsed * 1000;
+        renderTimer();
+      }
+      state.answers[questionIndex] = data.timedOut ? null : value;
+      // Show answers are only graded on screen once the host reveals them.
+      state.feedback[questionIndex] = data.pending ? {
+        status: 'pending',
+        result: { pending: true },
+        explanation: null,
+        referenceUrl: null,
+        message: t('show.answerSent')
+      } : {
+        status: data.correct ? 'correct' : 'incorrect',
+        result: { correct: data.correct, credit: data.credit, correctAnswer: data.correctAnswer, timedOut: Boolean(data.timedOut) },
+        explanation: data.explanation || null,
+        referenceUrl: data.referenceUrl || null,
+        message: getResultMessage(question, data)
+      };
+      if (data.nextQuestion) {
+        appendQuestion(data.nextQuestion);
+      }
+    } catch (error) {
+      console.error(error);
+      if (questionIndex === state.currentIndex && elements.feedback) {
+        elements.feedback.className = 'feedback incorrect';
+        elements.feedback.textContent = error.message;
+      }
+      return;
+    } finally {
+      state.isSendingAnswer = false;
+    }
+
+    if (questionIndex !== state.currentIndex) {
+      return;
+    }
 
     renderChoices(question);
     updateNavigationButtons();
     updateFeedbackDisplay();
   }
 
+  // Timed quizzes open each question on the server only when the player moves on, so its countdown starts then.
+  async function openNextQuestion() {
+    state.isOpeningQuestion = true;
+    updateNavigationButtons();
+    try {
+      const response = await fetch(`/api/sessions/${encodeURIComponent(state.sessionId)}/next`, { method: 'POST' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || t('quiz.nextLoadFailed'));
+      }
+      syncClock(data.serverTime);
+      appendQuestion(data.question);
+      return true;
+    } catch (error) {
+      console.error(error);
+      elements.feedback.className = 'feedback incorrect';
+      elements.feedback.textContent = error.message;
+      return false;
+    } finally {
+      state.isOpeningQuestion = false;
+      updateNavigationButtons();
+    }
+  }
+
   function renderQuestion() {
     const question = state.questions[state.currentIndex];
     if (!question) {
-      elements.questionText.textContent = '問題を読み込めませんでした。';
+      stopCountdown();
+      elements.questionText.textContent = t('quiz.loadFailed');
+      renderQuestionMedia(elements.questionMedia, {});
       elements.choices.innerHTML = '';
       updateFeedbackDisplay();
       return;
     }
 
     elements.questionText.textContent = question.question;
+    renderQuestionMedia(elements.questionMedia, question);
     renderChoices(question);
     updateNavigationButtons();
     updateProgress();
     updateFeedbackDisplay();
+    startCountdown(question);
   }
 
-  function shuffleQuestions(questions) {
-    const copy = questions.map(question => ({
-      ...question,
-      choices: Array.isArray(question.choices) ? [...question.choices] : []
-    }));
-
-    for (let i = copy.length - 1; i > 0; i -= 1) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [copy[i], copy[j]] = [copy[j], copy[i]];
-    }
-
-    return copy;
-  }
+  function prepareNewQuiz(questions, total = questions.length) {
+    state.questions = questions;
+    state.totalQuestions = total;
+    state.answers = new Array(questions.length).fill(null);
+    state.drafts = new Array(questions.length).fill(null);
+    state.feedback = new Array(questions.length).fill(null);
+    state.currentIndex = 0;
 
-  function prepareNewQuiz() {
-    if (!state.originalQuestions.length) {
-      state.questions = [];
-      state.answers = [];
-      state.feedback = [];
-      state.currentIndex = 0;
+    if (!questions.length) {
       updateFeedbackDisplay();
       updateProgress();
       updateNavigationButtons();
       return;
     }
 
-    state.questions = shuffleQuestions(state.originalQuestions);
-    state.answers = new Array(state.questions.length).fill(null);
-    state.feedback = new Array(state.questions.length).fill(null);
-    state.currentIndex = 0;
     renderQuestion();
   }
 
@@ -220,110 +908,449 @@
     if (elements.startButton) {
       elements.startButton.disabled = isLoading;
     }
-    if (elements.questionCountSelect) {
-      elements.questionCountSelect.disabled = isLoading;
+    [elements.questionCountSelect, elements.categorySelect, elements.difficultySelect, elements.modeSelect,
+      elements.timeLimitSelect, elements.scoringSelect].forEach((select) => {
+      if (select) {
+        select.disabled = isLoading;
+      }
+    });
+  }
+
+  function appendFilterOptions(select, items) {
+    if (!select) {
+      return;
+    }
+    items.forEach((item) => {
+      state.filterLabels[item.id] = item.label;
+      const option = document.createElement('option');
+      option.value = item.id;
+      option.textContent = t('setup.filterOption', { label: item.label, count: item.count });
+      option.disabled = item.count === 0;
+      select.appendChild(option);
+    });
+  }
+
+  async function fetchCategories() {
+    try {
+      const response = await fetch('/api/categories');
+      if (!response.ok) {
+        throw new Error(t('quiz.categoriesFailed'));
+      }
+      const data = await response.json();
+      appendFilterOptions(elements.categorySelect, data.categories || []);
+      appendFilterOptions(elements.difficultySelect, data.difficulties || []);
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  // A tournament round or a show brings its own settings, so only the tournament or the show is sent.
+  function getQuizRequest(limit) {
+    if (state.isShow) {
+      return { show: state.showCode };
     }
+    if (state.isTournament) {
+      return { tournament: state.tournamentId };
+    }
+    return {
+      limit,
+      category: state.selectedCategory,
+      difficulty: state.selectedDifficulty,
+      mode: state.selectedMode,
+      timeLimit: state.selectedTimeLimit,
+      scoring: state.selectedScoring,
+      team: elements.teamInput.value.trim()
+    };
   }
 
   async function fetchQuestions(limit = state.selectedQuestionCount || DEFAULT_QUESTION_COUNT) {
     if (state.isFetchingQuestions) {
-      return;
+      return false;
     }
 
     setQuizLoading(true);
+    const account = findAccount(elements.nameInput.value);
     try {
-      const params = new URLSearchParams({ limit: String(limit) });
-      const response = await fetch(`/api/quiz?${params.toString()}`);
+      const response = await fetch(state.isDaily ? '/api/daily/sessions' : '/api/sessions', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${account ? account.token : ''}`
+        },
+        body: JSON.stringify(getQuizRequest(limit))
+      });
       if (!response.ok) {
-        throw new Error('クイズデータを読み込めませんでした。');
+        const errorPayload = await response.json().catch(() => ({}));
+        throw new Error(errorPayload.error || t('quiz.quizLoadFailed'));
       }
       const data = await response.json();
-      if (!Array.isArray(data.questions) || data.questions.length === 0) {
-        throw new Error('クイズデータがありません。');
+      // A show joined before the host opens the first question starts without one.
+      if (!data.sessionId || !Array.isArray(data.questions) || (data.questions.length === 0 && data.mode !== 'show')) {
+        throw new Error(t('quiz.noQuizData'));
       }
-      state.originalQuestions = data.questions.map(question => ({
+      state.sessionId = data.sessionId;
+      state.timeLimit = data.timeLimit || null;
+      state.scoring = data.scoring || 'standard';
+      syncClock(data.serverTime);
+      state.serverStartTime = typeof data.startedAt === 'number' ? data.startedAt : null;
+      state.showQuestionNumber = data.show ? data.show.questionNumber : 0;
+      prepareNewQuiz(data.questions.map(question => ({
         ...question,
         choices: Array.isArray(question.choices) ? [...question.choices] : []
-      }));
-      state.selectedQuestionCount = typeof data.total === 'number' ? data.total : state.originalQuestions.length;
-      if (elements.questionCountSelect) {
-        const desiredValue = String(state.selectedQuestionCount);
-        const hasOption = Array.from(elements.questionCountSelect.options || []).some(option => option.value === desiredValue);
-        if (!hasOption) {
-          const option = document.createElement('option');
-          option.value = desiredValue;
-          option.textContent = `${desiredValue}問`;
-          option.selected = true;
-          elements.questionCountSelect.appendChild(option);
-        } else if (elements.questionCountSelect.value !== desiredValue) {
-          elements.questionCountSelect.value = desiredValue;
-        }
-      }
-      prepareNewQuiz();
+      })), typeof data.total === 'number' ? data.total : data.questions.length);
+      return true;
     } catch (error) {
       console.error(error);
-      elements.questionText.textContent = 'クイズの読み込みに失敗しました。ページを再読み込みしてください。';
+      state.sessionId = null;
+      state.serverStartTime = null;
+      setPlayerMessage(error.message);
+      prepareNewQuiz([]);
+      elements.questionText.textContent = t('quiz.quizLoadFailedWithReason', { reason: error.message });
       elements.choices.innerHTML = '';
-      elements.nextButton.disabled = true;
+      return false;
     } finally {
       setQuizLoading(false);
     }
   }
 
-  async function fetchLeaderboard() {
-    try {
-      const response = await fetch('/api/leaderboard');
-      if (!response.ok) {
-        throw new Error('ランキングの取得に失敗しました。');
-      }
-      const data = await response.json();
-      renderLeaderboard(data.leaderboard || []);
-    } catch (error) {
+  function getBoardParams(board) {
+    const params = new URLSearchParams({ questionCount: String(board.questionCount) });
+    if (board.category) {
+      params.set('category', board.category);
+    }
+    if (board.difficulty) {
+      params.set('difficulty', board.difficulty);
+    }
+    if (board.mode === 'adaptive') {
+      params.set('mode', board.mode);
+    }
+    if (board.timeLimit) {
+      params.set('timeLimit', String(board.timeLimit));
+    }
+    if (board.scoring && board.scoring !== 'standard') {
+      params.set('scoring', board.scoring);
+    }
+    return params;
+  }
+
+  async function fetchLeaderboard(board = state.activeBoard) {
+    if (board.key !== state.activeBoard.key) {
+      state.leaderboardOffset = 0;
+    }
+    try {
+      const params = getBoardParams(board);
+      if (state.leaderboardView === 'teams') {
+        params.set('view', 'teams');
+      } else {
+        if (state.leaderboardPeriod !== 'all') {
+          params.set('period', state.leaderboardPeriod);
+        }
+        if (state.leaderboardSearch) {
+          params.set('search', state.leaderboardSearch);
+        }
+        params.set('offset', String(state.leaderboardOffset));
+        params.set('limit', String(LEADERBOARD_PAGE_SIZE));
+      }
+      // The token lets the server include the player's own rank.
+      const account = findAccount(elements.nameInput.value);
+      const response = await fetch(`/api/leaderboard?${params.toString()}`, {
+        headers: { Authorization: `Bearer ${account ? account.token : ''}` }
+      });
+      if (!response.ok) {
+        throw new Error(t('leaderboard.loadFailed'));
+      }
+      const data = await response.json();
+      applyLeaderboardData(data);
+    } catch (error) {
       console.error(error);
     }
   }
 
-  function renderLeaderboard(entries) {
-    elements.leaderboardBody.innerHTML = '';
+  function applyLeaderboardData(data) {
+    if (data.board) {
+      state.activeBoard = data.board;
+    }
+    renderLeaderboardTabs(data.boards || []);
+    if (data.view === 'teams') {
+      renderTeamLeaderboard(data.teams || [], data);
+      return;
+    }
+    state.leaderboardMe = data.me || null;
+    renderLeaderboard(data.leaderboard || []);
+    renderLeaderboardPager(data);
+  }
+
+  function renderLeaderboardPager({ total = 0, offset = 0, limit = LEADERBOARD_PAGE_SIZE, leaderboard = [] }) {
+    state.leaderboardOffset = offset;
+    elements.leaderboardPage.textContent = total
+      ? t('leaderboard.pageRange', { from: offset + 1, to: offset + leaderboard.length, total })
+      : '';
+    elements.leaderboardPrevButton.disabled = offset === 0;
+    elements.leaderboardNextButton.disabled = offset + limit >= total;
+
+    const me = state.leaderboardMe;
+    elements.leaderboardMe.textContent = me ? t('leaderboard.myRank', { rank: me.rank }) : '';
+    // The jump is offered while the player's own row isn't among the rows shown.
+    const isShown = me && leaderboard.some(entry => entry.playerId === me.playerId);
+    elements.leaderboardMeButton.classList.toggle('hidden', !me || Boolean(isShown));
+  }
+
+  function isDefaultLeaderboardPage() {
+    return state.leaderboardPeriod === 'all' && !state.leaderboardSearch && state.leaderboardOffset === 0;
+  }
+
+  function changeLeaderboardPage(offset) {
+    state.leaderboardOffset = Math.max(0, offset);
+    fetchLeaderboard();
+  }
+
+  function jumpToOwnRank() {
+    const me = state.leaderboardMe;
+    if (!me) {
+      return;
+    }
+    state.leaderboardSearch = '';
+    elements.leaderboardSearch.value = '';
+    changeLeaderboardPage(Math.floor((me.rank - 1) / LEADERBOARD_PAGE_SIZE) * LEADERBOARD_PAGE_SIZE);
+  }
+
+  function setLeaderboardPeriod(period) {
+    state.leaderboardPeriod = period;
+    Array.from(elements.leaderboardPeriods.querySelectorAll('[data-period]')).forEach((tab) => {
+      const isActive = tab.dataset.period === period;
+      tab.classList.toggle('active', isActive);
+      tab.setAttribute('aria-selected', String(isActive));
+    });
+    changeLeaderboardPage(0);
+  }
+
+  // The stream announces every run with the top of its all-time board; only the board on screen is redrawn.
+  function applyLeaderboardUpdate(data) {
+    const isActiveBoard = data.board && data.board.key === state.activeBoard.key;
+    // Team standings, other periods, searches and later pages aren't in the stream, so those are fetched again.
+    if (state.leaderboardView === 'teams' || !isDefaultLeaderboardPage()) {
+      if (isActiveBoard) {
+        fetchLeaderboard();
+      }
+      return;
+    }
+    if (!data.changed) {
+      return;
+    }
+    renderLeaderboardTabs(data.boards || []);
+    if (!isActiveBoard) {
+      return;
+    }
+    const entries = data.leaderboard || [];
+    const me = state.leaderboardMe && entries.find(entry => entry.playerId === state.leaderboardMe.playerId);
+    renderLeaderboard(entries);
+    // Someone passing the player moves their rank too, which the stream can't say when they're further down.
+    if (state.leaderboardMe && !me) {
+      fetchLeaderboard();
+      return;
+    }
+    const board = (data.boards || []).find(summary => summary.key === data.board.key);
+    state.leaderboardMe = me || null;
+    renderLeaderboardPager({ total: board ? board.entries : entries.length, offset: 0, leaderboard: entries });
+  }
+
+  function startLeaderboardPolling() {
+    if (state.leaderboardPollTimer) {
+      return;
+    }
+    state.leaderboardPollTimer = window.setInterval(() => {
+      fetchLeaderboard();
+    }, LEADERBOARD_POLL_INTERVAL_MS);
+  }
+
+  function stopLeaderboardPolling() {
+    window.clearInterval(state.leaderboardPollTimer);
+    state.leaderboardPollTimer = null;
+  }
+
+  // While the stream is down the board is polled instead. EventSource reconnects by itself (resuming
+  // with Last-Event-ID); when it gives up, a new stream is tried after a while.
+  function connectLeaderboardStream() {
+    if (state.leaderboardSource) {
+      return;
+    }
+    if (typeof EventSource === 'undefined') {
+      startLeaderboardPolling();
+      return;
+    }
+    const source = new EventSource(`/api/leaderboard/stream?${getBoardParams(state.activeBoard).toString()}`);
+    source.addEventListener('open', stopLeaderboardPolling);
+    source.addEventListener('leaderboard', (event) => {
+      applyLeaderboardUpdate(JSON.parse(event.data));
+    });
+    source.addEventListener('error', () => {
+      startLeaderboardPolling();
+      if (source.readyState === EventSource.CLOSED && state.leaderboardSource === source) {
+        state.leaderboardSource = null;
+        window.setTimeout(connectLeaderboardStream, LEADERBOARD_RECONNECT_MS);
+      }
+    });
+    state.leaderboardSource = source;
+  }
+
+  function disconnectLeaderboardStream() {
+    stopLeaderboardPolling();
+    if (state.leaderboardSource) {
+      state.leaderboardSource.close();
+      state.leaderboardSource = null;
+    }
+  }
+
+  function formatBoardLabel(board) {
+    const parts = [t('common.questions', { count: board.questionCount })];
+    if (board.category) {
+      parts.push(state.filterLabels[board.category] || board.category);
+    }
+    if (board.difficulty) {
+      parts.push(state.filterLabels[board.difficulty] || board.difficulty);
+    }
+    if (board.mode === 'adaptive') {
+      parts.push(t('leaderboard.adaptive'));
+    }
+    if (board.timeLimit) {
+      parts.push(t('leaderboard.timeLimit', { count: board.timeLimit }));
+    }
+    if (board.scoring && board.scoring !== 'standard') {
+      parts.push(getScoringLabel(board.scoring));
+    }
+    return parts.join(t('common.separator'));
+  }
+
+  // A rule added on the server needs its label in the message catalogs; until then its id is shown.
+  function getScoringLabel(id) {
+    const key = `scoring.${id}`;
+    const label = t(key);
+    return label === key ? id : label;
+  }
+
+  function renderLeaderboardTabs(boards) {
+    if (!elements.leaderboardTabs) {
+      return;
+    }
+
+    const tabs = new Map();
+    Array.from(elements.questionCountSelect ? elements.questionCountSelect.options : []).forEach((option) => {
+      const questionCount = Number(option.value);
+      const key = `${questionCount}:all:all`;
+      tabs.set(key, { key, questionCount, category: null, difficulty: null, mode: 'standard', timeLimit: null, scoring: 'standard' });
+    });
+    boards.forEach(board => tabs.set(board.key, board));
+    tabs.set(state.activeBoard.key, state.activeBoard);
+
+    elements.leaderboardTabs.innerHTML = '';
+    Array.from(tabs.values())
+      .sort((a, b) => a.questionCount - b.questionCount || a.key.localeCompare(b.key))
+      .forEach((board) => {
+        const isActive = board.key === state.activeBoard.key;
+        const tab = document.createElement('button');
+        tab.type = 'button';
+        tab.className = isActive ? 'tab active' : 'tab';
+        tab.setAttribute('role', 'tab');
+        tab.setAttribute('aria-selected', String(isActive));
+        tab.textContent = formatBoardLabel(board);
+        tab.addEventListener('click', () => {
+          fetchLeaderboard(board);
+        });
+        elements.leaderboardTabs.appendChild(tab);
+      });
+  }
+
+  function getRowKey(entry) {
+    return entry.playerId || `name:${entry.name}`;
+  }
+
+  // Remembers where each player's row was so a redraw of the same board can slide it to its new rank.
+  function measureRows(body) {
+    const positions = new Map();
+    Array.from(body.querySelectorAll('tr[data-row-key]')).forEach((row) => {
+      positions.set(row.dataset.rowKey, { top: row.getBoundingClientRect().top, rank: Number(row.dataset.rank) });
+    });
+    return positions;
+  }
+
+  function animateRankChanges(body, previous) {
+    if (!previous.size || window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+      return;
+    }
+    Array.from(body.querySelectorAll('tr[data-row-key]')).forEach((row) => {
+      const before = previous.get(row.dataset.rowKey);
+      const rank = Number(row.dataset.rank);
+      if (!before) {
+        row.classList.add('rank-up');
+        return;
+      }
+      if (before.rank === rank) {
+        return;
+      }
+      row.classList.add(rank < before.rank ? 'rank-up' : 'rank-down');
+      const offset = before.top - row.getBoundingClientRect().top;
+      if (offset && typeof row.animate === 'function') {
+        row.animate([{ transform: `translateY(${offset}px)` }, { transform: 'none' }], {
+          duration: RANK_MOVE_DURATION_MS,
+          easing: 'ease-out'
+        });
+      }
+    });
+  }
+
+  function renderLeaderboard(entries, body = elements.leaderboardBody) {
+    // Only redraws of the board already on screen are animated, not switching to another board.
+    const boardKey = body === elements.leaderboardBody ? state.activeBoard.key : '';
+    const previous = boardKey && body.dataset.board === boardKey ? measureRows(body) : new Map();
+    body.dataset.board = boardKey;
+    body.innerHTML = '';
 
     if (!entries.length) {
       const row = document.createElement('tr');
       const cell = document.createElement('td');
       cell.colSpan = 5;
-      cell.textContent = '記録がありません。';
+      cell.textContent = t('table.empty');
       cell.className = 'muted';
       row.appendChild(cell);
-      elements.leaderboardBody.appendChild(row);
+      body.appendChild(row);
       return;
     }
 
+    const myPlayerIds = new Set(loadAccounts().map(account => account.id));
     entries.forEach((entry, index) => {
       const row = document.createElement('tr');
+      row.dataset.rowKey = getRowKey(entry);
+      row.dataset.rank = String(entry.rank || index + 1);
 
+      const rank = entry.rank || index + 1;
       const rankCell = document.createElement('td');
       const badge = document.createElement('span');
-      badge.className = `rank-badge rank-${index + 1}`;
-      badge.textContent = index + 1;
-      if (index > 2) {
-        badge.className = 'rank-badge';
-      }
+      badge.className = rank <= 3 ? `rank-badge rank-${rank}` : 'rank-badge';
+      badge.textContent = rank;
       rankCell.appendChild(badge);
 
       const nameCell = document.createElement('td');
       nameCell.textContent = entry.name;
+      if (entry.playerId && myPlayerIds.has(entry.playerId)) {
+        row.classList.add('is-me');
+      }
 
       const scoreCell = document.createElement('td');
       const totalLabel = typeof entry.totalQuestions === 'number' && entry.totalQuestions > 0
         ? entry.totalQuestions
-        : (state.originalQuestions.length || state.questions.length || '-');
-      scoreCell.textContent = `${entry.score} / ${totalLabel}`;
+        : (state.questions.length || '-');
+      const showPoints = typeof entry.points === 'number' && state.activeBoard.scoring && state.activeBoard.scoring !== 'standard'
+        && body === elements.leaderboardBody;
+      scoreCell.textContent = showPoints
+        ? t('leaderboard.points', { points: entry.points, score: entry.score, total: totalLabel })
+        : `${entry.score} / ${totalLabel}`;
 
       const timeCell = document.createElement('td');
-      timeCell.textContent = typeof entry.totalTime === 'number' ? `${entry.totalTime.toFixed(2)}秒` : '-';
+      timeCell.textContent = formatSeconds(entry.totalTime);
 
       const dateCell = document.createElement('td');
       const date = entry.completedAt ? new Date(entry.completedAt) : null;
-      dateCell.textContent = date ? date.toLocaleString('ja-JP') : '-';
+      dateCell.textContent = date ? formatDateTime(date) : '-';
 
       row.appendChild(rankCell);
       row.appendChild(nameCell);
@@ -331,94 +1358,921 @@
       row.appendChild(timeCell);
       row.appendChild(dateCell);
 
-      elements.leaderboardBody.appendChild(row);
+      body.appendChild(row);
     });
+
+    animateRankChanges(body, previous);
   }
 
-  async function submitAnswers() {
+  function renderTeamLeaderboard(teams, { method, bestCount }) {
+    elements.teamLeaderboardMethod.textContent = t(`leaderboard.teamMethod.${method}`, { count: bestCount });
+    elements.teamLeaderboardBody.innerHTML = '';
+
+    if (!teams.length) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 4;
+      cell.textContent = t('table.empty');
+      cell.className = 'muted';
+      row.appendChild(cell);
+      elements.teamLeaderboardBody.appendChild(row);
+      return;
+    }
+
+    const myPlayerIds = new Set(loadAccounts().map(account => account.id));
+    teams.forEach((team) => {
+      const row = document.createElement('tr');
+      if (team.members.some(member => myPlayerIds.has(member.playerId))) {
+        row.classList.add('is-me');
+      }
+
+      const rankCell = document.createElement('td');
+      const badge = document.createElement('span');
+      badge.className = team.rank <= 3 ? `rank-badge rank-${team.rank}` : 'rank-badge';
+      badge.textContent = team.rank;
+      rankCell.appendChild(badge);
+
+      const nameCell = document.createElement('td');
+      nameCell.textContent = team.name;
+
+      const scoreCell = document.createElement('td');
+      scoreCell.textContent = t('leaderboard.teamScore', { score: team.score });
+
+      // Members whose best run doesn't count towards the team score are greyed out.
+      const membersCell = document.createElement('td');
+      team.members.forEach((member, index) => {
+        if (index > 0) {
+          membersCell.appendChild(document.createTextNode(t('common.listSeparator')));
+        }
+        const item = document.createElement('span');
+        item.textContent = t('leaderboard.teamMember', { name: member.name, points: member.points });
+        if (!member.counted) {
+          item.className = 'muted';
+        }
+        membersCell.appendChild(item);
+      });
+
+      row.appendChild(rankCell);
+      row.appendChild(nameCell);
+      row.appendChild(scoreCell);
+      row.appendChild(membersCell);
+      elements.teamLeaderboardBody.appendChild(row);
+    });
+  }
+
+  function setLeaderboardView(view) {
+    state.leaderboardView = view;
+    Array.from(elements.leaderboardViews.querySelectorAll('[data-view]')).forEach((tab) => {
+      const isActive = tab.dataset.view === view;
+      tab.classList.toggle('active', isActive);
+      tab.setAttribute('aria-selected', String(isActive));
+    });
+    elements.playerLeaderboard.classList.toggle('hidden', view === 'teams');
+    elements.leaderboardFilters.classList.toggle('hidden', view === 'teams');
+    elements.leaderboardPager.classList.toggle('hidden', view === 'teams');
+    elements.teamLeaderboard.classList.toggle('hidden', view !== 'teams');
+    fetchLeaderboard();
+  }
+
+  function formatTeamResult(team) {
+    const params = {
+      team: quote(team.name),
+      rank: team.rank,
+      teams: team.teams,
+      score: team.score,
+      points: team.points,
+      count: team.bestCount
+    };
+    return team.counted ? t('result.team', params) : t('result.teamNotCounted', params);
+  }
+
+  function formatStreak(streak) {
+    if (!streak) {
+      return '';
+    }
+    return t('daily.streak', { current: streak.current, best: streak.best });
+  }
+
+  async function fetchDailyLeaderboard(date = state.dailyDate) {
+    if (!date) {
+      return;
+    }
+    try {
+      const response = await fetch(`/api/daily/leaderboard?date=${encodeURIComponent(date)}`);
+      if (!response.ok) {
+        throw new Error(t('daily.leaderboardFailed'));
+      }
+      const data = await response.json();
+      renderLeaderboard(data.leaderboard || [], elements.dailyLeaderboardBody);
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  async function fetchDailyArchive() {
+    try {
+      const response = await fetch('/api/daily/archive');
+      if (!response.ok) {
+        throw new Error(t('daily.archiveFailed'));
+      }
+      const data = await response.json();
+      const days = data.days || [];
+      if (!days.some(day => day.date === data.today)) {
+        days.unshift({ date: data.today, players: 0 });
+      }
+      elements.dailyArchive.innerHTML = '';
+      days.forEach((day) => {
+        const option = document.createElement('option');
+        option.value = day.date;
+        option.textContent = t('daily.archiveOption', { date: day.date === data.today ? t('daily.today') : day.date, players: day.players });
+        elements.dailyArchive.appendChild(option);
+      });
+      elements.dailyArchive.value = state.dailyDate || data.today;
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  async function fetchDailyStatus() {
+    const account = findAccount(elements.nameInput.value);
+    try {
+      const response = await fetch('/api/daily', {
+        headers: { Authorization: `Bearer ${account ? account.token : ''}` }
+      });
+      if (!response.ok) {
+        throw new Error(t('daily.loadFailed'));
+      }
+      const data = await response.json();
+      state.dailyDate = data.date;
+      elements.dailyDate.textContent = [data.date, t('common.questions', { count: data.questionCount })].join(t('common.separator'));
+
+      const parts = [t('daily.players', { count: data.players })];
+      if (data.result) {
+        parts.push(t('daily.yourResult', { rank: data.result.rank, score: data.result.score, total: data.result.totalQuestions }));
+      } else if (data.started) {
+        parts.push(t('daily.finished'));
+      }
+      if (data.streak) {
+        parts.push(formatStreak(data.streak));
+      }
+      elements.dailyStatus.textContent = parts.join(t('common.separator'));
+      elements.dailyButton.disabled = Boolean(data.started);
+    } catch (error) {
+      console.error(error);
+    }
+    await fetchDailyArchive();
+    await fetchDailyLeaderboard(elements.dailyArchive.value || state.dailyDate);
+  }
+
+  function describeTournamentEntry(tournament, entry) {
+    if (tournament.status === 'finished') {
+      const placement = entry && (tournament.placements || []).find(item => item.playerId === entry.playerId);
+      return placement ? t('tournament.entryPlacement', { rank: placement.rank }) : '';
+    }
+    if (!entry || !entry.registered) {
+      return tournament.status === 'registration' ? t('tournament.entryNotRegistered') : '';
+    }
+    if (!entry.round) {
+      return t('tournament.entryRegistered');
+    }
+    if (entry.started) {
+      return t('tournament.entryStarted');
+    }
+    return entry.eligible ? t('tournament.entryReady') : t('tournament.entryNotEligible');
+  }
+
+  // Only shown when the page was opened from a tournament link (/?tournament=<id>).
+  async function fetchTournamentStatus() {
+    if (!state.tournamentId) {
+      return;
+    }
+    const account = findAccount(elements.nameInput.value);
+    try {
+      const response = await fetch(`/api/tournaments/${encodeURIComponent(state.tournamentId)}`, {
+        headers: { Authorization: `Bearer ${account ? account.token : ''}` }
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || t('tournament.loadFailed'));
+      }
+      const { tournament } = data;
+      const entry = tournament.entry ? { ...tournament.entry, playerId: account.id } : null;
+      const openRound = tournament.rounds.find(round => round.status === 'open');
+      elements.tournamentName.textContent = tournament.name;
+      elements.tournamentStandingsLink.href = `tournament.html?id=${encodeURIComponent(tournament.id)}`;
+      elements.tournamentStatus.textContent = [
+        openRound ? t('tournament.statusOpen', { round: openRound.number }) : t(`tournament.status.${tournament.status}`),
+        t('common.people', { count: tournament.players.length }),
+        describeTournamentEntry(tournament, entry)
+      ].filter(Boolean).join(t('common.separator'));
+      elements.tournamentRegisterButton.classList.toggle('hidden', tournament.status !== 'registration' || Boolean(entry && entry.registered));
+      elements.tournamentPlayButton.disabled = !(openRound && entry && entry.eligible && !entry.started);
+    } catch (error) {
+      console.error(error);
+      elements.tournamentStatus.textContent = error.message;
+      elements.tournamentRegisterButton.classList.add('hidden');
+      elements.tournamentPlayButton.disabled = true;
+    }
+    elements.tournament.classList.remove('hidden');
+  }
+
+  async function registerForTournament() {
+    const name = elements.nameInput.value.trim();
+    if (!name) {
+      elements.nameInput.focus();
+      return;
+    }
+    setPlayerMessage('');
+    try {
+      const account = await ensurePlayerAccount(name);
+      if (!account) {
+        return;
+      }
+      const response = await fetch(`/api/tournaments/${encodeURIComponent(state.tournamentId)}/register`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${account.token}` }
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || t('tournament.registerFailed'));
+      }
+      setPlayerMessage(t('tournament.registered', { name: data.tournament.name }));
+    } catch (error) {
+      console.error(error);
+      setPlayerMessage(error.message);
+    }
+    await fetchTournamentStatus();
+  }
+
+  function findOwnStanding(standings) {
+    const account = findAccount(elements.nameInput.value);
+    return account && standings ? standings.find(entry => entry.playerId === account.id) || null : null;
+  }
+
+  function describeShowState(snapshot) {
+    const own = findOwnStanding(snapshot.standings);
+    return [
+      t(`show.phase.${snapshot.phase}`, { number: snapshot.questionNumber, total: snapshot.totalQuestions }),
+      t('common.people', { count: snapshot.audience }),
+      own ? t('show.yourRank', { rank: own.rank, score: own.score }) : ''
+    ].filter(Boolean).join(t('common.separator'));
+  }
+
+  // The host decides when each question opens, so the audience's phones follow the big screen instead of the next button.
+  async function openShowQuestion() {
+    state.isOpeningQuestion = true;
+    try {
+      const response = await fetch(`/api/sessions/${encodeURIComponent(state.sessionId)}/next`, { method: 'POST' });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || t('quiz.nextLoadFailed'));
+      }
+      syncClock(data.serverTime);
+      appendQuestion(data.question);
+      state.showQuestionNumber = data.questionNumber;
+      state.currentIndex = state.questions.length - 1;
+      renderQuestion();
+    } catch (error) {
+      console.error(error);
+      elements.feedback.className = 'feedback incorrect';
+      elements.feedback.textContent = error.message;
+    } finally {
+      state.isOpeningQuestion = false;
+    }
+  }
+
+  function finishShow(snapshot) {
     stopTimer();
-    const totalTime = (Date.now() - state.startTime) / 1000;
+    setLocaleLocked(false);
+    const own = findOwnStanding(snapshot.standings);
+    elements.resultScore.textContent = own
+      ? t('result.show', { rank: own.rank, players: snapshot.standings.length, score: own.score, total: snapshot.totalQuestions })
+      : t('show.phase.finished');
+    elements.resultTime.textContent = '';
+    elements.resultRating.textContent = '';
+    elements.resultDaily.textContent = '';
+    elements.resultTournament.textContent = '';
+    elements.resultTeam.textContent = '';
+    renderReview([]);
+    elements.quiz.classList.add('hidden');
+    elements.result.classList.remove('hidden');
+  }
 
-    const answerPayload = state.questions.map((question, index) => ({
-      questionId: question.id,
-      choiceIndex: state.answers[index]
+  // The reveal carries the answer in the show's display order, which is also the order on the audience's phones.
+  function revealShowAnswer(snapshot) {
+    const index = state.currentIndex;
+    const question = state.questions[index];
+    const feedback = state.feedback[index];
+    if (!question || !snapshot.question || question.id !== snapshot.question.id || (feedback && !feedback.result.pending)) {
+      return;
+    }
+    const { correctIndex, explanation } = snapshot.reveal;
+    const correct = Boolean(feedback) && state.answers[index] === correctIndex;
+    const result = { correct, credit: correct ? 1 : 0, correctAnswer: correctIndex, timedOut: !feedback };
+    state.feedback[index] = {
+      status: correct ? 'correct' : 'incorrect',
+      result,
+      explanation,
+      referenceUrl: null,
+      message: getResultMessage(question, result)
+    };
+    renderChoices(question);
+    updateNavigationButtons();
+    updateFeedbackDisplay();
+  }
+
+  function applyShowState(snapshot) {
+    state.showSnapshot = snapshot;
+    elements.showStatus.textContent = describeShowState(snapshot);
+    elements.showJoinButton.disabled = state.isShow || snapshot.phase === 'finished';
+    if (!state.isShow || state.isFetchingQuestions) {
+      return;
+    }
+    if (snapshot.phase === 'finished') {
+      state.showSource.close();
+      finishShow(snapshot);
+      return;
+    }
+    if (snapshot.phase === 'question' && snapshot.questionNumber !== state.showQuestionNumber && !state.isOpeningQuestion) {
+      openShowQuestion();
+    }
+    if (snapshot.reveal && snapshot.questionNumber === state.showQuestionNumber) {
+      revealShowAnswer(snapshot);
+    }
+  }
+
+  // Only shown when the page was opened from a live show link (/?show=<code>); the status follows the host live.
+  async function connectShow() {
+    if (!state.showCode) {
+      return;
+    }
+    elements.showCode.textContent = state.showCode;
+    elements.show.classList.remove('hidden');
+    try {
+      const response = await fetch(`/api/shows/${encodeURIComponent(state.showCode)}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || t('show.loadFailed'));
+      }
+      applyShowState(data.show);
+    } catch (error) {
+      console.error(error);
+      elements.showStatus.textContent = error.message;
+      return;
+    }
+
+    const source = new EventSource(`/api/shows/${encodeURIComponent(state.showCode)}/events`);
+    source.addEventListener('state', (event) => {
+      applyShowState(JSON.parse(event.data));
+    });
+    source.addEventListener('error', () => {
+      elements.showStatus.textContent = t('show.reconnecting');
+    });
+    state.showSource = source;
+  }
+
+  function renderReview(review) {
+    if (!elements.resultReviewList) {
+      return;
+    }
+
+    elements.resultReviewList.innerHTML = '';
+    elements.resultReview.classList.toggle('hidden', !review.length);
+
+    review.forEach((item) => {
+      const entry = document.createElement('li');
+      entry.className = item.correct ? 'review-item correct' : 'review-item incorrect';
+
+      const title = document.createElement('p');
+      title.className = 'review-question';
+      title.textContent = item.removed ? t('review.removed') : item.question;
+      entry.appendChild(title);
+
+      if (!item.removed) {
+        const picked = document.createElement('p');
+        const mark = item.correct ? '○' : (item.credit > 0 ? '△' : '×');
+        const response = item.timedOut ? t('review.timedOut') : formatAnswerValue(item, item.response);
+        picked.textContent = t('review.yourAnswer', { answer: response, mark });
+        entry.appendChild(picked);
+
+        if (!item.correct) {
+          const answer = document.createElement('p');
+          answer.textContent = t('review.correctAnswer', { answer: formatAnswerValue(item, item.correctAnswer) });
+          entry.appendChild(answer);
+        }
+
+        appendExplanation(entry, item);
+      }
+
+      elements.resultReviewList.appendChild(entry);
+    });
+  }
+
+  function formatDateTime(value, options) {
+    return window.QuizI18n.formatDateTime(value, options);
+  }
+
+  function formatPercent(value) {
+    return typeof value === 'number' ? `${Math.round(value * 100)}%` : '-';
+  }
+
+  function formatSeconds(value) {
+    return typeof value === 'number' ? t('common.seconds', { count: value.toFixed(2) }) : '-';
+  }
+
+  function renderStatsSummary(summary) {
+    const items = [
+      [t('stats.attempts'), t('stats.attemptCount', { count: summary.attempts })],
+      [t('stats.accuracy'), formatPercent(summary.accuracy)],
+      [t('stats.averageScore'), typeof summary.averageScore === 'number' ? summary.averageScore.toFixed(1) : '-'],
+      [t('stats.averageTime'), formatSeconds(summary.averageTime)],
+      [t('stats.perQuestion'), formatSeconds(summary.averageTimePerQuestion)],
+      [t('stats.bestStreak'), t('common.questions', { count: summary.bestStreak })]
+    ];
+
+    elements.statsSummary.innerHTML = '';
+    items.forEach(([label, value]) => {
+      const item = document.createElement('div');
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      item.appendChild(term);
+      item.appendChild(detail);
+      elements.statsSummary.appendChild(item);
+    });
+  }
+
+  function createSvgElement(tag, attributes) {
+    const node = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([key, value]) => node.setAttribute(key, String(value)));
+    return node;
+  }
+
+  function renderStatsChart(timeline) {
+    const svg = elements.statsChart;
+    svg.innerHTML = '';
+
+    const width = 600;
+    const height = 220;
+    const padding = { top: 16, right: 16, bottom: 28, left: 44 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    [0, 0.5, 1].forEach((ratio) => {
+      const y = padding.top + plotHeight * (1 - ratio);
+      svg.appendChild(createSvgElement('line', { x1: padding.left, x2: width - padding.right, y1: y, y2: y, class: 'chart-grid' }));
+      const label = createSvgElement('text', { x: padding.left - 8, y: y + 4, 'text-anchor': 'end', class: 'chart-label' });
+      label.textContent = `${ratio * 100}%`;
+      svg.appendChild(label);
+    });
+
+    if (!timeline.length) {
+      return;
+    }
+
+    const step = timeline.length > 1 ? plotWidth / (timeline.length - 1) : 0;
+    const points = timeline.map((point, index) => ({
+      x: padding.left + (timeline.length > 1 ? step * index : plotWidth / 2),
+      y: padding.top + plotHeight * (1 - point.accuracy),
+      point
+    }));
+
+    svg.appendChild(createSvgElement('polyline', {
+      points: points.map(({ x, y }) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' '),
+      class: 'chart-line'
     }));
 
-    if (answerPayload.some(entry => typeof entry.choiceIndex !== 'number')) {
-      elements.resultScore.textContent = '未回答の問題があります。すべての問題に回答してください。';
+    points.forEach(({ x, y, point }, index) => {
+      const dot = createSvgElement('circle', { cx: x.toFixed(1), cy: y.toFixed(1), r: 4, class: 'chart-dot' });
+      const title = createSvgElement('title', {});
+      const date = formatDateTime(point.completedAt);
+      title.textContent = t('stats.attemptPoint', { count: index + 1, date, score: point.score, total: point.totalQuestions });
+      dot.appendChild(title);
+      svg.appendChild(dot);
+    });
+
+    const first = createSvgElement('text', { x: padding.left, y: height - 8, class: 'chart-label' });
+    first.textContent = t('stats.attemptNumber', { count: 1 });
+    svg.appendChild(first);
+    if (timeline.length > 1) {
+      const last = createSvgElement('text', { x: width - padding.right, y: height - 8, 'text-anchor': 'end', class: 'chart-label' });
+      last.textContent = t('stats.attemptNumber', { count: timeline.length });
+      svg.appendChild(last);
+    }
+  }
+
+  function renderStatsAttempts(attempts) {
+    elements.statsAttemptsBody.innerHTML = '';
+    attempts.slice(0, 10).forEach((attempt) => {
+      const row = document.createElement('tr');
+      const perQuestion = typeof attempt.totalTime === 'number' && attempt.totalQuestions
+        ? attempt.totalTime / attempt.totalQuestions
+        : null;
+      [
+        formatDateTime(attempt.completedAt),
+        `${attempt.score} / ${attempt.totalQuestions}`,
+        formatSeconds(attempt.totalTime),
+        formatSeconds(perQuestion)
+      ].forEach((value) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      elements.statsAttemptsBody.appendChild(row);
+    });
+  }
+
+  async function showPlayerStats() {
+    const name = elements.nameInput.value.trim();
+    if (!name) {
+      elements.nameInput.focus();
+      return;
+    }
+
+    elements.stats.classList.remove('hidden');
+    elements.statsTitle.textContent = t('stats.title', { name });
+    elements.statsMessage.textContent = t('common.loading');
+    try {
+      const response = await fetch(`/api/players/${encodeURIComponent(name)}/history`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || t('stats.loadFailed'));
+      }
+      elements.statsMessage.textContent = data.summary.attempts ? '' : t('stats.empty');
+      renderStatsSummary(data.summary);
+      renderStatsChart(data.timeline || []);
+      renderStatsAttempts(data.attempts || []);
+    } catch (error) {
+      console.error(error);
+      elements.statsMessage.textContent = error.message;
+    }
+    elements.stats.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  function loadLocalCards() {
+    try {
+      const cards = JSON.parse(localStorage.getItem(PRACTICE_STORAGE_KEY));
+      return Array.isArray(cards) ? cards : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function saveLocalCards(cards) {
+    try {
+      localStorage.setItem(PRACTICE_STORAGE_KEY, JSON.stringify(cards));
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  // Missed questions are also kept locally so practice works without a registered name.
+  function rememberMissedQuestions(review) {
+    const cards = loadLocalCards();
+    review.filter(item => !item.correct && !item.removed).forEach((item) => {
+      const existing = cards.find(card => card.questionId === item.questionId);
+      if (existing) {
+        existing.dueAt = Date.now();
+      } else {
+        cards.push({ questionId: item.questionId, dueAt: Date.now() });
+      }
+    });
+    saveLocalCards(cards);
+  }
+
+  function updateLocalCard(card) {
+    saveLocalCards([...loadLocalCards().filter(existing => existing.questionId !== card.questionId), card]);
+  }
+
+  function formatDueDate(timestamp) {
+    return formatDateTime(timestamp, { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  }
+
+  function renderPracticeQuestion() {
+    const { practice } = state;
+    const question = practice.questions[practice.currentIndex];
+    const result = practice.results[practice.currentIndex];
+
+    elements.practiceCounter.textContent = `${practice.currentIndex + 1} / ${practice.questions.length}`;
+    elements.practiceQuestion.textContent = question.question;
+    renderQuestionMedia(elements.practiceQuestionMedia, question);
+
+    const questionIndex = practice.currentIndex;
+    renderAnswerInput(elements.practiceChoices, question, {
+      response: result ? result.response : null,
+      result: result || null,
+      draft: practice.drafts[questionIndex],
+      setDraft: (value, rerender = true) => {
+        practice.drafts[questionIndex] = value;
+        if (rerender) {
+          renderPracticeQuestion();
+        }
+      },
+      onSubmit: answerPracticeQuestion
+    });
+
+    if (result) {
+      elements.practiceFeedback.className = result.correct ? 'feedback correct' : 'feedback incorrect';
+      elements.practiceFeedback.textContent = result.correct
+        ? t('practice.correctNext', { date: formatDueDate(result.card.dueAt) })
+        : t('practice.retryLater', { message: getResultMessage(question, result) });
+      appendExplanation(elements.practiceFeedback, result);
+    } else {
+      elements.practiceFeedback.className = 'feedback';
+      elements.practiceFeedback.textContent = '';
+    }
+
+    const isLast = practice.currentIndex === practice.questions.length - 1;
+    elements.practiceNextButton.textContent = isLast ? t('practice.finish') : t('common.next');
+    elements.practiceNextButton.disabled = !result;
+  }
+
+  async function answerPracticeQuestion(value) {
+    const { practice } = state;
+    const question = practice.questions[practice.currentIndex];
+    if (!question || practice.isSending || practice.results[practice.currentIndex]) {
+      return;
+    }
+
+    const account = findAccount(elements.nameInput.value);
+    const localCard = loadLocalCards().find(card => card.questionId === question.id) || null;
+    practice.isSending = true;
+    try {
+      const response = await fetch('/api/practice/answer', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${practice.storage === 'server' && account ? account.token : ''}`
+        },
+        body: JSON.stringify({
+          questionId: question.id,
+          response: value,
+          choiceSeed: question.choiceSeed,
+          card: practice.storage === 'local' ? localCard : undefined
+        })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || t('answer.sendFailed'));
+      }
+      if (practice.storage === 'local') {
+        updateLocalCard(data.card);
+      }
+      practice.results[practice.currentIndex] = { ...data, response: value };
+    } catch (error) {
+      console.error(error);
+      elements.practiceFeedback.className = 'feedback incorrect';
+      elements.practiceFeedback.textContent = error.message;
+      return;
+    } finally {
+      practice.isSending = false;
+    }
+
+    renderPracticeQuestion();
+  }
+
+  function finishPractice() {
+    const { results } = state.practice;
+    const answered = results.filter(Boolean);
+    const correct = answered.filter(result => result.correct).length;
+    elements.practiceBody.classList.add('hidden');
+    elements.practiceMessage.textContent = t('practice.summary', { total: answered.length, correct });
+  }
+
+  async function startPractice() {
+    const account = findAccount(elements.nameInput.value);
+    const dueIds = loadLocalCards()
+      .slice()
+      .sort((a, b) => a.dueAt - b.dueAt)
+      .map(card => card.questionId);
+    const params = new URLSearchParams({ limit: String(PRACTICE_QUESTION_COUNT) });
+    if (dueIds.length) {
+      params.set('questionIds', dueIds.join(','));
+    }
+
+    elements.practice.classList.remove('hidden');
+    elements.practiceBody.classList.add('hidden');
+    elements.practiceMessage.textContent = t('common.loading');
+    elements.practice.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    try {
+      const response = await fetch(`/api/practice?${params.toString()}`, {
+        headers: { Authorization: `Bearer ${account ? account.token : ''}` }
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || t('practice.loadFailed'));
+      }
+
+      state.practice = {
+        storage: data.storage,
+        questions: data.questions || [],
+        currentIndex: 0,
+        results: [],
+        drafts: [],
+        isSending: false
+      };
+
+      if (!state.practice.questions.length) {
+        elements.practiceMessage.textContent = t('practice.empty');
+        return;
+      }
+
+      elements.practiceMessage.textContent = typeof data.due === 'number'
+        ? t('practice.due', { due: data.due, total: data.total })
+        : t('practice.local');
+      elements.practiceBody.classList.remove('hidden');
+      renderPracticeQuestion();
+    } catch (error) {
+      console.error(error);
+      elements.practiceMessage.textContent = error.message;
+    }
+  }
+
+  async function submitAnswers() {
+    stopTimer();
+    stopCountdown();
+
+    if (state.feedback.some(feedback => !feedback)) {
+      elements.resultScore.textContent = t('result.unanswered');
       elements.resultTime.textContent = '';
+      elements.resultRating.textContent = '';
+      elements.resultDaily.textContent = '';
+      elements.resultTournament.textContent = '';
+      elements.resultTeam.textContent = '';
+      renderReview([]);
       elements.result.classList.remove('hidden');
       return;
     }
 
+    const account = findAccount(elements.nameInput.value);
+
     try {
       const response = await fetch('/api/submit', {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${account ? account.token : ''}`
         },
         body: JSON.stringify({
-          playerName: elements.nameInput.value,
-          answers: answerPayload,
-          totalTime
+          sessionId: state.sessionId
         })
       });
 
       if (!response.ok) {
+        if (response.status === 401 && account) {
+          forgetAccount(account.id);
+        }
         const errorPayload = await response.json().catch(() => ({}));
-        throw new Error(errorPayload.error || '送信に失敗しました。');
+        throw new Error(errorPayload.error || t('result.submitFailed'));
       }
 
       const data = await response.json();
       const totalQuestions = typeof data.total === 'number' ? data.total : state.questions.length;
-      const scoreText = `スコア: ${data.score} / ${totalQuestions}`;
-      const timeText = `タイム: ${totalTime.toFixed(2)}秒`;
+      const pointsText = data.scoring && data.scoring !== 'standard'
+        ? t('result.points', { points: data.points, rule: getScoringLabel(data.scoring) })
+        : '';
+      const scoreText = `${t('result.score', { score: data.score, total: totalQuestions })}${pointsText}`;
+      const totalTime = typeof data.totalTime === 'number' ? data.totalTime : (Date.now() - state.startTime) / 1000;
+      const timeText = t('result.time', { seconds: totalTime.toFixed(2) });
       elements.resultScore.textContent = scoreText;
       elements.resultTime.textContent = timeText;
-      renderLeaderboard(data.leaderboard || []);
+      elements.resultRating.textContent = data.rating
+        ? t('result.rating', { value: data.rating.value, change: `${data.rating.change >= 0 ? '+' : ''}${data.rating.change}` })
+        : '';
+      setLocaleLocked(false);
+      renderReview(data.review || []);
+      rememberMissedQuestions(data.review || []);
       elements.quiz.classList.add('hidden');
       elements.result.classList.remove('hidden');
+      elements.resultTournament.textContent = '';
+      elements.resultTeam.textContent = data.team ? formatTeamResult(data.team) : '';
+      if (data.tournament) {
+        elements.resultDaily.textContent = '';
+        elements.resultTournament.textContent = t('result.tournament', {
+          round: data.tournament.round,
+          rank: data.tournament.rank,
+          players: data.tournament.players
+        });
+        fetchTournamentStatus();
+        elements.tournament.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        return;
+      }
+      if (data.daily) {
+        elements.resultDaily.textContent = t('result.daily', {
+          rank: data.daily.rank,
+          players: data.daily.players,
+          streak: formatStreak(data.daily.streak)
+        });
+        state.dailyDate = data.daily.date;
+        renderLeaderboard(data.daily.leaderboard || [], elements.dailyLeaderboardBody);
+        fetchDailyStatus();
+        elements.daily.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        return;
+      }
+      elements.resultDaily.textContent = '';
+      // The submit response only carries the top of the player board, so the board is fetched fresh
+      // to bring the player's own rank, the page and the current view along.
+      state.activeBoard = data.board;
+      state.leaderboardOffset = 0;
+      fetchLeaderboard();
       elements.leaderboard.scrollIntoView({ behavior: 'smooth', block: 'start' });
     } catch (error) {
       console.error(error);
-      elements.resultScore.textContent = '送信に失敗しました。再度お試しください。';
+      elements.resultScore.textContent = t('result.submitFailedRetry');
       elements.resultTime.textContent = '';
+      elements.resultRating.textContent = '';
+      elements.resultDaily.textContent = '';
+      elements.resultTournament.textContent = '';
+      elements.resultTeam.textContent = '';
+      renderReview([]);
       elements.result.classList.remove('hidden');
     }
   }
 
-  function resetQuizState() {
-    prepareNewQuiz();
+  async function resetQuizState() {
     stopTimer();
+    stopCountdown();
     state.startTime = null;
     elements.timer.textContent = '00:00';
     elements.result.classList.add('hidden');
     elements.quiz.classList.remove('hidden');
+    const loaded = await fetchQuestions();
+    if (loaded) {
+      startTimer();
+      setLocaleLocked(true);
+    }
+  }
+
+  async function startQuiz({ daily = false, tournament = false, show = false }) {
+    const name = elements.nameInput.value.trim();
+    if (!name) {
+      elements.nameInput.focus();
+      return;
+    }
+    if (state.isFetchingQuestions) {
+      return;
+    }
+    setPlayerMessage('');
+    let account;
+    try {
+      account = await ensurePlayerAccount(name);
+    } catch (error) {
+      console.error(error);
+      setPlayerMessage(t('player.registerNetworkError'));
+      return;
+    }
+    if (!account) {
+      elements.nameInput.focus();
+      return;
+    }
+    state.isDaily = daily;
+    state.isTournament = tournament;
+    state.isShow = show;
+    rememberTeam(elements.teamInput.value.trim());
+    const loaded = await fetchQuestions();
+    if (!loaded) {
+      state.isShow = false;
+      return;
+    }
+    elements.quizActions.classList.toggle('hidden', show);
+    elements.intro.classList.add('hidden');
+    elements.quiz.classList.remove('hidden');
     startTimer();
+    setLocaleLocked(true);
+    if (show) {
+      if (!state.questions.length) {
+        elements.questionText.textContent = t('show.waitingForHost');
+      }
+      // The host may have moved on while the session was being created.
+      if (state.showSnapshot) {
+        applyShowState(state.showSnapshot);
+      }
+    }
   }
 
   function setupEventListeners() {
     elements.form.addEventListener('submit', (event) => {
       event.preventDefault();
-      const name = elements.nameInput.value.trim();
-      if (!name) {
-        elements.nameInput.focus();
-        return;
-      }
-      if (state.isFetchingQuestions || !state.originalQuestions.length) {
-        return;
-      }
-      prepareNewQuiz();
-      elements.intro.classList.add('hidden');
-      elements.quiz.classList.remove('hidden');
-      startTimer();
+      startQuiz({ daily: false });
     });
 
-    elements.nextButton.addEventListener('click', () => {
-      if (state.currentIndex === state.questions.length - 1) {
+    elements.dailyButton.addEventListener('click', () => startQuiz({ daily: true }));
+    elements.tournamentRegisterButton.addEventListener('click', registerForTournament);
+    elements.tournamentPlayButton.addEventListener('click', () => startQuiz({ tournament: true }));
+    elements.showJoinButton.addEventListener('click', () => startQuiz({ show: true }));
+    elements.nameInput.addEventListener('change', fetchTournamentStatus);
+    elements.dailyArchive.addEventListener('change', (event) => fetchDailyLeaderboard(event.target.value));
+
+    elements.nextButton.addEventListener('click', async () => {
+      if (state.currentIndex === getTotalQuestions() - 1) {
         submitAnswers();
         return;
       }
+      if (state.currentIndex === state.questions.length - 1 && !(await openNextQuestion())) {
+        return;
+      }
       state.currentIndex += 1;
       renderQuestion();
     });
@@ -432,24 +2286,115 @@
     });
 
     elements.retryButton.addEventListener('click', () => {
+      state.isDaily = false;
+      state.isTournament = false;
+      state.isShow = false;
+      elements.quizActions.classList.remove('hidden');
       elements.result.classList.add('hidden');
       elements.quiz.classList.remove('hidden');
       resetQuizState();
     });
 
+    elements.recoverButton.addEventListener('click', recoverPlayerAccount);
+
+    elements.practiceButton.addEventListener('click', startPractice);
+    elements.practiceNextButton.addEventListener('click', () => {
+      if (state.practice.currentIndex === state.practice.questions.length - 1) {
+        finishPractice();
+        return;
+      }
+      state.practice.currentIndex += 1;
+      renderPracticeQuestion();
+    });
+    elements.practiceCloseButton.addEventListener('click', () => {
+      elements.practice.classList.add('hidden');
+    });
+
+    elements.statsButton.addEventListener('click', showPlayerStats);
+    elements.resultStatsButton.addEventListener('click', showPlayerStats);
+    elements.statsCloseButton.addEventListener('click', () => {
+      elements.stats.classList.add('hidden');
+    });
+
     elements.refreshButton.addEventListener('click', () => {
       fetchLeaderboard();
     });
 
+    window.addEventListener('pagehide', disconnectLeaderboardStream);
+    window.addEventListener('pageshow', (event) => {
+      // A page restored from the back/forward cache has to open the stream again.
+      if (event.persisted) {
+        fetchLeaderboard();
+        connectLeaderboardStream();
+      }
+    });
+
+    elements.leaderboardPeriods.addEventListener('click', (event) => {
+      const tab = event.target.closest('[data-period]');
+      if (tab && tab.dataset.period !== state.leaderboardPeriod) {
+        setLeaderboardPeriod(tab.dataset.period);
+      }
+    });
+    elements.leaderboardSearch.addEventListener('input', () => {
+      window.clearTimeout(state.leaderboardSearchTimer);
+      state.leaderboardSearchTimer = window.setTimeout(() => {
+        state.leaderboardSearch = elements.leaderboardSearch.value.trim();
+        changeLeaderboardPage(0);
+      }, LEADERBOARD_SEARCH_DELAY_MS);
+    });
+    elements.leaderboardPrevButton.addEventListener('click', () => {
+      changeLeaderboardPage(state.leaderboardOffset - LEADERBOARD_PAGE_SIZE);
+    });
+    elements.leaderboardNextButton.addEventListener('click', () => {
+      changeLeaderboardPage(state.leaderboardOffset + LEADERBOARD_PAGE_SIZE);
+    });
+    elements.leaderboardMeButton.addEventListener('click', jumpToOwnRank);
+
+    elements.leaderboardViews.addEventListener('click', (event) => {
+      const tab = event.target.closest('[data-view]');
+      if (tab && tab.dataset.view !== state.leaderboardView) {
+        setLeaderboardView(tab.dataset.view);
+      }
+    });
+
     if (elements.questionCountSelect) {
-      elements.questionCountSelect.addEventListener('change', async (event) => {
+      elements.questionCountSelect.addEventListener('change', (event) => {
         const value = Number(event.target.value);
         if (Number.isFinite(value) && value > 0) {
           state.selectedQuestionCount = value;
-          await fetchQuestions(value);
         }
       });
     }
+
+    if (elements.categorySelect) {
+      elements.categorySelect.addEventListener('change', (event) => {
+        state.selectedCategory = event.target.value;
+      });
+    }
+
+    if (elements.difficultySelect) {
+      elements.difficultySelect.addEventListener('change', (event) => {
+        state.selectedDifficulty = event.target.value;
+      });
+    }
+
+    if (elements.modeSelect) {
+      elements.modeSelect.addEventListener('change', (event) => {
+        state.selectedMode = event.target.value;
+      });
+    }
+
+    if (elements.timeLimitSelect) {
+      elements.timeLimitSelect.addEventListener('change', (event) => {
+        state.selectedTimeLimit = event.target.value;
+      });
+    }
+
+    if (elements.scoringSelect) {
+      elements.scoringSelect.addEventListener('change', (event) => {
+        state.selectedScoring = event.target.value;
+      });
+    }
   }
 
   function renderQrCode() {
@@ -466,10 +2411,17 @@
   }
 
   async function init() {
+    await window.QuizI18n.ready;
     setupEventListeners();
+    restoreLastPlayer();
+    restoreLastTeam();
     renderQrCode();
-    await fetchQuestions(DEFAULT_QUESTION_COUNT);
+    await fetchCategories();
     await fetchLeaderboard();
+    connectLeaderboardStream();
+    await fetchDailyStatus();
+    await fetchTournamentStatus();
+    await connectShow();
   }
 
   document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,144 @@
+// Loads the message catalog for the player's language and fills in the elements marked with data-i18n.
+// app.js and room.js wait for QuizI18n.ready before rendering anything of their own.
+window.QuizI18n = (() => {
+  const DEFAULT_LOCALE = 'ja';
+  const LOCALE_COOKIE = 'locale';
+  const LOCALE_COOKIE_MAX_AGE = 60 * 60 * 24 * 365;
+  const LOCALES = {
+    ja: { label: '日本語', tag: 'ja-JP' },
+    en: { label: 'English', tag: 'en-US' }
+  };
+
+  let locale = DEFAULT_LOCALE;
+  let messages = {};
+  let fallbackMessages = {};
+
+  function toSupportedLocale(tag) {
+    const language = String(tag || '').toLowerCase().split('-')[0];
+    return Object.prototype.hasOwnProperty.call(LOCALES, language) ? language : null;
+  }
+
+  function readCookie(name) {
+    const pair = document.cookie
+      .split(';')
+      .map(part => part.trim().split('='))
+      .find(([key]) => key === name);
+    return pair ? decodeURIComponent(pair.slice(1).join('=')) : null;
+  }
+
+  // The cookie is shared with the server, so API errors come back in the same language as the page.
+  function detectLocale() {
+    const candidates = [readCookie(LOCALE_COOKIE), ...(navigator.languages || [navigator.language])];
+    return candidates.map(toSupportedLocale).find(Boolean) || DEFAULT_LOCALE;
+  }
+
+  function lookup(catalog, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+  }
+
+  function has(key) {
+    return typeof lookup(messages, key) === 'string' || typeof lookup(fallbackMessages, key) === 'string';
+  }
+
+  function t(key, params = {}) {
+    const message = [messages, fallbackMessages]
+      .map(catalog => lookup(catalog, key))
+      .find(value => typeof value === 'string');
+    if (message === undefined) {
+      return key;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+  }
+
+  function getParams(element) {
+    try {
+      return element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // The Japanese text stays in the HTML, so a missing key or a failed catalog load leaves it as it was.
+  function apply(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach((element) => {
+      if (has(element.dataset.i18n)) {
+        element.textContent = t(element.dataset.i18n, getParams(element));
+      }
+    });
+    [['data-i18n-placeholder', 'placeholder'], ['data-i18n-aria-label', 'aria-label']].forEach(([source, attribute]) => {
+      root.querySelectorAll(`[${source}]`).forEach((element) => {
+        const key = element.getAttribute(source);
+        if (has(key)) {
+          element.setAttribute(attribute, t(key));
+        }
+      });
+    });
+    document.documentElement.lang = locale;
+  }
+
+  async function loadCatalog(id) {
+    const response = await fetch(`locales/${id}.json`);
+    if (!response.ok) {
+      throw new Error(`Failed to load the ${id} message catalog.`);
+    }
+    return response.json();
+  }
+
+  // Server-rendered data such as category labels is already in the old language, so switching reloads the page.
+  function setLocale(id) {
+    const next = toSupportedLocale(id);
+    if (!next || next === locale) {
+      return;
+    }
+    document.cookie = `${LOCALE_COOKIE}=${next}; path=/; max-age=${LOCALE_COOKIE_MAX_AGE}; SameSite=Lax`;
+    window.location.reload();
+  }
+
+  function setupSwitcher() {
+    const select = document.getElementById('locale-select');
+    if (!select) {
+      return;
+    }
+    select.innerHTML = '';
+    Object.entries(LOCALES).forEach(([id, { label }]) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = locale;
+    select.addEventListener('change', event => setLocale(event.target.value));
+  }
+
+  function formatDateTime(value, options) {
+    return new Date(value).toLocaleString(LOCALES[locale].tag, options);
+  }
+
+  // Picks the translated field of a question the server sent with all its translations, as buzzer rooms do.
+  function pickTranslation(translations, field, fallback) {
+    const translation = translations && translations[locale];
+    return translation && translation[field] !== undefined ? translation[field] : fallback;
+  }
+
+  const ready = (async () => {
+    locale = detectLocale();
+    try {
+      fallbackMessages = await loadCatalog(DEFAULT_LOCALE);
+      messages = locale === DEFAULT_LOCALE ? fallbackMessages : await loadCatalog(locale);
+    } catch (error) {
+      console.error(error);
+    }
+    apply();
+    setupSwitcher();
+  })();
+
+  return {
+    ready,
+    t,
+    apply,
+    setLocale,
+    getLocale: () => locale,
+    formatDateTime,
+    pickTranslation
+  };
+})();
@@ -0,0 +1,409 @@
+(() => {
+  const { t } = window.QuizI18n;
+  const HOST_STORAGE_PREFIX = 'quizShowHost:';
+  const STANDINGS_SIZE = 10;
+
+  const state = {
+    code: new URLSearchParams(window.location.search).get('code'),
+    hostToken: null,
+    snapshot: null,
+    eventSource: null,
+    isSending: false
+  };
+
+  const elements = {
+    setup: document.getElementById('presenter-setup'),
+    form: document.getElementById('presenter-form'),
+    countSelect: document.getElementById('presenter-count'),
+    categorySelect: document.getElementById('presenter-category'),
+    difficultySelect: document.getElementById('presenter-difficulty'),
+    createButton: document.getElementById('presenter-create-btn'),
+    setupMessage: document.getElementById('presenter-setup-message'),
+    stage: document.getElementById('presenter-stage'),
+    qrCanvas: document.getElementById('presenter-qr'),
+    joinUrl: document.getElementById('presenter-join-url'),
+    code: document.getElementById('presenter-code'),
+    status: document.getElementById('presenter-status'),
+    questionCard: document.getElementById('presenter-question-card'),
+    questionNumber: document.getElementById('presenter-question-number'),
+    answered: document.getElementById('presenter-answered'),
+    question: document.getElementById('presenter-question'),
+    questionMedia: document.getElementById('presenter-question-media'),
+    choices: document.getElementById('presenter-choices'),
+    explanation: document.getElementById('presenter-explanation'),
+    standingsCard: document.getElementById('presenter-standings-card'),
+    standingsHeading: document.getElementById('presenter-standings-heading'),
+    standingsBody: document.getElementById('presenter-standings-body'),
+    stepButton: document.getElementById('presenter-step-btn'),
+    fullscreenButton: document.getElementById('presenter-fullscreen-btn'),
+    message: document.getElementById('presenter-message')
+  };
+
+  async function postJson(url, body) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || t('common.networkError'));
+    }
+    return data;
+  }
+
+  function appendFilterOptions(select, items) {
+    items.forEach((item) => {
+      const option = document.createElement('option');
+      option.value = item.id;
+      option.textContent = t('setup.filterOption', { label: item.label, count: item.count });
+      option.disabled = item.count === 0;
+      select.appendChild(option);
+    });
+  }
+
+  async function loadCategories() {
+    try {
+      const response = await fetch('/api/categories');
+      if (!response.ok) {
+        return;
+      }
+      const data = await response.json();
+      appendFilterOptions(elements.categorySelect, data.categories || []);
+      appendFilterOptions(elements.difficultySelect, data.difficulties || []);
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  function getJoinUrl(code) {
+    return new URL(`/?show=${encodeURIComponent(code)}`, window.location.origin).toString();
+  }
+
+  function renderJoinQrCode(code) {
+    if (typeof QRCode === 'undefined') {
+      return;
+    }
+    QRCode.toCanvas(elements.qrCanvas, getJoinUrl(code), { width: 180, margin: 1, color: { dark: '#0f172a', light: '#ffffff' } }, (error) => {
+      if (error) {
+        console.error('QRコードの生成に失敗しました:', error);
+      }
+    });
+  }
+
+  function createMediaElement(attachment) {
+    if (attachment.kind === 'audio') {
+      const audio = document.createElement('audio');
+      audio.controls = true;
+      audio.preload = 'auto';
+      audio.src = attachment.url;
+      if (attachment.alt) {
+        audio.setAttribute('aria-label', attachment.alt);
+      }
+      return audio;
+    }
+    const image = document.createElement('img');
+    image.src = attachment.url;
+    image.alt = attachment.alt || '';
+    return image;
+  }
+
+  // Snapshots arrive whenever someone joins, so the media is only rebuilt when the question changes and audio keeps playing.
+  function renderQuestionMedia(snapshot) {
+    const question = snapshot.question;
+    const key = question ? `${snapshot.questionNumber}:${question.id}` : '';
+    if (elements.questionMedia.dataset.key === key) {
+      return;
+    }
+    elements.questionMedia.dataset.key = key;
+    elements.questionMedia.innerHTML = '';
+    (question ? question.media || [] : []).forEach(attachment => elements.questionMedia.appendChild(createMediaElement(attachment)));
+    elements.questionMedia.classList.toggle('hidden', !elements.questionMedia.childElementCount);
+  }
+
+  // The bars show how the audience's answers split; the correct choice is only marked once it has been revealed.
+  function renderChoices(snapshot) {
+    elements.choices.innerHTML = '';
+    if (!snapshot.question) {
+      return;
+    }
+    const counts = snapshot.counts || [];
+    const correctIndex = snapshot.reveal ? snapshot.reveal.correctIndex : null;
+    snapshot.question.choices.forEach((choiceText, index) => {
+      const count = counts[index] || 0;
+      const percent = snapshot.answered ? Math.round((count / snapshot.answered) * 100) : 0;
+      const isCorrect = index === correctIndex;
+      const item = document.createElement('li');
+      item.className = isCorrect ? 'choice-stat correct' : 'choice-stat';
+
+      const label = document.createElement('span');
+      label.className = 'choice-stat-label';
+      label.textContent = `${isCorrect ? '✓ ' : ''}${choiceText}`;
+
+      const bar = document.createElement('span');
+      bar.className = 'choice-stat-bar';
+      const fill = document.createElement('span');
+      fill.style.width = `${percent}%`;
+      bar.appendChild(fill);
+
+      const countLabel = document.createElement('span');
+      countLabel.className = 'choice-stat-count';
+      countLabel.textContent = t('presenter.choiceCount', { count, percent });
+
+      item.appendChild(label);
+      item.appendChild(bar);
+      item.appendChild(countLabel);
+      elements.choices.appendChild(item);
+    });
+  }
+
+  function renderStandings(standings) {
+    elements.standingsBody.innerHTML = '';
+    if (!standings.length) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 4;
+      cell.className = 'muted';
+      cell.textContent = t('presenter.noAudience');
+      row.appendChild(cell);
+      elements.standingsBody.appendChild(row);
+      return;
+    }
+
+    standings.slice(0, STANDINGS_SIZE).forEach((entry) => {
+      const row = document.createElement('tr');
+      const rankCell = document.createElement('td');
+      const badge = document.createElement('span');
+      badge.className = entry.rank <= 3 ? `rank-badge rank-${entry.rank}` : 'rank-badge';
+      badge.textContent = entry.rank;
+      rankCell.appendChild(badge);
+      row.appendChild(rankCell);
+      [entry.name, String(entry.score), t('common.seconds', { count: entry.time.toFixed(1) })].forEach((text) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      elements.standingsBody.appendChild(row);
+    });
+  }
+
+  // Space and the right arrow walk through each question: open it, reveal the answer, then show the ranking.
+  function getStepAction(snapshot) {
+    switch (snapshot.phase) {
+      case 'lobby':
+      case 'leaderboard':
+        return 'next';
+      case 'question':
+        return 'reveal';
+      case 'reveal':
+        return 'standings';
+      default:
+        return null;
+    }
+  }
+
+  function getStepLabel(snapshot, action) {
+    if (action === 'next' && snapshot.questionNumber >= snapshot.totalQuestions) {
+      return t('presenter.step.finish');
+    }
+    return t(`presenter.step.${action}`);
+  }
+
+  function render() {
+    const snapshot = state.snapshot;
+    if (!snapshot) {
+      return;
+    }
+
+    elements.status.textContent = [
+      t(`show.phase.${snapshot.phase}`, { number: snapshot.questionNumber, total: snapshot.totalQuestions }),
+      t('common.people', { count: snapshot.audience })
+    ].join(t('common.separator'));
+
+    const isBetweenQuestions = snapshot.phase === 'leaderboard' || snapshot.phase === 'finished';
+    elements.questionCard.classList.toggle('hidden', isBetweenQuestions);
+    elements.standingsCard.classList.toggle('hidden', !isBetweenQuestions);
+
+    if (snapshot.phase === 'lobby') {
+      elements.questionNumber.textContent = t('presenter.lobbyHeading');
+      elements.question.textContent = t('presenter.lobby', { total: snapshot.totalQuestions });
+    } else if (snapshot.question) {
+      elements.questionNumber.textContent = t('presenter.questionNumber', {
+        number: snapshot.questionNumber,
+        total: snapshot.totalQuestions
+      });
+      elements.question.textContent = snapshot.question.question;
+    }
+    elements.answered.textContent = snapshot.question
+      ? t('presenter.answered', { count: snapshot.answered, audience: snapshot.audience })
+      : '';
+    renderQuestionMedia(snapshot);
+    renderChoices(snapshot);
+
+    const explanation = snapshot.reveal && snapshot.reveal.explanation;
+    elements.explanation.textContent = explanation || '';
+    elements.explanation.classList.toggle('hidden', !explanation);
+
+    if (isBetweenQuestions) {
+      elements.standingsHeading.textContent = snapshot.phase === 'finished' ? t('presenter.finalStandings') : t('presenter.standings');
+      renderStandings(snapshot.standings || []);
+    }
+
+    const action = getStepAction(snapshot);
+    elements.stepButton.classList.toggle('hidden', !action);
+    elements.stepButton.textContent = action ? getStepLabel(snapshot, action) : '';
+  }
+
+  function applyTally(tally) {
+    if (!state.snapshot || state.snapshot.questionNumber !== tally.questionNumber || !state.snapshot.question) {
+      return;
+    }
+    state.snapshot = { ...state.snapshot, counts: tally.counts, answered: tally.answered };
+    render();
+  }
+
+  function connect(code) {
+    if (state.eventSource) {
+      state.eventSource.close();
+    }
+    const source = new EventSource(`/api/shows/${encodeURIComponent(code)}/events`);
+    source.addEventListener('state', (event) => {
+      state.snapshot = JSON.parse(event.data);
+      render();
+    });
+    source.addEventListener('tally', (event) => {
+      applyTally(JSON.parse(event.data));
+    });
+    source.addEventListener('error', () => {
+      elements.status.textContent = t('presenter.reconnecting');
+    });
+    state.eventSource = source;
+  }
+
+  function openStage(code, snapshot) {
+    state.code = code;
+    state.snapshot = snapshot;
+    elements.code.textContent = code;
+    elements.joinUrl.textContent = getJoinUrl(code);
+    renderJoinQrCode(code);
+    elements.setup.classList.add('hidden');
+    elements.stage.classList.remove('hidden');
+    render();
+    connect(code);
+  }
+
+  async function sendAction(action) {
+    if (!action || state.isSending) {
+      return;
+    }
+    state.isSending = true;
+    elements.message.textContent = '';
+    try {
+      const data = await postJson(`/api/shows/${encodeURIComponent(state.code)}/${action}`, { hostToken: state.hostToken });
+      state.snapshot = data.show;
+      render();
+    } catch (error) {
+      console.error(error);
+      elements.message.textContent = error.message;
+    } finally {
+      state.isSending = false;
+    }
+  }
+
+  async function createShow(event) {
+    event.preventDefault();
+    elements.createButton.disabled = true;
+    elements.setupMessage.textContent = '';
+    try {
+      const data = await postJson('/api/shows', {
+        limit: Number(elements.countSelect.value),
+        category: elements.categorySelect.value,
+        difficulty: elements.difficultySelect.value
+      });
+      state.hostToken = data.hostToken;
+      // Kept for this tab only, so reloading the presenter page doesn't lose control of the show.
+      sessionStorage.setItem(`${HOST_STORAGE_PREFIX}${data.code}`, data.hostToken);
+      window.history.replaceState(null, '', `?code=${encodeURIComponent(data.code)}`);
+      openStage(data.code, data.show);
+    } catch (error) {
+      console.error(error);
+      elements.setupMessage.textContent = error.message;
+    } finally {
+      elements.createButton.disabled = false;
+    }
+  }
+
+  async function resumeShow(code, hostToken) {
+    try {
+      const response = await fetch(`/api/shows/${encodeURIComponent(code)}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || t('show.loadFailed'));
+      }
+      state.hostToken = hostToken;
+      openStage(data.show.code, data.show);
+      return true;
+    } catch (error) {
+      console.error(error);
+      elements.setupMessage.textContent = error.message;
+      return false;
+    }
+  }
+
+  function toggleFullscreen() {
+    if (document.fullscreenElement) {
+      document.exitFullscreen();
+    } else if (document.documentElement.requestFullscreen) {
+      document.documentElement.requestFullscreen();
+    }
+  }
+
+  const keyActions = {
+    n: () => sendAction('next'),
+    r: () => sendAction('reveal'),
+    l: () => sendAction('standings'),
+    f: toggleFullscreen
+  };
+
+  function handleKeydown(event) {
+    if (elements.stage.classList.contains('hidden') || event.altKey || event.ctrlKey || event.metaKey) {
+      return;
+    }
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) {
+      return;
+    }
+    // A focused button already clicks itself on the space bar.
+    if ((event.key === ' ' && event.target.tagName !== 'BUTTON') || event.key === 'ArrowRight') {
+      event.preventDefault();
+      sendAction(state.snapshot && getStepAction(state.snapshot));
+      return;
+    }
+    const action = keyActions[event.key.toLowerCase()];
+    if (action) {
+      event.preventDefault();
+      action();
+    }
+  }
+
+  function setupEventListeners() {
+    elements.form.addEventListener('submit', createShow);
+    elements.stepButton.addEventListener('click', () => sendAction(state.snapshot && getStepAction(state.snapshot)));
+    elements.fullscreenButton.addEventListener('click', toggleFullscreen);
+    document.addEventListener('keydown', handleKeydown);
+  }
+
+  async function init() {
+    await window.QuizI18n.ready;
+    setupEventListeners();
+    const hostToken = state.code ? sessionStorage.getItem(`${HOST_STORAGE_PREFIX}${state.code.toUpperCase()}`) : null;
+    if (hostToken && await resumeShow(state.code, hostToken)) {
+      return;
+    }
+    elements.setup.classList.remove('hidden');
+    await loadCategories();
+  }
+
+  document.addEventListener('DOMContentLoaded', init);
+})();
@@ -0,0 +1,411 @@
+(() => {
+  const { t, pickTranslation } = window.QuizI18n;
+
+  const state = {
+    code: null,
+    hostToken: null,
+    playerId: null,
+    token: null,
+    snapshot: null,
+    clockOffset: 0,
+    eventSource: null,
+    tickInterval: null,
+    buzzedQuestion: null,
+    lastBuzzMessage: ''
+  };
+
+  const elements = {
+    setup: document.getElementById('room-setup'),
+    play: document.getElementById('room-play'),
+    createButton: document.getElementById('create-room-btn'),
+    joinForm: document.getElementById('room-join-form'),
+    codeInput: document.getElementById('room-code'),
+    setupMessage: document.getElementById('room-setup-message'),
+    codeLabel: document.getElementById('room-code-label'),
+    status: document.getElementById('room-status'),
+    questionText: document.getElementById('room-question'),
+    questionMedia: document.getElementById('room-question-media'),
+    choices: document.getElementById('room-choices'),
+    feedback: document.getElementById('room-feedback'),
+    nextButton: document.getElementById('room-next-btn'),
+    scoreboard: document.getElementById('room-scoreboard'),
+    nameInput: document.getElementById('player-name'),
+    questionCountSelect: document.getElementById('question-count'),
+    categorySelect: document.getElementById('question-category'),
+    difficultySelect: document.getElementById('question-difficulty')
+  };
+
+  function serverNow() {
+    return Date.now() + state.clockOffset;
+  }
+
+  async function postJson(url, body) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || t('common.networkError'));
+    }
+    return data;
+  }
+
+  function showSetupMessage(message) {
+    elements.setupMessage.textContent = message;
+  }
+
+  function renderJoinQrCode(code) {
+    const canvas = document.getElementById('qrCanvas');
+    if (!canvas || typeof QRCode === 'undefined') {
+      return;
+    }
+    const joinUrl = new URL(`/?room=${encodeURIComponent(code)}`, window.location.origin).toString();
+    QRCode.toCanvas(canvas, joinUrl, { width: 120, margin: 1, color: { dark: '#0f172a', light: '#ffffff' } }, (error) => {
+      if (error) {
+        console.error('QRコードの生成に失敗しました:', error);
+      }
+    });
+  }
+
+  function renderScoreboard(scoreboard) {
+    elements.scoreboard.innerHTML = '';
+
+    if (!scoreboard.length) {
+      const item = document.createElement('li');
+      item.className = 'muted';
+      item.textContent = t('room.noPlayers');
+      elements.scoreboard.appendChild(item);
+      return;
+    }
+
+    scoreboard.forEach((player) => {
+      const item = document.createElement('li');
+      if (player.id === state.playerId) {
+        item.classList.add('is-self');
+      }
+      const name = document.createElement('span');
+      name.textContent = player.name;
+      const score = document.createElement('span');
+      score.textContent = `${player.score}pt`;
+      item.appendChild(name);
+      item.appendChild(score);
+      elements.scoreboard.appendChild(item);
+    });
+  }
+
+  function createMediaElement(attachment) {
+    if (attachment.kind === 'audio') {
+      const audio = document.createElement('audio');
+      audio.controls = true;
+      audio.preload = 'auto';
+      audio.src = attachment.url;
+      if (attachment.alt) {
+        audio.setAttribute('aria-label', attachment.alt);
+      }
+      return audio;
+    }
+    const image = document.createElement('img');
+    image.src = attachment.url;
+    image.alt = attachment.alt || '';
+    return image;
+  }
+
+  // Snapshots arrive on every buzz, so the media is only rebuilt when the question changes and audio keeps playing.
+  function renderQuestionMedia(snapshot) {
+    const question = snapshot.question;
+    const key = question ? `${snapshot.questionNumber}:${question.id}` : '';
+    if (elements.questionMedia.dataset.questionKey === key) {
+      return;
+    }
+    elements.questionMedia.dataset.questionKey = key;
+    elements.questionMedia.innerHTML = '';
+    (question ? question.media : []).forEach((attachment) => {
+      elements.questionMedia.appendChild(createMediaElement(attachment));
+    });
+    elements.questionMedia.classList.toggle('hidden', !elements.questionMedia.childElementCount);
+  }
+
+  function renderChoices(snapshot, isOpen) {
+    elements.choices.innerHTML = '';
+    const canBuzz = isOpen && Boolean(state.playerId) && state.buzzedQuestion !== snapshot.questionNumber;
+
+    const choices = pickTranslation(snapshot.question.translations, 'choices', snapshot.question.choices);
+    choices.forEach((choiceText, index) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'choice';
+      button.disabled = !canBuzz;
+
+      // Choice audio would restart on every snapshot, so only choice images are shown in rooms.
+      const attachment = snapshot.question.choiceMedia ? snapshot.question.choiceMedia[index] : null;
+      if (attachment && attachment.kind === 'image') {
+        const label = document.createElement('span');
+        label.textContent = choiceText;
+        button.classList.add('choice-with-image');
+        button.appendChild(createMediaElement(attachment));
+        button.appendChild(label);
+      } else {
+        button.textContent = choiceText;
+      }
+
+      if (snapshot.reveal && snapshot.reveal.correctIndex === index) {
+        button.classList.add('correct-choice');
+      }
+
+      button.addEventListener('click', () => {
+        handleBuzz(index);
+      });
+
+      elements.choices.appendChild(button);
+    });
+  }
+
+  function renderStatus(snapshot) {
+    const counter = snapshot.totalQuestions ? `${Math.max(snapshot.questionNumber, 0)} / ${snapshot.totalQuestions}` : '';
+
+    if (snapshot.phase === 'question') {
+      const now = serverNow();
+      if (now < snapshot.startsAt) {
+        elements.status.textContent = t('room.startingSoon', { counter });
+      } else {
+        const remaining = Math.max(0, Math.ceil((snapshot.deadline - now) / 1000));
+        elements.status.textContent = t('room.remaining', { counter, count: remaining });
+      }
+      return;
+    }
+
+    if (snapshot.phase === 'finished') {
+      elements.status.textContent = t('room.finished');
+      return;
+    }
+
+    elements.status.textContent = snapshot.phase === 'lobby' ? t('room.waiting') : counter;
+  }
+
+  function render() {
+    const snapshot = state.snapshot;
+    if (!snapshot) {
+      return;
+    }
+
+    elements.codeLabel.textContent = t('room.code', { code: snapshot.code });
+    renderStatus(snapshot);
+    renderScoreboard(snapshot.scoreboard || []);
+
+    const isHost = Boolean(state.hostToken);
+    elements.nextButton.classList.toggle('hidden', !isHost || snapshot.phase === 'finished');
+    elements.nextButton.disabled = snapshot.phase === 'question';
+    elements.nextButton.textContent = snapshot.phase === 'lobby' ? t('room.start') : t('common.next');
+
+    if (snapshot.phase === 'lobby') {
+      elements.questionText.textContent = isHost
+        ? t('room.hostHint')
+        : t('room.playerHint');
+      elements.choices.innerHTML = '';
+      elements.feedback.textContent = '';
+      renderQuestionMedia({ question: null });
+      return;
+    }
+
+    if (snapshot.phase === 'finished') {
+      const [top] = snapshot.scoreboard || [];
+      elements.questionText.textContent = top ? t('room.winner', { name: top.name, score: top.score }) : t('room.gameOver');
+      elements.choices.innerHTML = '';
+      elements.feedback.textContent = '';
+      renderQuestionMedia({ question: null });
+      return;
+    }
+
+    const isWaiting = snapshot.phase === 'question' && serverNow() < snapshot.startsAt;
+    if (isWaiting) {
+      elements.questionText.textContent = t('room.questionNumber', { number: snapshot.questionNumber });
+      elements.choices.innerHTML = '';
+      renderQuestionMedia({ question: null });
+      return;
+    }
+
+    elements.questionText.textContent = snapshot.question
+      ? pickTranslation(snapshot.question.translations, 'question', snapshot.question.question)
+      : '';
+    renderQuestionMedia(snapshot);
+    if (snapshot.question) {
+      renderChoices(snapshot, snapshot.phase === 'question');
+    }
+
+    if (snapshot.reveal) {
+      const winner = snapshot.reveal.winner;
+      elements.feedback.className = winner ? 'feedback correct' : 'feedback incorrect';
+      elements.feedback.textContent = winner ? t('room.correctBy', { name: winner.name }) : t('room.noWinner');
+      const explanationText = pickTranslation(snapshot.reveal.translations, 'explanation', snapshot.reveal.explanation);
+      if (explanationText) {
+        const explanation = document.createElement('p');
+        explanation.className = 'explanation';
+        explanation.textContent = explanationText;
+        elements.feedback.appendChild(explanation);
+      }
+    } else {
+      elements.feedback.className = 'feedback';
+      elements.feedback.textContent = state.lastBuzzMessage;
+    }
+  }
+
+  function startTicking() {
+    if (state.tickInterval) {
+      return;
+    }
+    state.tickInterval = setInterval(() => {
+      if (state.snapshot && state.snapshot.phase === 'question') {
+        const wasWaiting = elements.choices.childElementCount === 0;
+        if (wasWaiting && serverNow() >= state.snapshot.startsAt) {
+          render();
+        } else {
+          renderStatus(state.snapshot);
+        }
+      }
+    }, 250);
+  }
+
+  function applySnapshot(snapshot) {
+    if (typeof snapshot.serverTime === 'number') {
+      state.clockOffset = snapshot.serverTime - Date.now();
+    }
+    if (!state.snapshot || state.snapshot.questionNumber !== snapshot.questionNumber) {
+      state.lastBuzzMessage = '';
+    }
+    state.snapshot = snapshot;
+    render();
+  }
+
+  function connect(code) {
+    if (state.eventSource) {
+      state.eventSource.close();
+    }
+
+    state.code = code;
+    elements.setup.classList.add('hidden');
+    elements.play.classList.remove('hidden');
+    startTicking();
+
+    const source = new EventSource(`/api/rooms/${encodeURIComponent(code)}/events`);
+    source.addEventListener('state', (event) => {
+      applySnapshot(JSON.parse(event.data));
+    });
+    source.addEventListener('buzz', (event) => {
+      const data = JSON.parse(event.data);
+      if (!data.correct) {
+        state.lastBuzzMessage = t('room.wrongBy', { name: data.name });
+        render();
+      }
+    });
+    source.addEventListener('error', () => {
+      elements.status.textContent = t('room.reconnecting');
+    });
+    state.eventSource = source;
+  }
+
+  async function handleCreateRoom() {
+    elements.createButton.disabled = true;
+    try {
+      const limit = elements.questionCountSelect ? Number(elements.questionCountSelect.value) : undefined;
+      const data = await postJson('/api/rooms', {
+        limit,
+        category: elements.categorySelect ? elements.categorySelect.value : '',
+        difficulty: elements.difficultySelect ? elements.difficultySelect.value : ''
+      });
+      state.hostToken = data.hostToken;
+      renderJoinQrCode(data.code);
+      connect(data.code);
+      applySnapshot(data.room);
+    } catch (error) {
+      console.error(error);
+      showSetupMessage(error.message);
+    } finally {
+      elements.createButton.disabled = false;
+    }
+  }
+
+  async function handleJoinRoom(event) {
+    event.preventDefault();
+    const code = elements.codeInput.value.trim().toUpperCase();
+    const name = elements.nameInput.value.trim();
+    if (!name) {
+      showSetupMessage(t('room.nameRequired'));
+      elements.nameInput.focus();
+      return;
+    }
+    if (!code) {
+      elements.codeInput.focus();
+      return;
+    }
+
+    try {
+      const data = await postJson(`/api/rooms/${encodeURIComponent(code)}/join`, { name });
+      state.playerId = data.playerId;
+      state.token = data.token;
+      connect(code);
+      applySnapshot(data.room);
+    } catch (error) {
+      console.error(error);
+      showSetupMessage(error.message);
+    }
+  }
+
+  async function handleNext() {
+    elements.nextButton.disabled = true;
+    try {
+      await postJson(`/api/rooms/${encodeURIComponent(state.code)}/next`, { hostToken: state.hostToken });
+    } catch (error) {
+      console.error(error);
+      elements.feedback.className = 'feedback incorrect';
+      elements.feedback.textContent = error.message;
+      elements.nextButton.disabled = false;
+    }
+  }
+
+  async function handleBuzz(choiceIndex) {
+    const snapshot = state.snapshot;
+    if (!snapshot || state.buzzedQuestion === snapshot.questionNumber) {
+      return;
+    }
+
+    state.buzzedQuestion = snapshot.questionNumber;
+    render();
+    try {
+      const data = await postJson(`/api/rooms/${encodeURIComponent(state.code)}/buzz`, {
+        playerId: state.playerId,
+        token: state.token,
+        choiceIndex
+      });
+      if (!data.correct) {
+        state.lastBuzzMessage = t('room.lockedOut');
+      }
+    } catch (error) {
+      console.error(error);
+      state.lastBuzzMessage = error.message;
+    }
+    render();
+  }
+
+  async function init() {
+    await window.QuizI18n.ready;
+    if (!elements.play) {
+      return;
+    }
+
+    elements.createButton.addEventListener('click', handleCreateRoom);
+    elements.joinForm.addEventListener('submit', handleJoinRoom);
+    elements.nextButton.addEventListener('click', handleNext);
+
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get('room');
+    if (code) {
+      elements.codeInput.value = code.toUpperCase();
+    }
+  }
+
+  document.addEventListener('DOMContentLoaded', init);
+})();
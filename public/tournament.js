@@ -0,0 +1,290 @@
+(() => {
+  const { t } = window.QuizI18n;
+  const ACCOUNTS_STORAGE_KEY = 'quizPlayerAccounts';
+  const REFRESH_INTERVAL_MS = 15000;
+
+  const state = {
+    tournamentId: new URLSearchParams(window.location.search).get('id'),
+    labels: { categories: new Map(), difficulties: new Map() },
+    refreshTimer: null
+  };
+
+  const elements = {
+    list: document.getElementById('tournament-list'),
+    listBody: document.getElementById('tournament-list-body'),
+    listLink: document.getElementById('tournament-list-link'),
+    overview: document.getElementById('tournament-overview'),
+    title: document.getElementById('tournament-title'),
+    joinLink: document.getElementById('tournament-join-link'),
+    summary: document.getElementById('tournament-summary'),
+    updated: document.getElementById('tournament-updated'),
+    placements: document.getElementById('tournament-placements'),
+    placementsBody: document.getElementById('tournament-placements-body'),
+    rounds: document.getElementById('tournament-rounds'),
+    players: document.getElementById('tournament-players'),
+    playersBody: document.getElementById('tournament-players-body'),
+    message: document.getElementById('tournament-message')
+  };
+
+  function getMyPlayerIds() {
+    try {
+      const accounts = JSON.parse(localStorage.getItem(ACCOUNTS_STORAGE_KEY));
+      return new Set(Array.isArray(accounts) ? accounts.map(account => account.id) : []);
+    } catch (error) {
+      return new Set();
+    }
+  }
+
+  function formatSeconds(value) {
+    return typeof value === 'number' ? t('common.seconds', { count: value.toFixed(2) }) : '-';
+  }
+
+  function formatScore(entry) {
+    if (typeof entry.score !== 'number') {
+      return '-';
+    }
+    return entry.points !== entry.score
+      ? t('tournament.pointsScore', { points: entry.points, score: entry.score })
+      : String(entry.score);
+  }
+
+  function createCell(text) {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    return cell;
+  }
+
+  function createRankCell(rank) {
+    const cell = document.createElement('td');
+    const badge = document.createElement('span');
+    badge.className = rank <= 3 ? `rank-badge rank-${rank}` : 'rank-badge';
+    badge.textContent = rank;
+    cell.appendChild(badge);
+    return cell;
+  }
+
+  function renderRows(body, rows, columns) {
+    body.innerHTML = '';
+    if (!rows.length) {
+      const row = document.createElement('tr');
+      const cell = createCell(t('tournament.noResults'));
+      cell.colSpan = columns;
+      cell.className = 'muted';
+      row.appendChild(cell);
+      body.appendChild(row);
+      return;
+    }
+    rows.forEach(row => body.appendChild(row));
+  }
+
+  async function loadLabels() {
+    try {
+      const response = await fetch('/api/categories');
+      if (!response.ok) {
+        return;
+      }
+      const data = await response.json();
+      state.labels.categories = new Map((data.categories || []).map(item => [item.id, item.label]));
+      state.labels.difficulties = new Map((data.difficulties || []).map(item => [item.id, item.label]));
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  function describeRound(round, isFinal) {
+    const parts = [
+      t('common.questions', { count: round.questionCount }),
+      round.category ? state.labels.categories.get(round.category) || round.category : t('common.all'),
+      round.difficulty ? state.labels.difficulties.get(round.difficulty) || round.difficulty : t('common.all')
+    ];
+    if (round.timeLimit) {
+      parts.push(t('tournament.timeLimit', { count: round.timeLimit }));
+    }
+    parts.push(t(`scoring.${round.scoring}`));
+    if (isFinal) {
+      parts.push(t('tournament.finalRound'));
+    } else if (round.advancement.type === 'top') {
+      parts.push(t('tournament.advanceTop', { count: round.advancement.count }));
+    } else {
+      parts.push(t('tournament.advanceThreshold', { points: round.advancement.points }));
+    }
+    return parts.join(t('common.separator'));
+  }
+
+  function renderRound(round, isFinal, myPlayerIds) {
+    const section = document.createElement('section');
+    section.className = 'card';
+
+    const header = document.createElement('div');
+    header.className = 'leaderboard-header';
+    const heading = document.createElement('h2');
+    heading.textContent = t('tournament.round', { number: round.number });
+    const status = document.createElement('span');
+    status.className = 'muted';
+    status.textContent = t(`tournament.roundStatus.${round.status}`);
+    header.appendChild(heading);
+    header.appendChild(status);
+    section.appendChild(header);
+
+    const details = document.createElement('p');
+    details.className = 'muted';
+    details.textContent = describeRound(round, isFinal);
+    section.appendChild(details);
+
+    if (round.status !== 'pending') {
+      const counts = document.createElement('p');
+      counts.className = 'muted';
+      counts.textContent = [
+        typeof round.eligible === 'number' ? t('tournament.eligible', { count: round.eligible }) : null,
+        t('tournament.started', { count: round.started }),
+        t('tournament.submitted', { count: round.results.length })
+      ].filter(Boolean).join(t('common.separator'));
+      section.appendChild(counts);
+    }
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'table-wrapper';
+    const table = document.createElement('table');
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    [t('table.rank'), t('table.player'), t('table.score'), t('table.time'), t('tournament.outcome')].forEach((label) => {
+      const cell = document.createElement('th');
+      cell.scope = 'col';
+      cell.textContent = label;
+      headRow.appendChild(cell);
+    });
+    head.appendChild(headRow);
+    const body = document.createElement('tbody');
+    table.appendChild(head);
+    table.appendChild(body);
+    wrapper.appendChild(table);
+    section.appendChild(wrapper);
+
+    renderRows(body, round.results.map((entry) => {
+      const row = document.createElement('tr');
+      if (myPlayerIds.has(entry.playerId)) {
+        row.classList.add('is-me');
+      }
+      let outcome = '';
+      if (entry.advanced !== null) {
+        outcome = entry.advanced ? t('tournament.advanced') : t('tournament.eliminated');
+      }
+      row.appendChild(createRankCell(entry.rank));
+      row.appendChild(createCell(entry.name));
+      row.appendChild(createCell(formatScore(entry)));
+      row.appendChild(createCell(formatSeconds(entry.totalTime)));
+      row.appendChild(createCell(outcome));
+      return row;
+    }), 5);
+
+    return section;
+  }
+
+  function renderTournament(tournament) {
+    const myPlayerIds = getMyPlayerIds();
+    const openRound = tournament.rounds.find(round => round.status === 'open');
+
+    elements.title.textContent = tournament.name;
+    elements.summary.textContent = [
+      openRound ? t('tournament.statusOpen', { round: openRound.number }) : t(`tournament.status.${tournament.status}`),
+      t('common.people', { count: tournament.players.length }),
+      t('tournament.roundCount', { count: tournament.rounds.length })
+    ].join(t('common.separator'));
+    elements.updated.textContent = t('tournament.updatedAt', { time: window.QuizI18n.formatDateTime(Date.now()) });
+    elements.joinLink.href = `/?tournament=${encodeURIComponent(tournament.id)}`;
+    elements.joinLink.classList.toggle('hidden', tournament.status === 'finished');
+    elements.overview.classList.remove('hidden');
+
+    elements.placements.classList.toggle('hidden', !tournament.placements);
+    renderRows(elements.placementsBody, (tournament.placements || []).map((entry) => {
+      const row = document.createElement('tr');
+      if (myPlayerIds.has(entry.playerId)) {
+        row.classList.add('is-me');
+      }
+      row.appendChild(createRankCell(entry.rank));
+      row.appendChild(createCell(entry.name));
+      row.appendChild(createCell(t('tournament.round', { number: entry.round })));
+      row.appendChild(createCell(formatScore(entry)));
+      row.appendChild(createCell(formatSeconds(entry.totalTime)));
+      return row;
+    }), 5);
+
+    elements.rounds.innerHTML = '';
+    tournament.rounds.forEach((round, index) => {
+      elements.rounds.appendChild(renderRound(round, index === tournament.rounds.length - 1, myPlayerIds));
+    });
+
+    elements.players.classList.toggle('hidden', tournament.status !== 'registration');
+    renderRows(elements.playersBody, tournament.players.map((player) => {
+      const row = document.createElement('tr');
+      if (myPlayerIds.has(player.playerId)) {
+        row.classList.add('is-me');
+      }
+      row.appendChild(createCell(player.name));
+      row.appendChild(createCell(window.QuizI18n.formatDateTime(player.registeredAt)));
+      return row;
+    }), 2);
+  }
+
+  // Results come in while a round is open, so the standings refresh until the tournament is over.
+  async function fetchTournament() {
+    try {
+      const response = await fetch(`/api/tournaments/${encodeURIComponent(state.tournamentId)}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || t('tournament.loadFailed'));
+      }
+      elements.message.textContent = '';
+      renderTournament(data.tournament);
+      if (data.tournament.status === 'finished') {
+        clearInterval(state.refreshTimer);
+      }
+    } catch (error) {
+      console.error(error);
+      elements.message.textContent = error.message;
+    }
+  }
+
+  async function fetchTournamentList() {
+    elements.list.classList.remove('hidden');
+    try {
+      const response = await fetch('/api/tournaments');
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || t('tournament.loadFailed'));
+      }
+      renderRows(elements.listBody, data.tournaments.map((tournament) => {
+        const row = document.createElement('tr');
+        const nameCell = document.createElement('td');
+        const link = document.createElement('a');
+        link.href = `tournament.html?id=${encodeURIComponent(tournament.id)}`;
+        link.textContent = tournament.name;
+        nameCell.appendChild(link);
+        row.appendChild(nameCell);
+        row.appendChild(createCell(tournament.currentRound
+          ? t('tournament.statusOpen', { round: tournament.currentRound })
+          : t(`tournament.status.${tournament.status}`)));
+        row.appendChild(createCell(t('common.people', { count: tournament.players })));
+        row.appendChild(createCell(String(tournament.rounds)));
+        return row;
+      }), 4);
+    } catch (error) {
+      console.error(error);
+      elements.message.textContent = error.message;
+    }
+  }
+
+  async function init() {
+    await window.QuizI18n.ready;
+    if (!state.tournamentId) {
+      fetchTournamentList();
+      return;
+    }
+    elements.listLink.classList.remove('hidden');
+    await loadLabels();
+    state.refreshTimer = setInterval(fetchTournament, REFRESH_INTERVAL_MS);
+    await fetchTournament();
+  }
+
+  document.addEventListener('DOMContentLoaded', init);
+})();
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+// Imports or exports the question bank as CSV or JSON.
+// Usage:
+//   node scripts/questions.js import <file> [--dry-run] [--format csv|json]
+//   node scripts/questions.js export <file|-> [--format csv|json]
+const fs = require('fs');
+const path = require('path');
+const i18n = require('../lib/i18n');
+const questionBank = require('../lib/questionBank');
+const questionTransfer = require('../lib/questionTransfer');
+
+function parseArgs(argv) {
+  const args = { positional: [], dryRun: false, format: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else if (argv[i] === '--format') {
+      args.format = argv[i + 1];
+      i += 1;
+    } else {
+      args.positional.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function detectFormat(file, explicit) {
+  if (explicit) {
+    return explicit;
+  }
+  return path.extname(file || '').toLowerCase() === '.csv' ? 'csv' : 'json';
+}
+
+function formatError({ errorKey, params }) {
+  return i18n.translate(i18n.DEFAULT_LOCALE, errorKey, params);
+}
+
+function printReport(report) {
+  const mode = report.dryRun ? ' (dry run)' : '';
+  console.log(`Rows: ${report.total}, created: ${report.created}, updated: ${report.updated}, errors: ${report.errors.length}${mode}`);
+  report.errors.forEach(({ row, errors }) => {
+    errors.forEach(error => console.log(`  row ${row}: ${formatError(error)}`));
+  });
+  if (!report.dryRun) {
+    console.log(report.applied ? 'Question bank updated.' : 'Nothing was imported because some rows have errors.');
+  }
+}
+
+async function runImport(file, args) {
+  const format = detectFormat(file, args.format);
+  const text = await fs.promises.readFile(file, 'utf-8');
+  const parsed = questionTransfer.parseImport(text, format);
+  if (parsed.errors.length) {
+    parsed.errors.forEach(error => console.error(formatError(error)));
+    return 1;
+  }
+
+  const report = await questionBank.importQuestions(parsed.records, { dryRun: args.dryRun });
+  printReport(report);
+  return report.errors.length ? 1 : 0;
+}
+
+async function runExport(file, args) {
+  const format = detectFormat(file, args.format);
+  const payload = questionTransfer.exportQuestions(questionBank.getQuestions(), format);
+  if (!file || file === '-') {
+    process.stdout.write(payload);
+  } else {
+    await fs.promises.writeFile(file, payload, 'utf-8');
+    console.error(`Exported ${questionBank.getQuestions().length} questions to ${file}`);
+  }
+  return 0;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [command, file] = args.positional;
+
+  if (command === 'import' && file) {
+    return runImport(file, args);
+  }
+  if (command === 'export') {
+    return runExport(file, args);
+  }
+
+  console.error('Usage:');
+  console.error('  node scripts/questions.js import <file> [--dry-run] [--format csv|json]');
+  console.error('  node scripts/questions.js export <file|-> [--format csv|json]');
+  return 1;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
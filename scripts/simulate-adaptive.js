@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// Plays adaptive quizzes with simulated players and checks that a fixed seed reproduces
+// the same questions and ratings. Usage: node scripts/simulate-adaptive.js [seed] [questionCount]
+const assert = require('assert');
+const rating = require('../lib/rating');
+const adaptive = require('../lib/adaptive');
+const questionTypes = require('../lib/questionTypes');
+const { createRandom } = require('../lib/random');
+
+// The simulated answers are choice indexes, so only single-choice questions take part.
+const questions = require('../data/questions')
+  .filter(question => questionTypes.getQuestionType(question) === questionTypes.DEFAULT_TYPE);
+
+const seed = process.argv[2] || 'simulation';
+const questionCount = Number(process.argv[3]) || 10;
+const questionMap = new Map(questions.map(question => [question.id, question]));
+
+// Builds a history where weaker and stronger players have answered random questions.
+function buildHistory(random) {
+  return Array.from({ length: 40 }, (_, index) => {
+    const skill = 1200 + (index % 5) * 150;
+    const answers = Array.from({ length: 10 }, () => {
+      const question = questions[Math.floor(random() * questions.length)];
+      const correct = random() < rating.expectedScore(skill, rating.getInitialQuestionRating(question));
+      return { questionId: question.id, choiceIndex: correct ? question.answer : (question.answer + 1) % question.choices.length, correct };
+    });
+    return { name: `player-${index % 5}`, answers };
+  });
+}
+
+function playQuiz(table, skill, quizSeed) {
+  const state = adaptive.createAdaptiveState({
+    questionRatings: new Map(questions.map(question => [question.id, rating.getQuestionRating(table, question.id, question)])),
+    playerRating: rating.getPlayerRating(table, null),
+    seed: quizSeed
+  });
+  const answerRandom = createRandom(`${quizSeed}:answers`);
+  const played = [];
+
+  for (let index = 0; index < questionCount; index += 1) {
+    const id = adaptive.pickNextQuestion(state);
+    const correct = answerRandom() < rating.expectedScore(skill, state.questionRatings.get(id));
+    adaptive.recordResult(state, id, correct);
+    played.push({ id, correct, difficulty: questionMap.get(id).difficulty });
+  }
+
+  return { played, finalRating: state.player.rating };
+}
+
+function run(quizSeed) {
+  const table = rating.applyAttempts(rating.createRatingTable(), buildHistory(createRandom(`${quizSeed}:history`)), id => questionMap.get(id));
+  return {
+    weak: playQuiz(table, 1250, quizSeed),
+    strong: playQuiz(table, 1800, quizSeed)
+  };
+}
+
+const first = run(seed);
+const second = run(seed);
+assert.deepStrictEqual(second, first, 'the same seed produced different quizzes');
+console.log(`ok - seed "${seed}" reproduces the same questions and ratings`);
+
+const other = run(`${seed}-other`);
+assert.notDeepStrictEqual(other.weak.played, first.weak.played, 'a different seed produced the same quiz');
+console.log('ok - a different seed picks different questions');
+
+['weak', 'strong'].forEach((label) => {
+  const { played, finalRating } = first[label];
+  const correct = played.filter(entry => entry.correct).length;
+  console.log(`${label}: ${correct}/${played.length} correct, rating ${Math.round(finalRating)}, questions ${played.map(entry => `${entry.id}(${entry.difficulty})`).join(' ')}`);
+});
+assert.ok(first.strong.finalRating > first.weak.finalRating, 'the stronger player should end with a higher rating');
+console.log('ok - the stronger player ends with a higher rating');
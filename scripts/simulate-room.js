@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+// Simulates a host and several players in a buzzer room against a running server.
+// Usage: node scripts/simulate-room.js [baseUrl] [playerCount] [questionCount]
+const http = require('http');
+const { URL } = require('url');
+
+const baseUrl = process.argv[2] || 'http://localhost:3000';
+const playerCount = Number(process.argv[3]) || 4;
+const questionCount = Number(process.argv[4]) || 3;
+
+function request(method, pathname, body) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(pathname, baseUrl);
+    const payload = body ? JSON.stringify(body) : null;
+    const req = http.request(url, {
+      method,
+      headers: payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf-8');
+      res.on('data', chunk => {
+        data += chunk;
+      });
+      res.on('end', () => {
+        resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null });
+      });
+    });
+    req.on('error', reject);
+    if (payload) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+function subscribe(pathname, onEvent) {
+  const url = new URL(pathname, baseUrl);
+  const req = http.get(url, (res) => {
+    let buffer = '';
+    res.setEncoding('utf-8');
+    res.on('data', chunk => {
+      buffer += chunk;
+      let boundary = buffer.indexOf('\n\n');
+      while (boundary >= 0) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        const event = (block.match(/^event: (.*)$/m) || [])[1];
+        const data = (block.match(/^data: (.*)$/m) || [])[1];
+        if (event && data) {
+          onEvent(event, JSON.parse(data));
+        }
+        boundary = buffer.indexOf('\n\n');
+      }
+    });
+  });
+  return () => req.destroy();
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function main() {
+  const created = await request('POST', '/api/rooms', { limit: questionCount });
+  if (created.status !== 201) {
+    throw new Error(`Failed to create room: ${JSON.stringify(created.body)}`);
+  }
+  const { code, hostToken } = created.body;
+  console.log(`Room ${code} created with ${created.body.room.totalQuestions} questions`);
+
+  const players = [];
+  for (let i = 0; i < playerCount; i += 1) {
+    const joined = await request('POST', `/api/rooms/${code}/join`, { name: `Bot${i + 1}` });
+    players.push({ name: `Bot${i + 1}`, playerId: joined.body.playerId, token: joined.body.token });
+  }
+
+  const unsubscribers = [];
+  let finished = null;
+  const done = new Promise(resolve => {
+    finished = resolve;
+  });
+
+  players.forEach((player) => {
+    let lastQuestion = 0;
+    unsubscribers.push(subscribe(`/api/rooms/${code}/events`, (event, data) => {
+      if (event !== 'state' || data.phase !== 'question' || data.questionNumber === lastQuestion) {
+        return;
+      }
+      lastQuestion = data.questionNumber;
+      const wait = Math.max(0, data.startsAt - data.serverTime) + Math.floor(Math.random() * 500);
+      const choiceIndex = Math.floor(Math.random() * data.question.choices.length);
+      setTimeout(async () => {
+        const result = await request('POST', `/api/rooms/${code}/buzz`, { ...player, choiceIndex });
+        const outcome = result.status === 200 ? (result.body.correct ? 'correct' : 'wrong') : result.body.error;
+        console.log(`  Q${data.questionNumber} ${player.name} -> ${choiceIndex}: ${outcome}`);
+      }, wait);
+    }));
+  });
+
+  unsubscribers.push(subscribe(`/api/rooms/${code}/events`, (event, data) => {
+    if (event !== 'state') {
+      return;
+    }
+    if (data.phase === 'reveal') {
+      const winner = data.reveal.winner ? data.reveal.winner.name : 'nobody';
+      console.log(`Q${data.questionNumber} answer ${data.reveal.correctIndex}, winner: ${winner}`);
+    }
+    if (data.phase === 'finished') {
+      finished(data.scoreboard);
+    }
+  }));
+
+  await delay(200);
+  for (let i = 0; i <= questionCount; i += 1) {
+    await request('POST', `/api/rooms/${code}/next`, { hostToken });
+    let snapshot = (await request('GET', `/api/rooms/${code}`)).body.room;
+    while (snapshot.phase === 'question') {
+      await delay(250);
+      snapshot = (await request('GET', `/api/rooms/${code}`)).body.room;
+    }
+  }
+
+  const scoreboard = await done;
+  console.log('Final scoreboard:');
+  scoreboard.forEach((entry, index) => console.log(`  ${index + 1}. ${entry.name} ${entry.score}pt`));
+  unsubscribers.forEach(unsubscribe => unsubscribe());
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+// Fires hundreds of parallel leaderboard writes and checks that none are lost.
+// Usage: node scripts/stress-leaderboard.js [writes]
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createLeaderboardStore } = require('../lib/leaderboardStore');
+
+const WRITES = Number(process.argv[2]) || 500;
+const SUBMISSIONS = Math.min(WRITES, 300);
+
+async function stressStore(type, dir) {
+  const filePath = path.join(dir, type === 'log' ? 'leaderboard.log' : 'leaderboard.json');
+  const store = createLeaderboardStore({ type, filePath });
+
+  await Promise.all(Array.from({ length: WRITES }, (_, index) => store.update((entries) => {
+    entries.push({ name: `player-${index}`, score: index % 11, totalTime: index / 10, completedAt: new Date().toISOString() });
+    return entries;
+  })));
+
+  const inMemory = await store.read();
+  assert.strictEqual(inMemory.length, WRITES, `${type}: expected ${WRITES} entries in memory, got ${inMemory.length}`);
+
+  const reopened = await createLeaderboardStore({ type, filePath }).read();
+  assert.strictEqual(reopened.length, WRITES, `${type}: expected ${WRITES} entries on disk, got ${reopened.length}`);
+  assert.strictEqual(new Set(reopened.map(entry => entry.name)).size, WRITES, `${type}: duplicate or missing names on disk`);
+
+  console.log(`ok - ${type} store kept all ${WRITES} parallel writes`);
+}
+
+function request(port, method, pathname, body, token) {
+  return new Promise((resolve, reject) => {
+    const payload = body ? JSON.stringify(body) : null;
+    const headers = payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {};
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      path: pathname,
+      method,
+      agent: false,
+      headers
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf-8');
+      res.on('data', chunk => {
+        data += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    if (payload) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+function startServer(dir) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+      env: {
+        ...process.env,
+        PORT: '0',
+        LEADERBOARD_PATH: path.join(dir, 'server-leaderboard.json'),
+        HISTORY_PATH: path.join(dir, 'server-history.log'),
+        PLAYERS_PATH: path.join(dir, 'server-players.json'),
+        PRACTICE_PATH: path.join(dir, 'server-practice.json'),
+        DAILY_PATH: path.join(dir, 'server-daily.json'),
+        TOURNAMENTS_PATH: path.join(dir, 'server-tournaments.json'),
+        ADMIN_TOKEN_PATH: path.join(dir, 'server-admin-token')
+      },
+      stdio: ['ignore', 'pipe', 'inherit']
+    });
+    child.stdout.setEncoding('utf-8');
+    child.stdout.on('data', (chunk) => {
+      const match = chunk.match(/localhost:(\d+)/);
+      if (match) {
+        resolve({ child, port: Number(match[1]) });
+      }
+    });
+    child.on('error', reject);
+    child.on('exit', code => reject(new Error(`server exited with code ${code}`)));
+  });
+}
+
+// Any well-formed answer will do; only the write path is under test.
+function pickResponse(question) {
+  const randomIndex = Math.floor(Math.random() * question.choices.length);
+  switch (question.type) {
+    case 'multiple':
+      return [randomIndex];
+    case 'ordering':
+      return question.choices.map((choice, index) => index);
+    case 'numeric':
+      return 0;
+    case 'text':
+      return 'answer';
+    default:
+      return randomIndex;
+  }
+}
+
+async function stressServer(dir) {
+  const { child, port } = await startServer(dir);
+  try {
+    const claimed = await Promise.all(Array.from({ length: SUBMISSIONS }, (_, index) => request(port, 'POST', '/api/players', {
+      name: `runner-${index}`
+    })));
+    claimed.forEach(({ status, body }, index) => {
+      assert.strictEqual(status, 201, `claiming runner-${index} failed: ${JSON.stringify(body)}`);
+    });
+
+    const created = await Promise.all(claimed.map(({ body }) => request(port, 'POST', '/api/sessions', { limit: 1 }, body.token)));
+    await new Promise(resolve => setTimeout(resolve, 600));
+
+    await Promise.all(created.map(({ body }) => request(port, 'POST', `/api/sessions/${body.sessionId}/answer`, {
+      questionId: body.questions[0].id,
+      response: pickResponse(body.questions[0])
+    })));
+
+    const submitted = await Promise.all(created.map(({ body }, index) => request(port, 'POST', '/api/submit', {
+      sessionId: body.sessionId
+    }, claimed[index].body.token)));
+
+    submitted.forEach(({ status, body }, index) => {
+      assert.strictEqual(status, 200, `submission ${index} failed: ${JSON.stringify(body)}`);
+    });
+
+    // The whole board is kept, so every runner must be on one of its pages, in ranking order.
+    const board = [];
+    let total = Infinity;
+    while (board.length < total) {
+      const { body } = await request(port, 'GET', `/api/leaderboard?questionCount=1&limit=100&offset=${board.length}`);
+      assert.ok(body.leaderboard.length, `the page at offset ${board.length} is empty`);
+      total = body.total;
+      board.push(...body.leaderboard);
+    }
+    assert.strictEqual(total, SUBMISSIONS, `the board keeps ${total} of ${SUBMISSIONS} runners`);
+
+    const boardNames = new Set(board.map(entry => entry.name));
+    submitted.forEach(({ body }, index) => {
+      assert.ok(boardNames.has(`runner-${index}`), `runner-${index} (${body.score}, ${body.totalTime}s) is missing from the board`);
+    });
+    board.forEach((entry, index) => {
+      assert.strictEqual(entry.rank, index + 1, `${entry.name} is ranked ${entry.rank} at position ${index + 1}`);
+      const previous = board[index - 1];
+      assert.ok(!previous || previous.score > entry.score
+        || (previous.score === entry.score && previous.totalTime <= entry.totalTime), `${entry.name} is ranked out of order`);
+    });
+    console.log(`ok - ${SUBMISSIONS} parallel submissions were all kept on the board in order`);
+  } finally {
+    child.removeAllListeners('exit');
+    child.kill();
+  }
+}
+
+async function main() {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'quiz-leaderboard-'));
+  try {
+    await stressStore('json', dir);
+    await stressStore('log', dir);
+    await stressServer(dir);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+main().catch((error) => {
+  console.error(`not ok - ${error.message}`);
+  process.exitCode = 1;
+});
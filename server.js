@@ -1,17 +1,90 @@
 const http = require('http');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const { URL } = require('url');
 
-const questions = require('./data/questions');
-const questionIdSet = new Set(questions.map(question => question.id));
-const questionMap = new Map(questions.map(question => [question.id, question]));
+const questionBank = require('./lib/questionBank');
+const questionTransfer = require('./lib/questionTransfer');
+const { categories, difficulties } = require('./data/categories');
+const sessions = require('./lib/sessions');
+const rooms = require('./lib/rooms');
+const shows = require('./lib/shows');
+const { createLeaderboardStore, createAppendLogStore } = require('./lib/leaderboardStore');
+const playerStats = require('./lib/playerStats');
+const { createPlayerRegistry } = require('./lib/players');
+const questionStats = require('./lib/questionStats');
+const rating = require('./lib/rating');
+const adaptive = require('./lib/adaptive');
+const practice = require('./lib/practice');
+const daily = require('./lib/daily');
+const tournaments = require('./lib/tournaments');
+const teams = require('./lib/teams');
+const periodBoards = require('./lib/periodBoards');
+const random = require('./lib/random');
+const codes = require('./lib/codes');
+const ranking = require('./lib/ranking');
+const choiceOrder = require('./lib/choiceOrder');
+const questionTypes = require('./lib/questionTypes');
+const media = require('./lib/media');
+const scoring = require('./lib/scoring');
+const i18n = require('./lib/i18n');
+const { localizeQuestion } = require('./lib/questionTranslations');
+const { createChannel } = require('./lib/sse');
+const categoryIdSet = new Set(categories.map(category => category.id));
+const difficultyIdSet = new Set(difficulties.map(difficulty => difficulty.id));
 
 const DEFAULT_QUESTION_COUNT = 10;
+const QUIZ_MODES = ['standard', 'adaptive'];
+const QUESTION_TIME_LIMITS = [10, 20, 30];
+const MAX_IMPORT_SIZE = 5 * 1024 * 1024;
+const LEADERBOARD_SIZE = 25;
+const MAX_LEADERBOARD_PAGE_SIZE = 100;
+const LEADERBOARD_PERIODS = ['all', 'today', 'week', 'month'];
+const LEADERBOARD_STREAM_HISTORY = 50;
 
 const PORT = process.env.PORT || 3000;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || codes.generateToken();
+// A generated token goes to a file only the server's user can read, never to the console or its logs.
+const ADMIN_TOKEN_PATH = process.env.ADMIN_TOKEN_PATH || path.join(__dirname, 'data', 'admin-token');
 const PUBLIC_DIR = path.join(__dirname, 'public');
-const LEADERBOARD_PATH = path.join(__dirname, 'data', 'leaderboard.json');
+const MEDIA_DIR = process.env.MEDIA_PATH || path.join(__dirname, 'data', 'media');
+const LEADERBOARD_STORE = process.env.LEADERBOARD_STORE === 'log' ? 'log' : 'json';
+const LEADERBOARD_PATH = process.env.LEADERBOARD_PATH
+  || path.join(__dirname, 'data', LEADERBOARD_STORE === 'log' ? 'leaderboard.log' : 'leaderboard.json');
+
+const HISTORY_PATH = process.env.HISTORY_PATH || path.join(__dirname, 'data', 'history.log');
+const MAX_HISTORY_ATTEMPTS = 200;
+const PLAYERS_PATH = process.env.PLAYERS_PATH || path.join(__dirname, 'data', 'players.json');
+const PRACTICE_PATH = process.env.PRACTICE_PATH || path.join(__dirname, 'data', 'practice.json');
+const DEFAULT_PRACTICE_COUNT = 10;
+const MAX_PRACTICE_COUNT = 50;
+const DAILY_PATH = process.env.DAILY_PATH || path.join(__dirname, 'data', 'daily.json');
+const DAILY_QUESTION_COUNT = Math.max(1, Math.trunc(Number(process.env.DAILY_QUESTION_COUNT)) || 10);
+const DAILY_TIMEZONE = daily.isValidTimeZone(process.env.DAILY_TIMEZONE) ? process.env.DAILY_TIMEZONE : 'Asia/Tokyo';
+if (process.env.DAILY_TIMEZONE && DAILY_TIMEZONE !== process.env.DAILY_TIMEZONE) {
+  console.warn(`Unknown DAILY_TIMEZONE "${process.env.DAILY_TIMEZONE}"; using Asia/Tokyo`);
+}
+const MAX_DAILY_ARCHIVE_DAYS = 90;
+const TEAM_METHOD = teams.isTeamMethod(process.env.TEAM_AGGREGATE) ? process.env.TEAM_AGGREGATE : teams.DEFAULT_METHOD;
+if (process.env.TEAM_AGGREGATE && TEAM_METHOD !== process.env.TEAM_AGGREGATE) {
+  console.warn(`Unknown TEAM_AGGREGATE "${process.env.TEAM_AGGREGATE}"; using ${teams.DEFAULT_METHOD}`);
+}
+const TEAM_BEST_COUNT = Math.max(1, Math.trunc(Number(process.env.TEAM_BEST_COUNT)) || teams.DEFAULT_BEST_COUNT);
+const TOURNAMENTS_PATH = process.env.TOURNAMENTS_PATH || path.join(__dirname, 'data', 'tournaments.json');
+
+const leaderboardStore = createLeaderboardStore({ type: LEADERBOARD_STORE, filePath: LEADERBOARD_PATH });
+const historyStore = createAppendLogStore(HISTORY_PATH);
+const leaderboardChannel = createChannel({ historySize: LEADERBOARD_STREAM_HISTORY });
+const players = createPlayerRegistry(createLeaderboardStore({ type: 'json', filePath: PLAYERS_PATH }));
+const practiceRegistry = practice.createPracticeRegistry(createLeaderboardStore({ type: 'json', filePath: PRACTICE_PATH }));
+const dailyRegistry = daily.createDailyRegistry(createLeaderboardStore({ type: 'json', filePath: DAILY_PATH }));
+const tournamentRegistry = tournaments.createTournamentRegistry(createLeaderboardStore({ type: 'json', filePath: TOURNAMENTS_PATH }));
+
+// Running totals over the play history; see catchUpWithHistory.
+const ratingTable = rating.createRatingTable();
+const teamIndex = teams.createTeamIndex();
+const periodIndex = periodBoards.createPeriodIndex(DAILY_TIMEZONE);
 
 const mimeTypes = {
   '.html': 'text/html; charset=utf-8',
@@ -20,48 +93,145 @@ const mimeTypes = {
   '.json': 'application/json; charset=utf-8',
   '.png': 'image/png',
   '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
   '.svg': 'image/svg+xml',
-  '.ico': 'image/x-icon'
+  '.ico': 'image/x-icon',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.m4a': 'audio/mp4'
 };
 
-async function readLeaderboard() {
-  try {
-    const data = await fs.promises.readFile(LEADERBOARD_PATH, 'utf-8');
-    return JSON.parse(data);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      await fs.promises.writeFile(LEADERBOARD_PATH, '[]', 'utf-8');
-      return [];
-    }
-    console.error('Failed to read leaderboard:', error);
-    return [];
+// Optional parts are only appended when they differ from the default, so older keys stay valid.
+function getBoardKey({ questionCount, category, difficulty, mode, timeLimit, scoring: rule }) {
+  const parts = [questionCount, category || 'all', difficulty || 'all'];
+  if (mode === 'adaptive') {
+    parts.push(mode);
+  }
+  if (timeLimit) {
+    parts.push(`t${timeLimit}`);
   }
+  if (rule && rule !== scoring.DEFAULT_RULE) {
+    parts.push(rule);
+  }
+  return parts.join(':');
+}
+
+function parseBoardKey(key) {
+  const [questionCount, category, difficulty, ...options] = key.split(':');
+  const timeLimitOption = options.find(option => /^t\d+$/.test(option));
+  return {
+    key,
+    questionCount: Number(questionCount),
+    category: category === 'all' ? null : category,
+    difficulty: difficulty === 'all' ? null : difficulty,
+    mode: options.includes('adaptive') ? 'adaptive' : 'standard',
+    timeLimit: timeLimitOption ? Number(timeLimitOption.slice(1)) : null,
+    scoring: options.find(scoring.isScoringRule) || scoring.DEFAULT_RULE
+  };
 }
 
-async function writeLeaderboard(entries) {
-  const payload = JSON.stringify(entries, null, 2);
-  await fs.promises.writeFile(LEADERBOARD_PATH, payload, 'utf-8');
+function getEntryBoard(entry) {
+  return entry.board || getBoardKey({ questionCount: entry.totalQuestions });
 }
 
 function sortLeaderboard(entries) {
-  return entries
-    .slice()
-    .sort((a, b) => {
-      if (b.score !== a.score) {
-        return b.score - a.score;
-      }
-      if (a.totalTime !== b.totalTime) {
-        return a.totalTime - b.totalTime;
-      }
-      return new Date(a.completedAt).getTime() - new Date(b.completedAt).getTime();
-    })
-    .slice(0, 25);
+  return entries.slice().sort(ranking.compareEntries);
+}
+
+function rankBoard(entries, boardKey) {
+  return sortLeaderboard(entries.filter(entry => getEntryBoard(entry) === boardKey))
+    .map((entry, index) => ({ ...entry, rank: index + 1 }));
+}
+
+function getBoardEntries(entries, boardKey) {
+  return rankBoard(entries, boardKey).slice(0, LEADERBOARD_SIZE);
+}
+
+// Periods follow the calendar in DAILY_TIMEZONE, like the daily challenge.
+function getPeriodStartKey(period, todayKey) {
+  switch (period) {
+    case 'today':
+      return todayKey;
+    case 'week':
+      return daily.getWeekStartKey(todayKey);
+    case 'month':
+      return `${todayKey.slice(0, 8)}01`;
+    default:
+      return null;
+  }
+}
+
+function getLeaderboardPage(url) {
+  const offset = Math.max(0, Math.trunc(Number(url.searchParams.get('offset'))) || 0);
+  const limit = Math.min(MAX_LEADERBOARD_PAGE_SIZE, Math.max(1, Math.trunc(Number(url.searchParams.get('limit'))) || LEADERBOARD_SIZE));
+  return { offset, limit };
+}
+
+function summarizeBoards(entries) {
+  const counts = new Map();
+  entries.forEach((entry) => {
+    const key = getEntryBoard(entry);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return summarizeBoardCounts(counts);
+}
+
+function summarizeBoardCounts(counts) {
+  return Array.from(counts.entries())
+    .map(([key, count]) => ({ ...parseBoardKey(key), entries: count }))
+    .sort((a, b) => a.questionCount - b.questionCount || a.key.localeCompare(b.key));
+}
+
+function getLeaderboardBoardKey(url) {
+  const questionCount = clampQuestionCount(url.searchParams.get('questionCount'));
+  const category = normalizeFilterValue(url.searchParams.get('category'));
+  const difficulty = normalizeFilterValue(url.searchParams.get('difficulty'));
+  const mode = normalizeFilterValue(url.searchParams.get('mode'));
+  const timeLimit = normalizeTimeLimit(url.searchParams.get('timeLimit')) || null;
+  const rule = scoring.isScoringRule(url.searchParams.get('scoring')) ? url.searchParams.get('scoring') : null;
+  return getBoardKey({ questionCount, category, difficulty, mode, timeLimit, scoring: rule });
+}
+
+async function getTeamBoard(board) {
+  const index = await catchUpWithHistory(teamIndex, teams.addTeamAttempts);
+  return teams.rankTeamBoard(index, board, { method: TEAM_METHOD, bestCount: TEAM_BEST_COUNT });
+}
+
+// Where the player's team stands on the board they just played, and what the player adds to it.
+function getTeamContribution(teamBoard, teamName, playerId) {
+  const team = teamBoard.find(entry => entry.key === teams.getTeamKey(teamName));
+  const member = team ? team.members.find(entry => entry.playerId === playerId) : null;
+  if (!member) {
+    return null;
+  }
+  return {
+    name: team.name,
+    rank: team.rank,
+    teams: teamBoard.length,
+    score: team.score,
+    members: team.members.length,
+    method: TEAM_METHOD,
+    bestCount: TEAM_BEST_COUNT,
+    points: member.points,
+    counted: member.counted
+  };
 }
 
 function sanitizeName(name) {
   return name.replace(/\s+/g, ' ').trim().slice(0, 32);
 }
 
+// Ids taken from the path; a malformed escape is treated like an unknown id instead of throwing.
+function decodePathSegment(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return null;
+  }
+}
+
 function sendJson(res, statusCode, data) {
   const payload = JSON.stringify(data);
   res.writeHead(statusCode, {
@@ -71,36 +241,396 @@ function sendJson(res, statusCode, data) {
   res.end(payload);
 }
 
-function normalizeAnswers(rawAnswers) {
-  if (!Array.isArray(rawAnswers) || rawAnswers.length === 0) {
-    return null;
-  }
+function readBody(req, maxLength = 1e6) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf-8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > maxLength) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
 
-  const map = new Map();
+    req.on('end', () => {
+      resolve(body);
+    });
+
+    req.on('error', reject);
+  });
+}
 
-  rawAnswers.forEach((entry, index) => {
-    if (entry && typeof entry === 'object' && typeof entry.questionId === 'number' && typeof entry.choiceIndex === 'number') {
-      if (!questionIdSet.has(entry.questionId) || map.has(entry.questionId)) {
+// Uploads are binary, so unlike readBody the chunks are kept as bytes.
+function readRawBody(req, maxLength) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let length = 0;
+    req.on('data', chunk => {
+      length += chunk.length;
+      if (length > maxLength) {
+        reject(new Error('Request body too large'));
+        req.destroy();
         return;
       }
-      map.set(entry.questionId, entry.choiceIndex);
-      return;
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      resolve(Buffer.concat(chunks));
+    });
+
+    req.on('error', reject);
+  });
+}
+
+async function readJsonBody(req) {
+  const body = await readBody(req);
+  return JSON.parse(body || '{}');
+}
+
+function toPublicQuestion(question, order = null) {
+  return {
+    id: question.id,
+    type: questionTypes.getQuestionType(question),
+    question: question.question,
+    choices: choiceOrder.applyChoiceOrder(question.choices, order),
+    media: media.getPublicMedia(question),
+    choiceMedia: media.getPublicChoiceMedia(question, order),
+    category: question.category,
+    difficulty: question.difficulty
+  };
+}
+
+// Single-choice clients send choiceIndex; every other type sends its answer as response.
+function getAnswerValue(payload) {
+  return payload.response !== undefined ? payload.response : payload.choiceIndex;
+}
+
+// Orders recorded before a question was edited no longer line up with its choices, so the session gets a new one.
+// The authored order is never the fallback, since for an ordering question it is the answer.
+function getSessionChoiceOrder(session, question) {
+  const order = sessions.getChoiceOrder(session, question.id);
+  if (order && order.length === question.choices.length) {
+    return order;
+  }
+  const next = choiceOrder.createChoiceOrder(question);
+  sessions.setChoiceOrder(session, question.id, next);
+  return next;
+}
+
+// Timed questions carry their deadline in server time, which the client counts down against.
+function toSessionQuestion(session, question) {
+  return {
+    ...toPublicQuestion(localizeQuestion(question, session.locale), getSessionChoiceOrder(session, question)),
+    deadline: sessions.getDeadline(session, question.id)
+  };
+}
+
+function createChoiceOrders(questions, seed = null) {
+  return new Map(questions.map(question => [
+    question.id,
+    seed ? choiceOrder.createSeededChoiceOrder(question, seed) : choiceOrder.createChoiceOrder(question)
+  ]));
+}
+
+function buildAnswerFeedback(question, credit, order) {
+  return {
+    type: questionTypes.getQuestionType(question),
+    correct: credit === 1,
+    credit,
+    correctAnswer: questionTypes.getCorrectAnswer(question, order),
+    explanation: question.explanation || null,
+    referenceUrl: question.referenceUrl || null
+  };
+}
+
+// Credit is fixed when an answer is recorded; a question removed since then scores nothing.
+function getAnswerCredit(session, id) {
+  return questionBank.getQuestion(id) ? sessions.getCredit(session, id) : 0;
+}
+
+// Answers are stored with authored indexes; only what the player sees uses the session's order.
+function buildReview(session) {
+  return session.questionIds.map((id) => {
+    const question = localizeQuestion(questionBank.getQuestion(id), session.locale);
+    if (!question) {
+      return { questionId: id, removed: true };
     }
+    const order = getSessionChoiceOrder(session, question);
+    const credit = getAnswerCredit(session, id);
+    return {
+      questionId: id,
+      type: questionTypes.getQuestionType(question),
+      question: question.question,
+      choices: choiceOrder.applyChoiceOrder(question.choices, order),
+      response: questionTypes.toDisplayResponse(question, sessions.getResponse(session, id), order),
+      correctAnswer: questionTypes.getCorrectAnswer(question, order),
+      credit,
+      correct: credit === 1,
+      timedOut: sessions.isTimedOut(session, id),
+      explanation: question.explanation || null,
+      referenceUrl: question.referenceUrl || null
+    };
+  });
+}
 
-    if (typeof entry === 'number' && index < questions.length) {
-      const questionId = questions[index].id;
-      if (!questionIdSet.has(questionId) || map.has(questionId)) {
-        return;
-      }
-      map.set(questionId, entry);
+function scoreSession(session, questionTimes) {
+  const secondsById = new Map(questionTimes.map(entry => [entry.questionId, entry.seconds]));
+  return scoring.scoreAnswers(session.scoring, session.questionIds.map(id => ({
+    credit: getAnswerCredit(session, id),
+    seconds: secondsById.has(id) ? secondsById.get(id) : null,
+    timedOut: sessions.isTimedOut(session, id)
+  })), { timeLimit: session.timeLimit });
+}
+
+function buildAttempt(session, { playerId, name, score, points, answerPoints, totalTime, questionTimes, completedAt }) {
+  const secondsById = new Map(questionTimes.map(entry => [entry.questionId, entry.seconds]));
+  return {
+    playerId,
+    name,
+    board: session.board,
+    mode: session.adaptive ? 'adaptive' : 'standard',
+    scoring: session.scoring || scoring.DEFAULT_RULE,
+    timeLimit: session.timeLimit,
+    ...(session.team ? { team: session.team } : {}),
+    score,
+    points,
+    totalQuestions: session.questionIds.length,
+    totalTime,
+    startedAt: new Date(session.startedAt).toISOString(),
+    completedAt,
+    questionIds: [...session.questionIds],
+    answers: session.questionIds.map((id, index) => {
+      const question = questionBank.getQuestion(id);
+      const response = sessions.getResponse(session, id);
+      const credit = getAnswerCredit(session, id);
+      // Single-choice answers keep the choiceIndex field the analytics and older history entries use.
+      const answer = questionTypes.getQuestionType(question) === questionTypes.DEFAULT_TYPE
+        ? { choiceIndex: response }
+        : { response };
+      return {
+        questionId: id,
+        ...answer,
+        credit,
+        correct: credit === 1,
+        ...(sessions.isTimedOut(session, id) ? { timedOut: true } : {}),
+        points: answerPoints[index],
+        seconds: secondsById.has(id) ? secondsById.get(id) : null
+      };
+    })
+  };
+}
+
+function normalizeFilterValue(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+// A missing or zero time limit means the questions are untimed.
+function normalizeTimeLimit(value) {
+  if (value === undefined || value === null || value === '' || Number(value) === 0) {
+    return null;
+  }
+  return QUESTION_TIME_LIMITS.includes(Number(value)) ? Number(value) : undefined;
+}
+
+function resolveQuizSelection({ limit, category, difficulty, mode, seed, timeLimit, scoring: rule, team }) {
+  const filters = {
+    category: normalizeFilterValue(category),
+    difficulty: normalizeFilterValue(difficulty)
+  };
+  const quizMode = normalizeFilterValue(mode) || 'standard';
+  const questionTimeLimit = normalizeTimeLimit(timeLimit);
+  const scoringRule = normalizeFilterValue(rule) || scoring.DEFAULT_RULE;
+
+  if (!QUIZ_MODES.includes(quizMode)) {
+    return { status: 400, errorKey: 'quiz.unknownMode' };
+  }
+
+  if (questionTimeLimit === undefined) {
+    return { status: 400, errorKey: 'quiz.invalidTimeLimit', params: { limits: QUESTION_TIME_LIMITS.join('/') } };
+  }
+
+  if (!scoring.isScoringRule(scoringRule)) {
+    return { status: 400, errorKey: 'quiz.unknownScoring' };
+  }
+
+  if (filters.category && !categoryIdSet.has(filters.category)) {
+    return { status: 400, errorKey: 'quiz.unknownCategory' };
+  }
+
+  if (filters.difficulty && !difficultyIdSet.has(filters.difficulty)) {
+    return { status: 400, errorKey: 'quiz.unknownDifficulty' };
+  }
+
+  const pool = questionBank.getQuestions().filter(question => (
+    (!filters.category || question.category === filters.category)
+    && (!filters.difficulty || question.difficulty === filters.difficulty)
+  ));
+
+  if (!pool.length) {
+    return { status: 404, errorKey: 'quiz.noQuestions' };
+  }
+
+  return {
+    pool,
+    filters,
+    limit: clampQuestionCount(limit, pool.length),
+    mode: quizMode,
+    seed: quizMode === 'adaptive' ? adaptive.normalizeSeed(seed) : null,
+    timeLimit: questionTimeLimit,
+    scoring: scoringRule,
+    team: teams.normalizeTeamName(team) || null
+  };
+}
+
+// History is append-only, so a running total only applies the attempts recorded since it was last used.
+// Its count is checked again after the read, since a concurrent call may have applied some of them meanwhile.
+async function catchUpWithHistory(total, apply) {
+  const start = total.count;
+  const attempts = await historyStore.readSince(start);
+  return apply(total, attempts.slice(total.count - start));
+}
+
+function getRatingTable() {
+  return catchUpWithHistory(ratingTable, (table, attempts) => rating.applyAttempts(table, attempts, questionBank.getQuestion));
+}
+
+function summarizeRating(before, after) {
+  return {
+    value: Math.round(after.rating),
+    change: Math.round(after.rating - before.rating),
+    answers: after.answers
+  };
+}
+
+// data/categories.js holds the Japanese labels; other languages take theirs from the catalog when it has one.
+function getFilterLabel(t, group, item) {
+  const key = `${group}.${item.id}`;
+  const label = t(key);
+  return label === key ? item.label : label;
+}
+
+function summarizeCategories(t) {
+  const questions = questionBank.getQuestions();
+  const countBy = (predicate) => questions.filter(predicate).length;
+  return {
+    categories: categories.map(category => ({
+      ...category,
+      label: getFilterLabel(t, 'categories', category),
+      count: countBy(question => question.category === category.id),
+      difficulties: Object.fromEntries(difficulties.map(difficulty => [
+        difficulty.id,
+        countBy(question => question.category === category.id && question.difficulty === difficulty.id)
+      ]))
+    })),
+    difficulties: difficulties.map(difficulty => ({
+      ...difficulty,
+      label: getFilterLabel(t, 'difficulties', difficulty),
+      count: countBy(question => question.difficulty === difficulty.id)
+    })),
+    total: questions.length
+  };
+}
+
+// Timed sessions only hand out the first question; the rest are opened one by one through /next.
+function getInitialQuestions(session) {
+  const ids = session.timeLimit ? session.questionIds.slice(0, 1) : session.questionIds;
+  return ids.map((id) => {
+    const question = questionBank.getQuestion(id);
+    if (session.timeLimit) {
+      sessions.openQuestion(session, id, session.startedAt);
     }
+    return toSessionQuestion(session, question);
   });
+}
 
-  if (map.size !== rawAnswers.length) {
+// Feeds an answer into the adaptive estimate and appends the next pick; returns that question, if any.
+function advanceAdaptiveSession(session, questionId, credit) {
+  if (!session.adaptive) {
+    return null;
+  }
+  adaptive.recordResult(session.adaptive, questionId, credit);
+  if (session.questionIds.length >= session.targetCount) {
+    return null;
+  }
+  const next = questionBank.getQuestion(adaptive.pickNextQuestion(session.adaptive));
+  if (!next || !sessions.appendQuestion(session, next.id)) {
     return null;
   }
+  sessions.setChoiceOrder(session, next.id, choiceOrder.createSeededChoiceOrder(next, `adaptive:${session.adaptive.seed}`));
+  return next;
+}
+
+async function createAdaptiveSession({ pool, filters, limit, seed, timeLimit, scoring: rule, team }, playerId, locale) {
+  const table = await getRatingTable();
+  const state = adaptive.createAdaptiveState({
+    questionRatings: new Map(pool.map(question => [question.id, rating.getQuestionRating(table, question.id, question)])),
+    playerRating: rating.getPlayerRating(table, playerId),
+    seed
+  });
+  const first = questionBank.getQuestion(adaptive.pickNextQuestion(state));
+  const board = getBoardKey({ questionCount: limit, ...filters, mode: 'adaptive', timeLimit, scoring: rule });
+  const choiceOrders = createChoiceOrders([first], `adaptive:${seed}`);
+  const session = sessions.createSession([first.id], {
+    board,
+    targetCount: limit,
+    adaptive: state,
+    playerId,
+    choiceOrders,
+    timeLimit,
+    scoring: rule,
+    team,
+    locale
+  });
+  return {
+    sessionId: session.id,
+    board,
+    mode: 'adaptive',
+    seed,
+    timeLimit,
+    scoring: rule,
+    team,
+    locale,
+    startedAt: session.startedAt,
+    serverTime: Date.now(),
+    questions: getInitialQuestions(session),
+    total: limit
+  };
+}
+
+async function createQuizSession(selection, playerId, locale = i18n.DEFAULT_LOCALE) {
+  if (selection.mode === 'adaptive') {
+    return createAdaptiveSession(selection, playerId, locale);
+  }
 
-  return map;
+  const { pool, filters, limit, timeLimit, scoring: rule, team } = selection;
+  const selected = shuffleQuestions(pool).slice(0, limit);
+  const board = getBoardKey({ questionCount: selected.length, ...filters, timeLimit, scoring: rule });
+  const choiceOrders = createChoiceOrders(selected);
+  // Binding the session to the player who started it keeps anyone else from submitting it.
+  const session = sessions.createSession(selected.map(question => question.id), {
+    board,
+    playerId,
+    choiceOrders,
+    timeLimit,
+    scoring: rule,
+    team,
+    locale
+  });
+  return {
+    sessionId: session.id,
+    board,
+    mode: 'standard',
+    timeLimit,
+    scoring: rule,
+    team,
+    locale,
+    startedAt: session.startedAt,
+    serverTime: Date.now(),
+    questions: getInitialQuestions(session),
+    total: selected.length
+  };
 }
 
 function shuffleQuestions(list) {
@@ -117,7 +647,7 @@ function shuffleQuestions(list) {
   return copy;
 }
 
-function clampQuestionCount(value) {
+function clampQuestionCount(value, max = questionBank.getQuestions().length) {
   if (value === null || value === undefined || value === '') {
     return DEFAULT_QUESTION_COUNT;
   }
@@ -132,174 +662,1832 @@ function clampQuestionCount(value) {
     return 1;
   }
 
-  if (truncated > questions.length) {
-    return questions.length;
+  if (truncated > max) {
+    return max;
   }
 
   return truncated;
 }
 
-async function handleApiRequest(req, res, url) {
-  if (req.method === 'GET' && url.pathname === '/api/quiz') {
-    const limit = clampQuestionCount(url.searchParams.get('limit'));
-    const selected = shuffleQuestions(questions).slice(0, limit);
-    sendJson(res, 200, { questions: selected, total: selected.length });
+async function handleRoomRequest(req, res, url, locale) {
+  const t = i18n.getTranslator(locale);
+  if (req.method === 'POST' && url.pathname === '/api/rooms') {
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, 400, { error: t('common.invalidPayload') });
+      return true;
+    }
+
+    const selection = resolveQuizSelection(payload);
+    if (selection.errorKey) {
+      sendJson(res, selection.status, { error: t(selection.errorKey, selection.params) });
+      return true;
+    }
+
+    // Buzzer rounds are answered with a single tap, so only single-choice questions are used.
+    const pool = selection.pool.filter(question => questionTypes.getQuestionType(question) === questionTypes.DEFAULT_TYPE);
+    if (!pool.length) {
+      sendJson(res, 404, { error: t('room.noQuestions') });
+      return true;
+    }
+
+    const selected = shuffleQuestions(pool).slice(0, selection.limit);
+    const room = rooms.createRoom(selected.map(question => choiceOrder.shuffleQuestionChoices(question)));
+    sendJson(res, 201, {
+      code: room.code,
+      hostToken: room.hostToken,
+      joinUrl: `/?room=${room.code}`,
+      room: rooms.getSnapshot(room)
+    });
     return true;
   }
 
-  if (req.method === 'GET' && url.pathname === '/api/leaderboard') {
-    const leaderboard = sortLeaderboard(await readLeaderboard());
-    sendJson(res, 200, { leaderboard });
+  const match = url.pathname.match(/^\/api\/rooms\/([A-Za-z0-9]+)(?:\/(join|events|next|buzz))?$/);
+  if (!match) {
+    return false;
+  }
+
+  const room = rooms.getRoom(match[1]);
+  const action = match[2] || null;
+  if (!room) {
+    sendJson(res, 404, { error: t('room.notFound') });
     return true;
   }
 
-  if (req.method === 'POST' && url.pathname === '/api/submit') {
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk;
-      if (body.length > 1e6) {
-        req.destroy();
-      }
-    });
+  if (req.method === 'GET' && action === null) {
+    sendJson(res, 200, { room: rooms.getSnapshot(room) });
+    return true;
+  }
 
-    req.on('end', async () => {
-      try {
-        const payload = JSON.parse(body || '{}');
-        const name = sanitizeName(payload.playerName || '');
-        const answerMap = normalizeAnswers(payload.answers);
-        const totalTime = typeof payload.totalTime === 'number' && payload.totalTime >= 0 ? Number(payload.totalTime) : null;
+  if (req.method === 'GET' && action === 'events') {
+    rooms.subscribe(room, req, res);
+    return true;
+  }
 
-        if (!name) {
-          sendJson(res, 400, { error: 'プレイヤー名を入力してください。' });
-          return;
-        }
+  if (req.method !== 'POST' || action === null || action === 'events') {
+    return false;
+  }
 
-        if (!answerMap || answerMap.size === 0) {
-          sendJson(res, 400, { error: '回答データが不足しています。' });
-          return;
-        }
+  let payload;
+  try {
+    payload = await readJsonBody(req);
+  } catch (error) {
+    sendJson(res, 400, { error: t('common.invalidPayload') });
+    return true;
+  }
 
-        const answeredQuestions = Array.from(answerMap.keys()).map(id => questionMap.get(id));
-        if (answeredQuestions.some(question => !question)) {
-          sendJson(res, 400, { error: '存在しない問題への回答が含まれています。' });
-          return;
-        }
+  if (action === 'join') {
+    const name = sanitizeName(typeof payload.name === 'string' ? payload.name : '');
+    if (!name) {
+      sendJson(res, 400, { error: t('player.nameRequired') });
+      return true;
+    }
 
-        const totalQuestions = answeredQuestions.length;
-        const score = answeredQuestions.reduce((acc, question) => {
-          const selected = answerMap.get(question.id);
-          if (typeof selected !== 'number') {
-            return acc;
-          }
-          return acc + (question.answer === selected ? 1 : 0);
-        }, 0);
+    if (rooms.hasPlayerNamed(room, name)) {
+      sendJson(res, 409, { error: t('room.nameTaken') });
+      return true;
+    }
 
-        const leaderboard = await readLeaderboard();
-        const completedAt = new Date().toISOString();
-        const newEntry = {
-          name,
-          score,
-          totalQuestions,
-          totalTime: totalTime !== null ? Number(totalTime.toFixed(2)) : null,
-          completedAt
-        };
+    if (rooms.isFull(room)) {
+      sendJson(res, 409, { error: t('room.full') });
+      return true;
+    }
 
-        const existingIndex = leaderboard.findIndex(entry => entry.name === name);
-        if (existingIndex >= 0) {
-          const current = leaderboard[existingIndex];
-          const isBetterScore = score > current.score;
-          const isFaster = score === current.score && (totalTime !== null && current.totalTime !== null) && totalTime < current.totalTime;
-          if (isBetterScore || isFaster) {
-            leaderboard[existingIndex] = newEntry;
-          }
-        } else {
-          leaderboard.push(newEntry);
-        }
+    const player = rooms.joinRoom(room, name);
+    sendJson(res, 201, { playerId: player.id, token: player.token, room: rooms.getSnapshot(room) });
+    return true;
+  }
 
-        const sorted = sortLeaderboard(leaderboard);
-        await writeLeaderboard(sorted);
+  if (action === 'next') {
+    if (!rooms.isHost(room, payload.hostToken)) {
+      sendJson(res, 403, { error: t('room.hostOnly') });
+      return true;
+    }
 
-        sendJson(res, 200, {
-          score,
-          total: totalQuestions,
-          leaderboard: sorted
-        });
-      } catch (error) {
-        console.error('Failed to handle submission:', error);
-        sendJson(res, 400, { error: '送信データの形式が正しくありません。' });
-      }
-    });
+    rooms.advance(room);
+    sendJson(res, 200, { room: rooms.getSnapshot(room) });
+    return true;
+  }
 
+  const player = rooms.authenticatePlayer(room, payload.playerId, payload.token);
+  if (!player) {
+    sendJson(res, 403, { error: t('room.notParticipant') });
     return true;
   }
 
-  return false;
+  if (!rooms.isAcceptingBuzzes(room)) {
+    sendJson(res, 409, { error: t('room.notAccepting') });
+    return true;
+  }
+
+  if (rooms.hasBuzzed(room, player.id)) {
+    sendJson(res, 409, { error: t('session.alreadyAnswered') });
+    return true;
+  }
+
+  if (!rooms.isValidChoice(room, payload.choiceIndex)) {
+    sendJson(res, 400, { error: t('room.invalidChoice') });
+    return true;
+  }
+
+  const correct = rooms.buzz(room, player, payload.choiceIndex);
+  sendJson(res, 200, { correct, room: rooms.getSnapshot(room) });
+  return true;
 }
 
-function serveStatic(req, res, url) {
-  let filePath = path.join(PUBLIC_DIR, decodeURIComponent(url.pathname));
-  if (url.pathname === '/' || url.pathname === '') {
-    filePath = path.join(PUBLIC_DIR, 'index.html');
+// Shows are driven by a host on a big screen; the audience answers on their phones through ordinary quiz sessions.
+function createShowQuestion(question, order, locale) {
+  const localized = localizeQuestion(question, locale);
+  return {
+    id: question.id,
+    question: toPublicQuestion(localized, order),
+    correctIndex: choiceOrder.toDisplayIndex(order, question.answer),
+    explanation: localized.explanation || null
+  };
+}
+
+// Every member of the audience sees the choices in the show's order, so the answer counts line up on the big screen.
+function createShowSession(show, player, locale) {
+  const session = sessions.createSession(show.questions.map(question => question.id), {
+    playerId: player.id,
+    show: show.code,
+    choiceOrders: show.choiceOrders,
+    locale
+  });
+  shows.joinShow(show, player, session.id);
+
+  const current = shows.getCurrentQuestion(show);
+  const questions = [];
+  if (current && show.phase === 'question' && !shows.hasAnswered(show, player.id, current.id)) {
+    sessions.openQuestion(session, current.id);
+    questions.push(toSessionQuestion(session, questionBank.getQuestion(current.id)));
   }
+  return {
+    sessionId: session.id,
+    mode: 'show',
+    show: { code: show.code, questionNumber: show.currentIndex + 1 },
+    locale,
+    startedAt: session.startedAt,
+    serverTime: Date.now(),
+    questions,
+    total: show.questions.length
+  };
+}
 
-  fs.stat(filePath, (err, stats) => {
-    if (err) {
-      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
-      res.end('Not found');
+async function sendShowQuiz(req, res, code, locale) {
+  const t = i18n.getTranslator(locale);
+  const show = shows.getShow(code);
+  if (!show) {
+    sendJson(res, 404, { error: t('show.notFound') });
+    return;
+  }
+  if (show.phase === 'finished') {
+    sendJson(res, 409, { error: t('show.finished') });
+    return;
+  }
+
+  try {
+    const player = await players.authenticate(getBearerToken(req));
+    if (!player) {
+      sendJson(res, 401, { error: t('show.registrationRequired') });
       return;
     }
-
-    if (stats.isDirectory()) {
-      const indexPath = path.join(filePath, 'index.html');
-      fs.stat(indexPath, (indexErr) => {
-        if (indexErr) {
-          res.writeHead(403, { 'Content-Type': 'text/plain; charset=utf-8' });
-          res.end('Forbidden');
-          return;
-        }
-        streamFile(indexPath, res);
-      });
+    if (!shows.findAudienceSessionId(show, player.id) && shows.isFull(show)) {
+      sendJson(res, 409, { error: t('show.full') });
       return;
     }
-
-    streamFile(filePath, res);
-  });
+    sendJson(res, 201, createShowSession(show, player, locale));
+  } catch (error) {
+    console.error('Failed to create show session:', error);
+    sendJson(res, 500, { error: t('quiz.createFailed') });
+  }
 }
 
-function streamFile(filePath, res) {
-  const ext = path.extname(filePath).toLowerCase();
-  const contentType = mimeTypes[ext] || 'application/octet-stream';
-  const stream = fs.createReadStream(filePath);
+async function handleShowRequest(req, res, url, locale) {
+  const t = i18n.getTranslator(locale);
+  if (req.method === 'POST' && url.pathname === '/api/shows') {
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, 400, { error: t('common.invalidPayload') });
+      return true;
+    }
 
-  stream.on('open', () => {
-    res.writeHead(200, { 'Content-Type': contentType });
-  });
+    const selection = resolveQuizSelection(payload);
+    if (selection.errorKey) {
+      sendJson(res, selection.status, { error: t(selection.errorKey, selection.params) });
+      return true;
+    }
 
-  stream.on('error', (error) => {
-    console.error('File stream error:', error);
-    res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
-    res.end('Internal server error');
-  });
+    // The big screen charts how the answers split between the choices, so only single-choice questions are used.
+    const pool = selection.pool.filter(question => questionTypes.getQuestionType(question) === questionTypes.DEFAULT_TYPE);
+    if (!pool.length) {
+      sendJson(res, 404, { error: t('show.noQuestions') });
+      return true;
+    }
 
-  stream.pipe(res);
-}
+    const selected = shuffleQuestions(pool).slice(0, selection.limit);
+    const choiceOrders = createChoiceOrders(selected);
+    const show = shows.createShow(
+      selected.map(question => createShowQuestion(question, choiceOrders.get(question.id), locale)),
+      choiceOrders
+    );
+    sendJson(res, 201, {
+      code: show.code,
+      hostToken: show.hostToken,
+      joinUrl: `/?show=${show.code}`,
+      show: shows.getSnapshot(show)
+    });
+    return true;
+  }
 
-const server = http.createServer(async (req, res) => {
-  const url = new URL(req.url, `http://${req.headers.host}`);
+  const match = url.pathname.match(/^\/api\/shows\/([A-Za-z0-9]+)(?:\/(events|next|reveal|standings))?$/);
+  if (!match) {
+    return false;
+  }
 
-  const handled = await handleApiRequest(req, res, url);
-  if (handled) {
-    return;
+  const show = shows.getShow(match[1]);
+  const action = match[2] || null;
+  if (!show) {
+    sendJson(res, 404, { error: t('show.notFound') });
+    return true;
   }
 
-  if (req.method === 'GET' || req.method === 'HEAD') {
-    serveStatic(req, res, url);
-  } else {
-    res.writeHead(405, { 'Content-Type': 'text/plain; charset=utf-8' });
-    res.end('Method not allowed');
+  if (req.method === 'GET' && action === null) {
+    sendJson(res, 200, { show: shows.getSnapshot(show) });
+    return true;
   }
-});
 
-server.listen(PORT, () => {
-  console.log(`Quiz app server running on http://localhost:${PORT}`);
+  if (req.method === 'GET' && action === 'events') {
+    shows.subscribe(show, req, res);
+    return true;
+  }
+
+  if (req.method !== 'POST' || action === null || action === 'events') {
+    return false;
+  }
+
+  let payload;
+  try {
+    payload = await readJsonBody(req);
+  } catch (error) {
+    sendJson(res, 400, { error: t('common.invalidPayload') });
+    return true;
+  }
+
+  if (!shows.isHost(show, payload.hostToken)) {
+    sendJson(res, 403, { error: t('show.hostOnly') });
+    return true;
+  }
+
+  const hostActions = {
+    next: shows.openNextQuestion,
+    reveal: shows.revealAnswer,
+    standings: shows.showStandings
+  };
+  const error = hostActions[action](show);
+  if (error) {
+    sendJson(res, error.status, { error: t(error.errorKey) });
+    return true;
+  }
+  sendJson(res, 200, { show: shows.getSnapshot(show) });
+  return true;
+}
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+function isAdminRequest(req) {
+  return codes.tokensMatch(ADMIN_TOKEN, getBearerToken(req));
+}
+
+// Validation errors carry message keys, so each admin reads them in their own language.
+function translateErrors(t, errors) {
+  return errors.map(error => t(error.errorKey, error.params));
+}
+
+async function handleAdminRequest(req, res, url, locale) {
+  const t = i18n.getTranslator(locale);
+  if (!isAdminRequest(req)) {
+    sendJson(res, 401, { error: t('admin.unauthorized') });
+    return true;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/admin/questions') {
+    sendJson(res, 200, { questions: questionBank.getQuestions() });
+    return true;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/admin/questions/export') {
+    const format = url.searchParams.get('format') === 'csv' ? 'csv' : 'json';
+    const payload = questionTransfer.exportQuestions(questionBank.getQuestions(), format);
+    res.writeHead(200, {
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="questions.${format}"`,
+      'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+    return true;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/admin/questions/import') {
+    const contentType = req.headers['content-type'] || '';
+    const format = url.searchParams.get('format') || (contentType.includes('csv') ? 'csv' : 'json');
+    const dryRun = ['1', 'true'].includes(url.searchParams.get('dryRun'));
+
+    let body;
+    try {
+      body = await readBody(req, MAX_IMPORT_SIZE);
+    } catch (error) {
+      sendJson(res, 413, { error: t('admin.fileTooLarge') });
+      return true;
+    }
+
+    const parsed = questionTransfer.parseImport(body, format);
+    if (parsed.errors.length) {
+      const errors = translateErrors(t, parsed.errors);
+      sendJson(res, 400, { error: errors[0], errors });
+      return true;
+    }
+
+    let report;
+    try {
+      report = await questionBank.importQuestions(parsed.records, { dryRun });
+    } catch (error) {
+      console.error('Failed to import questions:', error);
+      sendJson(res, 500, { error: t('admin.importFailed') });
+      return true;
+    }
+    sendJson(res, report.errors.length && !dryRun ? 400 : 200, {
+      ...report,
+      errors: report.errors.map(({ row, errors }) => ({ row, errors: translateErrors(t, errors) }))
+    });
+    return true;
+  }
+
+  // The file is sent as the raw request body with its own Content-Type.
+  if (req.method === 'POST' && url.pathname === '/api/admin/media') {
+    const declaredLength = Number(req.headers['content-length']);
+    if (declaredLength > media.MAX_UPLOAD_SIZE) {
+      sendJson(res, 413, { error: t('admin.fileTooLarge') });
+      return true;
+    }
+
+    let body;
+    try {
+      body = await readRawBody(req, media.MAX_UPLOAD_SIZE);
+    } catch (error) {
+      sendJson(res, 413, { error: t('admin.fileTooLarge') });
+      return true;
+    }
+
+    const upload = media.validateUpload(body, req.headers['content-type']);
+    if (upload.errorKey) {
+      sendJson(res, upload.status, { error: t(upload.errorKey, upload.params) });
+      return true;
+    }
+
+    let saved;
+    try {
+      saved = await media.saveMedia(MEDIA_DIR, body, upload.contentType);
+    } catch (error) {
+      console.error('Failed to save media:', error);
+      sendJson(res, 500, { error: t('admin.mediaSaveFailed') });
+      return true;
+    }
+    sendJson(res, 201, { media: saved });
+    return true;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/admin/tournaments') {
+    const list = await tournamentRegistry.listTournaments();
+    sendJson(res, 200, { tournaments: list.map(tournament => toPublicTournament(tournament)) });
+    return true;
+  }
+
+  // Each round takes the same settings as /api/quiz (limit, category, difficulty, timeLimit, scoring) plus advance.
+  if (req.method === 'POST' && url.pathname === '/api/admin/tournaments') {
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, 400, { error: t('common.invalidPayload') });
+      return true;
+    }
+
+    const errors = translateErrors(t, tournaments.validateTournamentInput(payload));
+    if (errors.length) {
+      sendJson(res, 400, { error: errors[0], errors });
+      return true;
+    }
+
+    // Every player of a round has to get the same questions, so adaptive mode is not offered.
+    const selections = payload.rounds.map(round => resolveQuizSelection({ ...round, mode: null, seed: null }));
+    const failedIndex = selections.findIndex(selection => selection.errorKey);
+    if (failedIndex >= 0) {
+      const failed = selections[failedIndex];
+      sendJson(res, failed.status, { error: t(failed.errorKey, failed.params), round: failedIndex + 1 });
+      return true;
+    }
+
+    const rounds = selections.map((selection, index) => ({
+      selection: {
+        limit: selection.limit,
+        category: selection.filters.category,
+        difficulty: selection.filters.difficulty,
+        timeLimit: selection.timeLimit,
+        scoring: selection.scoring
+      },
+      advance: payload.rounds[index].advance
+    }));
+
+    const tournament = await tournamentRegistry.createTournament({ name: payload.name, rounds });
+    sendJson(res, 201, { tournament: toPublicTournament(tournament) });
+    return true;
+  }
+
+  const roundMatch = url.pathname.match(/^\/api\/admin\/tournaments\/([^/]+)\/rounds\/(\d+)\/(open|close)$/);
+  if (req.method === 'POST' && roundMatch) {
+    const tournamentId = decodePathSegment(roundMatch[1]);
+    const number = Number(roundMatch[2]);
+    const result = roundMatch[3] === 'open'
+      ? await tournamentRegistry.openRound(tournamentId, number, round => createTournamentQuestionIds(tournamentId, round))
+      : await tournamentRegistry.closeRound(tournamentId, number);
+    if (result.error) {
+      sendJson(res, result.error.status, { error: t(result.error.errorKey) });
+      return true;
+    }
+    sendJson(res, 200, { tournament: toPublicTournament(result.tournament) });
+    return true;
+  }
+
+  const match = url.pathname.match(/^\/api\/admin\/questions(?:\/(\d+))?$/);
+  if (!match) {
+    return false;
+  }
+
+  const id = match[1] ? Number(match[1]) : null;
+
+  if (req.method === 'DELETE' && id !== null) {
+    let deleted;
+    try {
+      deleted = await questionBank.deleteQuestion(id);
+    } catch (error) {
+      console.error('Failed to delete question:', error);
+      sendJson(res, 500, { error: t('admin.saveFailed') });
+      return true;
+    }
+    if (!deleted) {
+      sendJson(res, 404, { error: t('admin.questionNotFound') });
+      return true;
+    }
+    sendJson(res, 200, { deleted: id });
+    return true;
+  }
+
+  const isCreate = req.method === 'POST' && id === null;
+  const isUpdate = req.method === 'PUT' && id !== null;
+  if (!isCreate && !isUpdate) {
+    return false;
+  }
+
+  let payload;
+  try {
+    payload = await readJsonBody(req);
+  } catch (error) {
+    sendJson(res, 400, { error: t('common.invalidPayload') });
+    return true;
+  }
+
+  let result;
+  try {
+    result = isCreate
+      ? await questionBank.createQuestion(payload)
+      : await questionBank.updateQuestion(id, payload);
+  } catch (error) {
+    console.error('Failed to save question:', error);
+    sendJson(res, 500, { error: t('admin.saveFailed') });
+    return true;
+  }
+
+  if (!result) {
+    sendJson(res, 404, { error: t('admin.questionNotFound') });
+    return true;
+  }
+
+  if (result.errors) {
+    const errors = translateErrors(t, result.errors);
+    sendJson(res, 400, { error: errors[0], errors });
+    return true;
+  }
+
+  sendJson(res, isCreate ? 201 : 200, { question: result.question });
+  return true;
+}
+
+async function handlePlayerRequest(req, res, url, locale) {
+  const t = i18n.getTranslator(locale);
+  if (req.method === 'POST' && url.pathname === '/api/players') {
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, 400, { error: t('common.invalidPayload') });
+      return true;
+    }
+
+    const result = await players.claim(payload.name);
+    if (result.errorKey) {
+      sendJson(res, result.status, { error: t(result.errorKey), suggestions: result.suggestions || [] });
+      return true;
+    }
+    sendJson(res, 201, result);
+    return true;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/players/recover') {
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, 400, { error: t('common.invalidPayload') });
+      return true;
+    }
+
+    const result = await players.recover(payload.recoveryCode);
+    if (result.errorKey) {
+      sendJson(res, result.status, { error: t(result.errorKey) });
+      return true;
+    }
+    sendJson(res, 200, result);
+    return true;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/players/me') {
+    const player = await players.authenticate(getBearerToken(req));
+    if (!player) {
+      sendJson(res, 401, { error: t('player.unauthorized') });
+      return true;
+    }
+    sendJson(res, 200, { player: { id: player.id, name: player.name, createdAt: player.createdAt } });
+    return true;
+  }
+
+  const historyMatch = url.pathname.match(/^\/api\/players\/([^/]+)\/history$/);
+  if (req.method === 'GET' && historyMatch) {
+    let name;
+    try {
+      name = sanitizeName(decodeURIComponent(historyMatch[1]));
+    } catch (error) {
+      name = '';
+    }
+    if (!name) {
+      sendJson(res, 400, { error: t('player.nameRequired') });
+      return true;
+    }
+
+    let player;
+    let attempts;
+    try {
+      player = await players.getByName(name);
+      attempts = (await historyStore.read()).filter(attempt => (attempt.playerId
+        ? Boolean(player) && attempt.playerId === player.id
+        : attempt.name === name));
+    } catch (error) {
+      console.error('Failed to read play history:', error);
+      sendJson(res, 500, { error: t('common.historyFailed') });
+      return true;
+    }
+
+    const limit = Math.min(MAX_HISTORY_ATTEMPTS, Math.max(1, Math.trunc(Number(url.searchParams.get('limit'))) || 50));
+    const recent = attempts
+      .slice()
+      .sort((a, b) => new Date(b.completedAt).getTime() - new Date(a.completedAt).getTime())
+      .slice(0, limit);
+
+    sendJson(res, 200, {
+      name: player ? player.name : name,
+      playerId: player ? player.id : null,
+      summary: playerStats.summarizeHistory(attempts),
+      timeline: playerStats.getAccuracyTimeline(attempts),
+      attempts: recent
+    });
+    return true;
+  }
+
+  return false;
+}
+
+async function loadPlayerAttempts(playerId) {
+  return (await historyStore.read()).filter(attempt => attempt.playerId === playerId);
+}
+
+// Practice has no session to keep the choice order in, so the client echoes the seed back with its answer.
+function toPracticeQuestion(question, locale) {
+  const choiceSeed = crypto.randomBytes(8).toString('hex');
+  return {
+    ...toPublicQuestion(localizeQuestion(question, locale), choiceOrder.createSeededChoiceOrder(question, `practice:${choiceSeed}`)),
+    choiceSeed
+  };
+}
+
+// Practice never touches sessions, history or the leaderboard; only the review schedule changes.
+async function handlePracticeRequest(req, res, url, locale) {
+  const t = i18n.getTranslator(locale);
+  if (req.method === 'GET' && url.pathname === '/api/practice') {
+    const limit = Math.min(MAX_PRACTICE_COUNT, Math.max(1, Math.trunc(Number(url.searchParams.get('limit'))) || DEFAULT_PRACTICE_COUNT));
+    const player = await players.authenticate(getBearerToken(req));
+
+    if (!player) {
+      // Anonymous players keep their schedule in localStorage and send the due question IDs in order.
+      const questionIds = (url.searchParams.get('questionIds') || '')
+        .split(',')
+        .map(Number)
+        .filter(Number.isInteger);
+      const questions = questionIds
+        .map(id => questionBank.getQuestion(id))
+        .filter(Boolean)
+        .slice(0, limit);
+      sendJson(res, 200, { storage: 'local', questions: questions.map(question => toPracticeQuestion(question, locale)), due: null, total: null });
+      return true;
+    }
+
+    const cards = await practiceRegistry.getCards(player.id, () => loadPlayerAttempts(player.id));
+    const available = cards.filter(card => questionBank.getQuestion(card.questionId));
+    const now = Date.now();
+    const selected = practice.selectCards(available, { limit, now });
+    sendJson(res, 200, {
+      storage: 'server',
+      questions: selected.map(card => ({ ...toPracticeQuestion(questionBank.getQuestion(card.questionId), locale), card })),
+      due: available.filter(card => card.dueAt <= now).length,
+      total: available.length
+    });
+    return true;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/practice/answer') {
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, 400, { error: t('common.invalidPayload') });
+      return true;
+    }
+
+    const { questionId, choiceSeed } = payload;
+    const question = localizeQuestion(questionBank.getQuestion(questionId), locale);
+    if (!question) {
+      sendJson(res, 404, { error: t('practice.questionNotFound') });
+      return true;
+    }
+
+    const order = typeof choiceSeed === 'string' && choiceSeed
+      ? choiceOrder.createSeededChoiceOrder(question, `practice:${choiceSeed}`)
+      : null;
+    const response = questionTypes.parseResponse(question, getAnswerValue(payload), order);
+    if (response === undefined) {
+      sendJson(res, 400, { error: t('session.invalidAnswer') });
+      return true;
+    }
+
+    const credit = questionTypes.gradeResponse(question, response);
+    const player = await players.authenticate(getBearerToken(req));
+    const card = player
+      ? await practiceRegistry.recordReview(player.id, question.id, credit === 1)
+      : practice.reviewCard(practice.normalizeCard(payload.card, question.id), credit === 1);
+
+    sendJson(res, 200, {
+      questionId: question.id,
+      ...buildAnswerFeedback(question, credit, order),
+      card
+    });
+    return true;
+  }
+
+  return false;
+}
+
+function createDailyQuestionIds(dateKey) {
+  return daily.pickQuestionIds(questionBank.getQuestions(), dateKey, DAILY_QUESTION_COUNT);
+}
+
+function rankDailyResults(results) {
+  return sortLeaderboard(results).map((entry, index) => ({ ...entry, rank: index + 1 }));
+}
+
+async function getDailyStreak(playerId, todayKey) {
+  const playedDates = await dailyRegistry.getPlayedDates(playerId);
+  return {
+    current: daily.getStreak(playedDates, todayKey),
+    best: daily.getBestStreak(playedDates),
+    playedToday: playedDates.includes(todayKey)
+  };
+}
+
+async function handleDailyRequest(req, res, url, locale) {
+  const t = i18n.getTranslator(locale);
+  const today = daily.getDateKey(DAILY_TIMEZONE);
+
+  if (req.method === 'GET' && url.pathname === '/api/daily') {
+    const questionIds = await dailyRegistry.getQuestionIds(today, () => createDailyQuestionIds(today));
+    const player = await players.authenticate(getBearerToken(req));
+    const day = await dailyRegistry.findDay(today);
+    const ranked = rankDailyResults(day ? day.results : []);
+
+    sendJson(res, 200, {
+      date: today,
+      timeZone: DAILY_TIMEZONE,
+      questionCount: questionIds.length,
+      players: ranked.length,
+      started: Boolean(player && day && day.starts[player.id]),
+      result: player ? ranked.find(entry => entry.playerId === player.id) || null : null,
+      streak: player ? await getDailyStreak(player.id, today) : null
+    });
+    return true;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/daily/sessions') {
+    const player = await players.authenticate(getBearerToken(req));
+    if (!player) {
+      sendJson(res, 401, { error: t('daily.registrationRequired') });
+      return true;
+    }
+
+    const questionIds = await dailyRegistry.startAttempt(today, player.id, () => createDailyQuestionIds(today));
+    if (!questionIds) {
+      sendJson(res, 409, { error: t('daily.alreadyPlayed') });
+      return true;
+    }
+
+    const questions = questionIds.map(id => questionBank.getQuestion(id)).filter(Boolean);
+    if (!questions.length) {
+      sendJson(res, 404, { error: t('daily.noQuestions') });
+      return true;
+    }
+
+    // Everyone gets the same choice order too, so the daily ranking compares like with like.
+    const board = `daily:${today}`;
+    const choiceOrders = createChoiceOrders(questions, board);
+    const session = sessions.createSession(questions.map(question => question.id), {
+      board,
+      playerId: player.id,
+      daily: today,
+      choiceOrders,
+      locale
+    });
+    sendJson(res, 201, {
+      sessionId: session.id,
+      board,
+      mode: 'daily',
+      date: today,
+      locale,
+      startedAt: session.startedAt,
+      serverTime: Date.now(),
+      questions: questions.map(question => toSessionQuestion(session, question)),
+      total: questions.length
+    });
+    return true;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/daily/leaderboard') {
+    const date = url.searchParams.get('date') || today;
+    if (!daily.isDateKey(date)) {
+      sendJson(res, 400, { error: t('daily.invalidDate') });
+      return true;
+    }
+
+    const day = await dailyRegistry.findDay(date);
+    const ranked = rankDailyResults(day ? day.results : []);
+    sendJson(res, 200, { date, total: ranked.length, leaderboard: ranked });
+    return true;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/daily/archive') {
+    const limit = Math.min(MAX_DAILY_ARCHIVE_DAYS, Math.max(1, Math.trunc(Number(url.searchParams.get('limit'))) || 30));
+    const days = (await dailyRegistry.listDays()).slice(0, limit);
+    sendJson(res, 200, {
+      today,
+      days: days.map((day) => {
+        const [winner] = rankDailyResults(day.results);
+        return {
+          date: day.date,
+          questionCount: day.questionIds.length,
+          players: day.results.length,
+          winner: winner ? { name: winner.name, score: winner.score, totalQuestions: winner.totalQuestions, totalTime: winner.totalTime } : null
+        };
+      })
+    });
+    return true;
+  }
+
+  return false;
+}
+
+function createTournamentQuestionIds(tournamentId, round) {
+  const selection = resolveQuizSelection(round.selection);
+  if (selection.errorKey) {
+    return [];
+  }
+  return random.pickQuestionIds(selection.pool, `tournament:${tournamentId}:${round.number}`, selection.limit);
+}
+
+function toPublicRound(tournament, round) {
+  const previous = tournament.rounds[round.number - 2];
+  return {
+    number: round.number,
+    status: round.status,
+    ...round.selection,
+    advancement: round.advancement,
+    openedAt: round.openedAt,
+    closedAt: round.closedAt,
+    questionCount: round.questionIds.length || round.selection.limit,
+    // Unknown until the round before it has closed.
+    eligible: !previous || previous.advanced ? tournaments.getEligiblePlayerIds(tournament, round.number).length : null,
+    started: Object.keys(round.starts).length,
+    results: tournaments.rankResults(round.results).map(entry => ({
+      ...entry,
+      advanced: round.advanced ? round.advanced.includes(entry.playerId) : null
+    }))
+  };
+}
+
+function getTournamentEntry(tournament, playerId) {
+  const openRound = tournaments.getOpenRound(tournament);
+  return {
+    registered: tournament.players.some(player => player.playerId === playerId),
+    round: openRound ? openRound.number : null,
+    eligible: Boolean(openRound) && tournaments.getEligiblePlayerIds(tournament, openRound.number).includes(playerId),
+    started: Boolean(openRound && openRound.starts[playerId])
+  };
+}
+
+// The frozen question IDs and start times stay on the server; everything else is public.
+function toPublicTournament(tournament, playerId = null) {
+  return {
+    id: tournament.id,
+    name: tournament.name,
+    status: tournaments.getStatus(tournament),
+    createdAt: tournament.createdAt,
+    players: tournament.players,
+    rounds: tournament.rounds.map(round => toPublicRound(tournament, round)),
+    placements: tournaments.getPlacements(tournament),
+    entry: playerId ? getTournamentEntry(tournament, playerId) : null
+  };
+}
+
+function summarizeTournament(tournament) {
+  const openRound = tournaments.getOpenRound(tournament);
+  return {
+    id: tournament.id,
+    name: tournament.name,
+    status: tournaments.getStatus(tournament),
+    createdAt: tournament.createdAt,
+    players: tournament.players.length,
+    rounds: tournament.rounds.length,
+    currentRound: openRound ? openRound.number : null
+  };
+}
+
+// A round is played like any other quiz, but its settings and questions come from the round that is open.
+async function createTournamentSession(tournamentId, player, locale) {
+  const started = await tournamentRegistry.startAttempt(tournamentId, player.id);
+  if (started.error) {
+    return started.error;
+  }
+
+  const { tournament, value: round } = started;
+  const questions = round.questionIds.map(id => questionBank.getQuestion(id)).filter(Boolean);
+  if (!questions.length) {
+    return { status: 404, errorKey: 'quiz.noQuestions' };
+  }
+
+  // Everyone in the round gets the same choice order too, like the daily challenge.
+  const board = `tournament:${tournament.id}:${round.number}`;
+  const { timeLimit, scoring: rule } = round.selection;
+  const session = sessions.createSession(questions.map(question => question.id), {
+    board,
+    playerId: player.id,
+    tournament: { id: tournament.id, round: round.number },
+    choiceOrders: createChoiceOrders(questions, board),
+    timeLimit,
+    scoring: rule,
+    locale
+  });
+  return {
+    quiz: {
+      sessionId: session.id,
+      board,
+      mode: 'tournament',
+      tournament: { id: tournament.id, name: tournament.name, round: round.number },
+      timeLimit,
+      scoring: rule,
+      locale,
+      startedAt: session.startedAt,
+      serverTime: Date.now(),
+      questions: getInitialQuestions(session),
+      total: questions.length
+    }
+  };
+}
+
+async function sendTournamentQuiz(req, res, tournamentId, locale, statusCode) {
+  const t = i18n.getTranslator(locale);
+  try {
+    const player = await players.authenticate(getBearerToken(req));
+    if (!player) {
+      sendJson(res, 401, { error: t('tournament.registrationRequired') });
+      return;
+    }
+    const result = await createTournamentSession(tournamentId, player, locale);
+    if (result.errorKey) {
+      sendJson(res, result.status, { error: t(result.errorKey) });
+      return;
+    }
+    sendJson(res, statusCode, result.quiz);
+  } catch (error) {
+    console.error('Failed to create tournament session:', error);
+    sendJson(res, 500, { error: t('quiz.createFailed') });
+  }
+}
+
+async function handleTournamentRequest(req, res, url, locale) {
+  const t = i18n.getTranslator(locale);
+
+  if (req.method === 'GET' && url.pathname === '/api/tournaments') {
+    const list = await tournamentRegistry.listTournaments();
+    sendJson(res, 200, { tournaments: list.map(summarizeTournament) });
+    return true;
+  }
+
+  const tournamentMatch = url.pathname.match(/^\/api\/tournaments\/([^/]+)$/);
+  if (req.method === 'GET' && tournamentMatch) {
+    const tournament = await tournamentRegistry.findTournament(decodePathSegment(tournamentMatch[1]));
+    if (!tournament) {
+      sendJson(res, 404, { error: t('tournament.notFound') });
+      return true;
+    }
+    const player = await players.authenticate(getBearerToken(req));
+    sendJson(res, 200, { tournament: toPublicTournament(tournament, player ? player.id : null) });
+    return true;
+  }
+
+  const registerMatch = url.pathname.match(/^\/api\/tournaments\/([^/]+)\/register$/);
+  if (req.method === 'POST' && registerMatch) {
+    const player = await players.authenticate(getBearerToken(req));
+    if (!player) {
+      sendJson(res, 401, { error: t('tournament.registrationRequired') });
+      return true;
+    }
+
+    const result = await tournamentRegistry.register(decodePathSegment(registerMatch[1]), player);
+    if (result.error) {
+      sendJson(res, result.error.status, { error: t(result.error.errorKey) });
+      return true;
+    }
+    sendJson(res, 201, { tournament: toPublicTournament(result.tournament, player.id) });
+    return true;
+  }
+
+  return false;
+}
+
+async function handleApiRequest(req, res, url) {
+  const locale = i18n.resolveLocale(req, url);
+  const t = i18n.getTranslator(locale);
+
+  if (url.pathname.startsWith('/api/admin/')) {
+    return handleAdminRequest(req, res, url, locale);
+  }
+
+  if (url.pathname === '/api/rooms' || url.pathname.startsWith('/api/rooms/')) {
+    return handleRoomRequest(req, res, url, locale);
+  }
+
+  if (url.pathname === '/api/shows' || url.pathname.startsWith('/api/shows/')) {
+    return handleShowRequest(req, res, url, locale);
+  }
+
+  if (url.pathname === '/api/daily' || url.pathname.startsWith('/api/daily/')) {
+    try {
+      return await handleDailyRequest(req, res, url, locale);
+    } catch (error) {
+      console.error('Failed to handle daily challenge request:', error);
+      sendJson(res, 500, { error: t('daily.requestFailed') });
+      return true;
+    }
+  }
+
+  if (url.pathname === '/api/tournaments' || url.pathname.startsWith('/api/tournaments/')) {
+    try {
+      return await handleTournamentRequest(req, res, url, locale);
+    } catch (error) {
+      console.error('Failed to handle tournament request:', error);
+      sendJson(res, 500, { error: t('tournament.requestFailed') });
+      return true;
+    }
+  }
+
+  if (url.pathname === '/api/practice' || url.pathname.startsWith('/api/practice/')) {
+    try {
+      return await handlePracticeRequest(req, res, url, locale);
+    } catch (error) {
+      console.error('Failed to handle practice request:', error);
+      sendJson(res, 500, { error: t('practice.requestFailed') });
+      return true;
+    }
+  }
+
+  if (url.pathname === '/api/players' || url.pathname.startsWith('/api/players/')) {
+    try {
+      return await handlePlayerRequest(req, res, url, locale);
+    } catch (error) {
+      console.error('Failed to handle player request:', error);
+      sendJson(res, 500, { error: t('player.requestFailed') });
+      return true;
+    }
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/quiz') {
+    const tournamentId = url.searchParams.get('tournament');
+    if (tournamentId) {
+      await sendTournamentQuiz(req, res, tournamentId, locale, 200);
+      return true;
+    }
+
+    const selection = resolveQuizSelection({
+      limit: url.searchParams.get('limit'),
+      category: url.searchParams.get('category'),
+      difficulty: url.searchParams.get('difficulty'),
+      mode: url.searchParams.get('mode'),
+      seed: url.searchParams.get('seed'),
+      timeLimit: url.searchParams.get('timeLimit'),
+      scoring: url.searchParams.get('scoring'),
+      team: url.searchParams.get('team')
+    });
+    if (selection.errorKey) {
+      sendJson(res, selection.status, { error: t(selection.errorKey, selection.params) });
+      return true;
+    }
+
+    try {
+      // Only a registered player can submit, so every session is bound to one when it starts.
+      const player = await players.authenticate(getBearerToken(req));
+      if (!player) {
+        sendJson(res, 401, { error: t('quiz.registrationRequired') });
+        return true;
+      }
+      sendJson(res, 200, await createQuizSession(selection, player.id, locale));
+    } catch (error) {
+      console.error('Failed to create quiz session:', error);
+      sendJson(res, 500, { error: t('quiz.createFailed') });
+    }
+    return true;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/categories') {
+    sendJson(res, 200, summarizeCategories(t));
+    return true;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/stats/questions') {
+    // Per-choice pick counts reveal the correct answers, so only admins may read them.
+    if (!isAdminRequest(req)) {
+      sendJson(res, 401, { error: t('admin.unauthorized') });
+      return true;
+    }
+
+    let attempts;
+    try {
+      attempts = await historyStore.read();
+    } catch (error) {
+      console.error('Failed to read play history:', error);
+      sendJson(res, 500, { error: t('common.historyFailed') });
+      return true;
+    }
+
+    const minAttempts = Math.trunc(Number(url.searchParams.get('minAttempts')));
+    const stats = questionStats.getQuestionStats(attempts, questionBank.getQuestions(), {
+      sort: url.searchParams.get('sort') || 'id',
+      order: url.searchParams.get('order') === 'desc' ? 'desc' : 'asc',
+      category: normalizeFilterValue(url.searchParams.get('category')),
+      difficulty: normalizeFilterValue(url.searchParams.get('difficulty')),
+      flaggedOnly: url.searchParams.get('flagged') === 'true',
+      minAttempts: minAttempts > 0 ? minAttempts : questionStats.DEFAULT_MIN_ATTEMPTS
+    });
+
+    sendJson(res, 200, {
+      thresholds: {
+        lowCorrectRate: questionStats.LOW_CORRECT_RATE,
+        highCorrectRate: questionStats.HIGH_CORRECT_RATE,
+        minAttempts: minAttempts > 0 ? minAttempts : questionStats.DEFAULT_MIN_ATTEMPTS
+      },
+      total: stats.length,
+      questions: stats
+    });
+    return true;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/sessions') {
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, 400, { error: t('common.invalidPayload') });
+      return true;
+    }
+
+    if (typeof payload.tournament === 'string' && payload.tournament) {
+      await sendTournamentQuiz(req, res, payload.tournament, locale, 201);
+      return true;
+    }
+
+    if (typeof payload.show === 'string' && payload.show) {
+      await sendShowQuiz(req, res, payload.show, locale);
+      return true;
+    }
+
+    const selection = resolveQuizSelection(payload);
+    if (selection.errorKey) {
+      sendJson(res, selection.status, { error: t(selection.errorKey, selection.params) });
+      return true;
+    }
+
+    try {
+      // Only a registered player can submit, so every session is bound to one when it starts.
+      const player = await players.authenticate(getBearerToken(req));
+      if (!player) {
+        sendJson(res, 401, { error: t('quiz.registrationRequired') });
+        return true;
+      }
+      sendJson(res, 201, await createQuizSession(selection, player.id, locale));
+    } catch (error) {
+      console.error('Failed to create quiz session:', error);
+      sendJson(res, 500, { error: t('quiz.createFailed') });
+    }
+    return true;
+  }
+
+  const answerMatch = url.pathname.match(/^\/api\/sessions\/([^/]+)\/answer$/);
+  if (req.method === 'POST' && answerMatch) {
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, 400, { error: t('common.invalidPayload') });
+      return true;
+    }
+
+    const session = sessions.getSession(decodePathSegment(answerMatch[1]));
+    if (!session) {
+      sendJson(res, 404, { error: t('session.notFound') });
+      return true;
+    }
+
+    if (session.submittedAt) {
+      sendJson(res, 409, { error: t('session.alreadySubmitted') });
+      return true;
+    }
+
+    // A show runs as long as the host needs, so only its own phase limits answering.
+    if (!session.show && sessions.isOverdue(session)) {
+      sendJson(res, 410, { error: t('session.overdue') });
+      return true;
+    }
+
+    const questionId = payload.questionId;
+    // Graded in the quiz's language, so a text answer may be given in that language or in Japanese.
+    const question = localizeQuestion(questionBank.getQuestion(questionId), session.locale);
+    if (!question || !sessions.hasQuestion(session, questionId)) {
+      sendJson(res, 400, { error: t('session.questionNotInQuiz') });
+      return true;
+    }
+
+    if ((session.timeLimit || session.show) && !sessions.isOpened(session, questionId)) {
+      sendJson(res, 400, { error: t('session.questionNotOpened') });
+      return true;
+    }
+
+    // Show questions are answered while the host has them open, like a buzzer room.
+    const show = session.show ? shows.getShow(session.show) : null;
+    if (session.show && !(show && shows.isAcceptingAnswers(show, questionId))) {
+      sendJson(res, 409, { error: t('show.notAccepting') });
+      return true;
+    }
+    // Joining again gives the player a new session, but not a second answer to the same question.
+    if (show && shows.hasAnswered(show, session.playerId, questionId)) {
+      sendJson(res, 409, { error: t('session.alreadyAnswered') });
+      return true;
+    }
+
+    // The client only knows the shuffled positions; everything stored uses the authored indexes.
+    const order = getSessionChoiceOrder(session, question);
+    // When the countdown has run out the question is forfeited instead of rejected, so the quiz can go on.
+    const timedOut = Boolean(session.timeLimit) && (payload.timedOut === true || sessions.isPastDeadline(session, questionId));
+    let credit = 0;
+    let recorded;
+    if (timedOut) {
+      recorded = sessions.recordTimeout(session, questionId);
+    } else {
+      const response = questionTypes.parseResponse(question, getAnswerValue(payload), order);
+      if (response === undefined) {
+        sendJson(res, 400, { error: t('session.invalidAnswer') });
+        return true;
+      }
+      credit = questionTypes.gradeResponse(question, response);
+      recorded = sessions.recordAnswer(session, questionId, response, credit);
+    }
+
+    if (!recorded) {
+      sendJson(res, 409, { error: t('session.alreadyAnswered') });
+      return true;
+    }
+
+    if (show) {
+      shows.recordAnswer(show, session.playerId, questionId, choiceOrder.toDisplayIndex(order, sessions.getResponse(session, questionId)), credit);
+    }
+
+    const next = advanceAdaptiveSession(session, questionId, credit);
+    // Timed sessions open the picked question through /next, when the player moves on to it.
+    const nextQuestion = next && !session.timeLimit ? toSessionQuestion(session, next) : null;
+
+    // In a show the result waits for the host's reveal, so nobody can pass the answer on to the room.
+    const feedback = show
+      ? { type: questionTypes.getQuestionType(question), pending: true }
+      : buildAnswerFeedback(question, credit, order);
+    sendJson(res, 200, {
+      questionId,
+      ...feedback,
+      timedOut,
+      nextQuestion,
+      elapsed: sessions.elapsedSeconds(session),
+      serverTime: Date.now()
+    });
+    return true;
+  }
+
+  const nextMatch = url.pathname.match(/^\/api\/sessions\/([^/]+)\/next$/);
+  if (req.method === 'POST' && nextMatch) {
+    const session = sessions.getSession(decodePathSegment(nextMatch[1]));
+    if (!session) {
+      sendJson(res, 404, { error: t('session.notFound') });
+      return true;
+    }
+
+    if (session.submittedAt) {
+      sendJson(res, 409, { error: t('session.alreadySubmitted') });
+      return true;
+    }
+
+    // A show session opens whichever question the host has put on the big screen.
+    if (session.show) {
+      const show = shows.getShow(session.show);
+      const current = show && show.phase === 'question' ? shows.getCurrentQuestion(show) : null;
+      const question = current && !shows.hasAnswered(show, session.playerId, current.id)
+        ? questionBank.getQuestion(current.id)
+        : null;
+      if (!question) {
+        sendJson(res, 409, { error: t('show.waiting') });
+        return true;
+      }
+      sessions.openQuestion(session, question.id);
+      sendJson(res, 200, { question: toSessionQuestion(session, question), questionNumber: show.currentIndex + 1, serverTime: Date.now() });
+      return true;
+    }
+
+    if (!session.timeLimit) {
+      sendJson(res, 400, { error: t('session.untimed') });
+      return true;
+    }
+
+    if (sessions.isOverdue(session)) {
+      sendJson(res, 410, { error: t('session.overdue') });
+      return true;
+    }
+
+    sessions.expireOpenQuestions(session).forEach(id => advanceAdaptiveSession(session, id, 0));
+    if (sessions.hasOpenQuestion(session)) {
+      sendJson(res, 409, { error: t('session.questionOpen') });
+      return true;
+    }
+
+    const question = questionBank.getQuestion(sessions.getNextQuestionId(session));
+    if (!question) {
+      sendJson(res, 404, { error: t('session.noNextQuestion') });
+      return true;
+    }
+
+    sessions.openQuestion(session, question.id);
+    sendJson(res, 200, { question: toSessionQuestion(session, question), serverTime: Date.now() });
+    return true;
+  }
+
+  // One stream carries every board; each event names its board and clients keep the one they show.
+  if (req.method === 'GET' && url.pathname === '/api/leaderboard/stream') {
+    const board = getLeaderboardBoardKey(url);
+    const missed = leaderboardChannel.getEventsSince(req.headers['last-event-id'] || url.searchParams.get('lastEventId'));
+    if (missed) {
+      leaderboardChannel.subscribe(req, res, missed);
+      return true;
+    }
+
+    let entries;
+    try {
+      entries = await leaderboardStore.read();
+    } catch (error) {
+      console.error('Failed to read leaderboard:', error);
+      sendJson(res, 500, { error: t('leaderboard.loadFailed') });
+      return true;
+    }
+    // Too far behind (or a first connection): start over from the requested board as it is now.
+    leaderboardChannel.subscribe(req, res, [{
+      event: 'leaderboard',
+      data: { board: parseBoardKey(board), boards: summarizeBoards(entries), leaderboard: getBoardEntries(entries, board), changed: true },
+      id: leaderboardChannel.lastId
+    }]);
+    return true;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/leaderboard') {
+    const board = getLeaderboardBoardKey(url);
+
+    // The leaderboard only keeps each board's top entries, so team boards are built from the play history.
+    if (url.searchParams.get('view') === 'teams') {
+      let teamBoard;
+      try {
+        teamBoard = await getTeamBoard(board);
+      } catch (error) {
+        console.error('Failed to read play history:', error);
+        sendJson(res, 500, { error: t('common.historyFailed') });
+        return true;
+      }
+      sendJson(res, 200, {
+        view: 'teams',
+        board: parseBoardKey(board),
+        boards: summarizeBoardCounts(teams.countTeamAttempts(teamIndex)),
+        method: TEAM_METHOD,
+        bestCount: TEAM_BEST_COUNT,
+        teams: teamBoard.slice(0, LEADERBOARD_SIZE)
+      });
+      return true;
+    }
+
+    const period = LEADERBOARD_PERIODS.includes(url.searchParams.get('period')) ? url.searchParams.get('period') : 'all';
+    const { offset, limit } = getLeaderboardPage(url);
+    const search = normalizeFilterValue(url.searchParams.get('search'));
+
+    let entries;
+    let ranked;
+    let player;
+    try {
+      entries = await leaderboardStore.read();
+      const startKey = getPeriodStartKey(period, daily.getDateKey(DAILY_TIMEZONE));
+      ranked = startKey
+        ? rankBoard(periodBoards.getPeriodEntries(await catchUpWithHistory(periodIndex, periodBoards.addPeriodAttempts), board, startKey), board)
+        : rankBoard(entries, board);
+      player = await players.authenticate(getBearerToken(req));
+    } catch (error) {
+      console.error('Failed to read leaderboard:', error);
+      sendJson(res, 500, { error: t('leaderboard.loadFailed') });
+      return true;
+    }
+
+    // Searching narrows the rows but keeps everyone's rank on the whole board.
+    const searchKey = search ? players.getNameKey(search) : '';
+    const matched = searchKey ? ranked.filter(entry => players.getNameKey(entry.name).includes(searchKey)) : ranked;
+    // The player's own rank is sent even when it is on another page or doesn't match the search.
+    const own = player ? ranked.find(entry => entry.playerId === player.id) : null;
+    sendJson(res, 200, {
+      view: 'players',
+      board: parseBoardKey(board),
+      boards: summarizeBoards(entries),
+      period,
+      search,
+      total: matched.length,
+      offset,
+      limit,
+      leaderboard: matched.slice(offset, offset + limit),
+      me: own || null
+    });
+    return true;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/submit') {
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, 400, { error: t('common.invalidPayload') });
+      return true;
+    }
+
+    try {
+      const player = await players.authenticate(getBearerToken(req));
+      if (!player) {
+        sendJson(res, 401, { error: t('submit.registrationRequired') });
+        return true;
+      }
+      const { name } = player;
+
+      const session = sessions.getSession(payload.sessionId);
+      if (!session) {
+        sendJson(res, 404, { error: t('session.notFound') });
+        return true;
+      }
+
+      if (session.submittedAt) {
+        sendJson(res, 409, { error: t('session.alreadySubmitted') });
+        return true;
+      }
+
+      if (session.playerId !== player.id) {
+        sendJson(res, 403, { error: t('submit.wrongPlayer') });
+        return true;
+      }
+
+      // A show keeps its own standings and ends when the host says so.
+      if (session.show) {
+        sendJson(res, 400, { error: t('show.noSubmit') });
+        return true;
+      }
+
+      sessions.expireOpenQuestions(session).forEach(id => advanceAdaptiveSession(session, id, 0));
+      if (!sessions.isComplete(session)) {
+        sendJson(res, 400, { error: t('submit.incomplete') });
+        return true;
+      }
+
+      if (sessions.isOverdue(session)) {
+        sendJson(res, 410, { error: t('submit.overdue') });
+        return true;
+      }
+
+      const { totalTime, questionTimes } = sessions.getTiming(session);
+      if (sessions.isTooFast(session, totalTime, questionTimes)) {
+        sendJson(res, 400, { error: t('submit.tooFast') });
+        return true;
+      }
+
+      if (session.tournament) {
+        const tournament = await tournamentRegistry.findTournament(session.tournament.id);
+        const round = tournament && tournament.rounds.find(entry => entry.number === session.tournament.round);
+        if (!round || round.status !== 'open') {
+          sendJson(res, 409, { error: t('tournament.roundClosed') });
+          return true;
+        }
+      }
+
+      sessions.markSubmitted(session);
+
+      const totalQuestions = session.questionIds.length;
+      // Partial credit can make the score fractional, so it is rounded to keep float noise out of the leaderboard.
+      const score = Number(session.questionIds.reduce((acc, id) => acc + getAnswerCredit(session, id), 0).toFixed(2));
+      const { points, answerPoints } = scoreSession(session, questionTimes);
+
+      const completedAt = new Date().toISOString();
+      const board = session.board;
+      const newEntry = {
+        playerId: player.id,
+        name,
+        board,
+        score,
+        points,
+        totalQuestions,
+        totalTime,
+        completedAt,
+        ...(session.team ? { team: session.team } : {})
+      };
+
+      let storedEntries;
+      let dailyDay;
+      let tournamentRanked;
+      let playerRating;
+      try {
+        // The round may have closed since the check above; then nothing of the run is saved.
+        if (session.tournament) {
+          const recorded = await tournamentRegistry.recordResult(session.tournament.id, session.tournament.round, {
+            playerId: player.id,
+            name,
+            score,
+            points,
+            totalQuestions,
+            totalTime,
+            completedAt
+          });
+          if (recorded.error) {
+            sessions.releaseSubmission(session);
+            sendJson(res, recorded.error.status, { error: t(recorded.error.errorKey) });
+            return true;
+          }
+          tournamentRanked = recorded.value;
+        }
+
+        const ratingBefore = rating.getPlayerRating(await getRatingTable(), player.id);
+        const attempt = buildAttempt(session, {
+          playerId: player.id,
+          name,
+          score,
+          points,
+          answerPoints,
+          totalTime,
+          questionTimes,
+          completedAt
+        });
+        try {
+          await historyStore.append(attempt);
+        } catch (error) {
+          // A tournament run missing from the history must not count in the round either.
+          if (session.tournament) {
+            await tournamentRegistry.removeResult(session.tournament.id, session.tournament.round, player.id);
+          }
+          throw error;
+        }
+        playerRating = summarizeRating(ratingBefore, rating.getPlayerRating(await getRatingTable(), player.id));
+
+        if (session.daily) {
+          dailyDay = await dailyRegistry.recordResult(session.daily, {
+            playerId: player.id,
+            name,
+            score,
+            totalQuestions,
+            totalTime,
+            completedAt
+          });
+        } else if (!session.tournament) {
+          let isNewBest = false;
+          storedEntries = await leaderboardStore.update((leaderboard) => {
+            // Entries written before player registration have no playerId; the owner of the name takes them over.
+            const existingIndex = leaderboard.findIndex(entry => getEntryBoard(entry) === board && (entry.playerId
+              ? entry.playerId === player.id
+              : players.getNameKey(entry.name) === player.nameKey));
+            if (existingIndex >= 0) {
+              const current = leaderboard[existingIndex];
+              const currentPoints = ranking.getEntryPoints(current);
+              const isMorePoints = points > currentPoints;
+              const isBetterScore = points === currentPoints && score > current.score;
+              const isFaster = points === currentPoints && score === current.score
+                && (current.totalTime === null || totalTime < current.totalTime);
+              isNewBest = isMorePoints || isBetterScore || isFaster;
+              if (isNewBest) {
+                leaderboard[existingIndex] = newEntry;
+              }
+            } else {
+              isNewBest = true;
+              leaderboard.push(newEntry);
+            }
+            return leaderboard;
+          });
+          // Every run can move the period boards, so each one is announced; changed says whether the
+          // all-time board moved too. Clients showing anything but its first page fetch what they show.
+          leaderboardChannel.publish('leaderboard', {
+            board: parseBoardKey(board),
+            boards: summarizeBoards(storedEntries),
+            leaderboard: getBoardEntries(storedEntries, board),
+            changed: isNewBest
+          });
+        }
+      } catch (error) {
+        sessions.releaseSubmission(session);
+        throw error;
+      }
+
+      const missedIds = session.questionIds.filter(id => questionBank.getQuestion(id) && getAnswerCredit(session, id) < 1);
+      await practiceRegistry.recordMisses(player.id, missedIds, () => loadPlayerAttempts(player.id)).catch((error) => {
+        console.error('Failed to update practice schedule:', error);
+      });
+
+      const result = {
+        score,
+        points,
+        scoring: session.scoring || scoring.DEFAULT_RULE,
+        total: totalQuestions,
+        totalTime,
+        questionTimes,
+        review: buildReview(session),
+        rating: playerRating
+      };
+
+      if (session.daily) {
+        const ranked = rankDailyResults(dailyDay ? dailyDay.results : []);
+        const own = ranked.find(entry => entry.playerId === player.id);
+        sendJson(res, 200, {
+          ...result,
+          daily: {
+            date: session.daily,
+            rank: own ? own.rank : null,
+            players: ranked.length,
+            leaderboard: ranked.slice(0, LEADERBOARD_SIZE),
+            streak: await getDailyStreak(player.id, daily.getDateKey(DAILY_TIMEZONE))
+          }
+        });
+        return true;
+      }
+
+      if (session.tournament) {
+        const own = tournamentRanked.find(entry => entry.playerId === player.id);
+        sendJson(res, 200, {
+          ...result,
+          tournament: {
+            id: session.tournament.id,
+            round: session.tournament.round,
+            rank: own ? own.rank : null,
+            players: tournamentRanked.length
+          }
+        });
+        return true;
+      }
+
+      sendJson(res, 200, {
+        ...result,
+        board: parseBoardKey(board),
+        boards: summarizeBoards(storedEntries),
+        leaderboard: getBoardEntries(storedEntries, board),
+        team: session.team ? getTeamContribution(await getTeamBoard(board), session.team, player.id) : null
+      });
+    } catch (error) {
+      console.error('Failed to handle submission:', error);
+      sendJson(res, 500, { error: t('submit.saveFailed') });
+    }
+
+    return true;
+  }
+
+  return false;
+}
+
+// Uploaded media lives outside public/ so that redeploying the app doesn't touch it.
+function resolveStaticPath(pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (error) {
+    return null;
+  }
+
+  const [root, relativePath] = decoded.startsWith(media.MEDIA_URL_PREFIX)
+    ? [MEDIA_DIR, decoded.slice(media.MEDIA_URL_PREFIX.length)]
+    : [PUBLIC_DIR, decoded];
+  const filePath = path.join(root, relativePath);
+  // An encoded "../" survives URL parsing, so the joined path has to stay under its root.
+  return filePath === root || filePath.startsWith(`${root}${path.sep}`) ? filePath : null;
+}
+
+function sendNotFound(res) {
+  res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end('Not found');
+}
+
+function serveStatic(req, res, url) {
+  const filePath = url.pathname === '/' || url.pathname === ''
+    ? path.join(PUBLIC_DIR, 'index.html')
+    : resolveStaticPath(url.pathname);
+  if (!filePath) {
+    sendNotFound(res);
+    return;
+  }
+
+  fs.stat(filePath, (err, stats) => {
+    if (err) {
+      sendNotFound(res);
+      return;
+    }
+
+    if (stats.isDirectory()) {
+      const indexPath = path.join(filePath, 'index.html');
+      fs.stat(indexPath, (indexErr, indexStats) => {
+        if (indexErr) {
+          res.writeHead(403, { 'Content-Type': 'text/plain; charset=utf-8' });
+          res.end('Forbidden');
+          return;
+        }
+        streamFile(req, res, indexPath, indexStats);
+      });
+      return;
+    }
+
+    streamFile(req, res, filePath, stats);
+  });
+}
+
+// Supports a single "bytes=" range, which is what browsers send to seek in audio.
+// Returns null to send the whole file and false when the range can't be satisfied. A range that ends
+// before it starts is invalid rather than unsatisfiable, and an invalid range is ignored (RFC 9110).
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  if (match[1] === '') {
+    const suffixLength = Number(match[2]);
+    return suffixLength > 0 && size > 0 ? { start: Math.max(0, size - suffixLength), end: size - 1 } : false;
+  }
+
+  const start = Number(match[1]);
+  if (match[2] !== '' && Number(match[2]) < start) {
+    return null;
+  }
+  const end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  return start < size ? { start, end } : false;
+}
+
+// Mobile Safari won't play audio from a server that ignores Range requests.
+function streamFile(req, res, filePath, stats) {
+  const ext = path.extname(filePath).toLowerCase();
+  const headers = {
+    'Content-Type': mimeTypes[ext] || 'application/octet-stream',
+    'Accept-Ranges': 'bytes'
+  };
+
+  const range = req.headers.range ? parseRange(req.headers.range, stats.size) : null;
+  if (range === false) {
+    res.writeHead(416, { 'Content-Range': `bytes */${stats.size}` });
+    res.end();
+    return;
+  }
+
+  let statusCode = 200;
+  if (range) {
+    statusCode = 206;
+    headers['Content-Range'] = `bytes ${range.start}-${range.end}/${stats.size}`;
+    headers['Content-Length'] = range.end - range.start + 1;
+  } else {
+    headers['Content-Length'] = stats.size;
+  }
+
+  if (req.method === 'HEAD') {
+    res.writeHead(statusCode, headers);
+    res.end();
+    return;
+  }
+
+  const stream = fs.createReadStream(filePath, range || {});
+
+  stream.on('open', () => {
+    res.writeHead(statusCode, headers);
+  });
+
+  stream.on('error', (error) => {
+    console.error('File stream error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Internal server error');
+  });
+
+  stream.pipe(res);
+}
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    const handled = await handleApiRequest(req, res, url);
+    if (handled) {
+      return;
+    }
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      serveStatic(req, res, url);
+    } else {
+      res.writeHead(405, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Method not allowed');
+    }
+  } catch (error) {
+    // Anything a route didn't handle itself ends the request instead of the process.
+    console.error('Unhandled request error:', error);
+    if (!res.headersSent) {
+      sendJson(res, 500, { error: i18n.translate(i18n.negotiateLocale(req.headers['accept-language']), 'common.serverError') });
+    } else {
+      res.end();
+    }
+  }
+});
+
+async function writeAdminToken() {
+  await fs.promises.writeFile(ADMIN_TOKEN_PATH, `${ADMIN_TOKEN}\n`, { mode: 0o600 });
+  // The mode only applies to a new file, so one left from an earlier run is tightened too.
+  await fs.promises.chmod(ADMIN_TOKEN_PATH, 0o600);
+}
+
+// A production server must not run with a token nobody chose.
+if (!process.env.ADMIN_TOKEN && process.env.NODE_ENV === 'production') {
+  console.error('ADMIN_TOKEN must be set when NODE_ENV is production');
+  process.exit(1);
+}
+
+server.listen(PORT, () => {
+  console.log(`Quiz app server running on http://localhost:${server.address().port}`);
+  if (!process.env.ADMIN_TOKEN) {
+    writeAdminToken()
+      .then(() => console.log(`Admin token for this run was written to ${ADMIN_TOKEN_PATH} (set ADMIN_TOKEN to fix it)`))
+      .catch(error => console.error('Failed to write the admin token:', error));
+  }
 });